@@ -2,95 +2,324 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import { createScraper, CompanyTypes, SCRAPERS } from 'israeli-bank-scrapers';
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId, BSON } from 'mongodb';
 import TelegramBot from 'node-telegram-bot-api';
 import { CronJob } from 'cron';
 import { DateTime } from 'luxon';
-import { ChatGPTAPI } from 'chatgpt';
 import retry from 'async-retry';
 import puppeteer from 'puppeteer';
+import nodemailer from 'nodemailer';
 import winston from 'winston';
+import { writeFile, readFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import readline from 'readline/promises';
+import { Writable } from 'stream';
+import http from 'http';
 
 
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'mongodb';
+const SQLITE_PATH = process.env.SQLITE_PATH || 'data/shekel-streamer.db';
 const DB_NAME = process.env.DB_NAME || 'shekelStreamer';
 const TRANSACTIONS_COLLECTION_NAME = process.env.TRANSACTIONS_COLLECTION_NAME || 'transactions';
 const TRANSLATIONS_COLLECTION_NAME = process.env.TRANSLATIONS_COLLECTION_NAME || 'translations';
+const TRANSLATION_PATTERNS_COLLECTION_NAME = process.env.TRANSLATION_PATTERNS_COLLECTION_NAME || 'translationPatterns';
+const CATEGORY_RULES_COLLECTION_NAME = process.env.CATEGORY_RULES_COLLECTION_NAME || 'categoryRules';
+const CATEGORY_SUGGESTIONS_COLLECTION_NAME = process.env.CATEGORY_SUGGESTIONS_COLLECTION_NAME || 'categorySuggestions';
+const BUDGETS_COLLECTION_NAME = process.env.BUDGETS_COLLECTION_NAME || 'budgets';
+const BUDGET_ALERTS_COLLECTION_NAME = process.env.BUDGET_ALERTS_COLLECTION_NAME || 'budgetAlerts';
+const ACCOUNTS_COLLECTION_NAME = process.env.ACCOUNTS_COLLECTION_NAME || 'accounts';
+const ACCOUNT_SNAPSHOTS_COLLECTION_NAME = process.env.ACCOUNT_SNAPSHOTS_COLLECTION_NAME || 'accountSnapshots';
+const SYNC_RUNS_COLLECTION_NAME = process.env.SYNC_RUNS_COLLECTION_NAME || 'syncRuns';
+const EXCHANGE_RATES_COLLECTION_NAME = process.env.EXCHANGE_RATES_COLLECTION_NAME || 'exchangeRates';
+const SUBSCRIPTIONS_COLLECTION_NAME = process.env.SUBSCRIPTIONS_COLLECTION_NAME || 'subscriptions';
+const HOUSEHOLD_SETTLEMENTS_COLLECTION_NAME = process.env.HOUSEHOLD_SETTLEMENTS_COLLECTION_NAME || 'householdSettlements';
+const NOTIFICATION_QUEUE_COLLECTION_NAME = process.env.NOTIFICATION_QUEUE_COLLECTION_NAME || 'notificationQueue';
+const CREDENTIALS_COLLECTION_NAME = process.env.CREDENTIALS_COLLECTION_NAME || 'credentials';
+const CREDENTIALS_VAULT = process.env.CREDENTIALS_VAULT; // file or database, credentials are read from env vars/USERS_JSON if not set
+const CREDENTIALS_VAULT_PATH = process.env.CREDENTIALS_VAULT_PATH || 'data/credentials.vault';
+const BUDGET_ALERT_THRESHOLDS = (process.env.BUDGET_ALERT_THRESHOLDS || '50,80,100')
+  .split(',').map(Number).filter(threshold => threshold > 0).sort((a, b) => a - b);
 const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Jerusalem';
 const SYNC_SCHEDULE = process.env.SYNC_SCHEDULE || '0 8 * * *';
 const SYNC_ON_STARTUP = process.env.SYNC_ON_STARTUP || 'true';
 const SYNC_ON_SCHEDULE = process.env.SYNC_ON_SCHEDULE || 'false';
+const QUIET_HOURS = process.env.QUIET_HOURS; // e.g. 23:00-07:00, can be set per user and company
+const REPORT_SCHEDULES = {
+  daily: process.env.REPORT_SCHEDULE_DAILY,
+  weekly: process.env.REPORT_SCHEDULE_WEEKLY,
+  monthly: process.env.REPORT_SCHEDULE_MONTHLY,
+  forecast: process.env.REPORT_SCHEDULE_FORECAST
+};
+const FORECAST_MONTHS = Number(process.env.FORECAST_MONTHS) || 3;
+const RECONCILIATION_DAYS = Number(process.env.RECONCILIATION_DAYS) || 45;
+const NEW_MERCHANT_DAYS = Number(process.env.NEW_MERCHANT_DAYS) || 365;
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const TELEGRAM_BOT_COMMANDS = process.env.TELEGRAM_BOT_COMMANDS || 'false';
+const API_PORT = process.env.API_PORT; // API server is disabled if not set
+const ADMIN_TELEGRAM_CHANNEL_ID = process.env.ADMIN_TELEGRAM_CHANNEL_ID;
+const SYNC_FAILURE_ALERT_COUNT = Number(process.env.SYNC_FAILURE_ALERT_COUNT) || 3;
+const SYNC_STALE_ALERT_HOURS = Number(process.env.SYNC_STALE_ALERT_HOURS) || 48;
+const SYNC_DAYS_COUNT = Number(process.env.SYNC_DAYS_COUNT) || 7;
+const SYNC_OVERLAP_DAYS = Number(process.env.SYNC_OVERLAP_DAYS) || 7;
+const SYNC_MAX_DAYS = Number(process.env.SYNC_MAX_DAYS) || 365;
+const SYNC_CONCURRENCY = Number(process.env.SYNC_CONCURRENCY) || 2;
+const PLUGINS = process.env.PLUGINS; // comma-separated paths of the plugin modules
+const SYNC_TASK_TIMEOUT_MINUTES = Number(process.env.SYNC_TASK_TIMEOUT_MINUTES) || 15;
+const SYNC_RETRIES = Number(process.env.SYNC_RETRIES ?? 2);
+const PENDING_MATCH_DAYS = Number(process.env.PENDING_MATCH_DAYS) || 3;
+const PENDING_AMOUNT_TOLERANCE = Number(process.env.PENDING_AMOUNT_TOLERANCE ?? 0.25); // relative to the pending amount
+const NOTIFY_ON_SETTLED_AMOUNT_CHANGE = process.env.NOTIFY_ON_SETTLED_AMOUNT_CHANGE || 'true';
 
-const GPT_TRANSLATION_PROMPT = process.env.GPT_TRANSLATION_PROMPT || 'You are a translation service.\nUse the list of correct translations of some sentences when translating (format: "original text|translation"):\n\nפועלים-|Hapoalim\nאושר עד|Osher Ad\nמוביט|Moovit\n\nPlease provide the translations for each line of text, plain list without original text.\nHere is an example request:\nמסטרקרד\nמסטרקרד\n\nAnd the corresponding response:\nMastercard\nMastercard\n\nNow, translate into English every following line of text, specifically in the Israeli context:\nמסטרקרד\n<text_to_replace>\nRespond in a one-column TSV format.'
-const GPT_TRANSLATION_PROMPT_PLACEHOLDER = '<text_to_replace>';
+const TRANSLATION_PROVIDER = process.env.TRANSLATION_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none'); // comma separated list, see createTranslationProvider
+const TRANSLATION_LANGUAGE = process.env.TRANSLATION_LANGUAGE || 'English';
+const TRANSLATION_PROMPT = process.env.TRANSLATION_PROMPT || getKnownTranslationsFromLegacyPrompt(process.env.GPT_TRANSLATION_PROMPT);
+const TRANSLATION_DICTIONARY_PATH = process.env.TRANSLATION_DICTIONARY_PATH;
+const GPT_CATEGORY_SUGGESTIONS = process.env.GPT_CATEGORY_SUGGESTIONS || 'false';
+const CATEGORIES = (process.env.CATEGORIES || 'Groceries,Restaurants,Transport,Fuel,Shopping,Health,Utilities,Housing,Entertainment,Travel,Education,Insurance,Fees,Salary,Transfers,Other')
+  .split(',').map(category => category.trim()).filter(category => category);
 
 const logger = configureLogger();
+const { EJSON } = BSON;
+
+// Results of the last sync per task key, used by the /status bot command, /healthz and /metrics
+const lastSyncResults = new Map();
+let isSyncInProgress = false;
+
+// Counters since startup for /metrics: sync runs per task key
+const syncRunTotals = new Map();
+
+// Promise chains by key (e.g. notification destination) to run callbacks with the same key one after another
+const serialQueues = new Map();
+
+// Timer of the next delivery of the notifications queued during quiet hours
+let notificationQueueTimer;
+let notificationQueueTimerAt;
+
+// Storage configured by STORAGE_DRIVER, created on first use
+let storagePromise;
 
 logger.info('Starting Shekel Streamer...');
 
-const isTranslationEnabled = process.env.OPENAI_API_KEY
-  && GPT_TRANSLATION_PROMPT.includes(GPT_TRANSLATION_PROMPT_PLACEHOLDER);
+// Descriptions not translated by a provider are passed to the next one
+const translationProviders = TRANSLATION_PROVIDER.split(',')
+  .map(name => createTranslationProvider(name.trim()))
+  .filter(provider => provider);
+const isTranslationEnabled = translationProviders.length > 0;
 
 if (!isTranslationEnabled) {
-  logger.info(`No OpenAI API key or GPT translation prompt does not include ${GPT_TRANSLATION_PROMPT_PLACEHOLDER}. Translation is disabled.`);
+  logger.info(`No translation provider is configured (TRANSLATION_PROVIDER or OPENAI_API_KEY). Translation is disabled.`);
 }
 
-checkMongoDB(process.env.MONGO_CONNECTION_STRING)
-  .then(result => {
-    if (result) {
-      initializeSyncTasks();
-    } else {
-      process.exit(1);
-    }
-  });
+if (process.env.GPT_TRANSLATION_PROMPT && !process.env.TRANSLATION_PROMPT) {
+  logger.warn(`GPT_TRANSLATION_PROMPT is deprecated, only its "original text|translation" lines are used. Use TRANSLATION_PROMPT for additional instructions.`);
+}
+
+// Categories are suggested by the first chat translation provider (openai or openai-compatible)
+const categorySuggestionProvider = translationProviders.find(provider => provider.suggestCategories);
+const isCategorySuggestionEnabled = GPT_CATEGORY_SUGGESTIONS === 'true' && Boolean(categorySuggestionProvider);
+
+if (GPT_CATEGORY_SUGGESTIONS === 'true' && !categorySuggestionProvider) {
+  logger.warn(`GPT_CATEGORY_SUGGESTIONS requires the openai or openai-compatible translation provider (TRANSLATION_PROVIDER). Category suggestions are disabled.`);
+}
+
+// Command line arguments, e.g. "node src/app.js rules list" or "node src/app.js --backfill 2023-01-01".
+// Without a command the app runs the sync.
+const [command, ...commandArgs] = process.argv.slice(2);
+
+// The app runs only when started directly, not when imported by the tests
+const isMainModule = process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
+
+if (isMainModule) {
+  checkStorage()
+    .then(async result => {
+      if (!result) {
+        process.exit(1);
+      }
+
+      await createStorageIndexes();
+
+      if (command) {
+        runCommand(command, commandArgs);
+      } else {
+        initializeSyncTasks().catch(error => {
+          logger.error(`Failed to start transaction sync tasks`, { errorMessage: error.message, errorStack: error.stack });
+          process.exit(1);
+        });
+      }
+    });
+}
 
 // End of main code
 
 /**
  * Initialize and run transaction synchronization tasks.
  * If SYNC_ON_STARTUP is true, runs tasks on startup.
- * If SYNC_ON_SCHEDULE is true, schedules tasks according to SYNC_SCHEDULE.
+ * If SYNC_ON_SCHEDULE is true, schedules tasks according to their schedules (SYNC_SCHEDULE by default), one cron job per schedule.
  * 
  * @returns {Promise<void>}
  */
 async function initializeSyncTasks() {
-  const transactionSyncTasks = getTransactionSyncTasks();
+  let transactionSyncTasks;
+  try {
+    transactionSyncTasks = await getTransactionSyncTasks();
+  } catch (error) {
+    logger.error(`Failed to load transaction sync tasks`, { errorMessage: error.message, errorStack: error.stack });
+    process.exit(1);
+  }
+
   if (transactionSyncTasks.length === 0) {
     logger.info('No transaction sync tasks found. Exiting.');
     process.exit(0);
   }
 
-  const isScheduled = SYNC_ON_SCHEDULE === 'true' && SYNC_SCHEDULE
+  try {
+    await saveConfigBudgets(transactionSyncTasks);
+  } catch (error) {
+    logger.error(`Failed to save budgets from configuration, the budgets saved before are used`, { errorMessage: error.message, errorStack: error.stack });
+  }
+
+  await migrateSyncRunTaskKeys(transactionSyncTasks);
+
+  // Deliver the notifications queued during quiet hours before the restart
+  await deliverQueuedNotifications();
+
+  const isScheduled = SYNC_ON_SCHEDULE === 'true';
+  const isReportScheduled = Object.values(REPORT_SCHEDULES).some(schedule => schedule);
+
+  // Listen for bot commands and API requests if it's configured, the process keeps running while listening
+  const isListening = TELEGRAM_BOT_COMMANDS === 'true' && startBotCommands(transactionSyncTasks);
+  const isServing = Boolean(API_PORT) && startApiServer(transactionSyncTasks);
 
   // Run sync on startup if it's configured
   if (SYNC_ON_STARTUP === 'true') {
     await processTransactionSyncTasks(transactionSyncTasks)
-    if (!isScheduled) {
-      logger.info('Sync on schedule is disabled. Exiting.');
+    if (!isScheduled && !isReportScheduled && !isListening && !isServing) {
+      logger.info('Sync on schedule, scheduled reports, bot commands and API server are disabled. Exiting.');
       process.exit(0);
     }
-  } else if (!isScheduled) {
-    logger.info('Sync on startup and schedule are disabled. Exiting.');
+  } else if (!isScheduled && !isReportScheduled && !isListening && !isServing) {
+    logger.info('Sync on startup, schedule, scheduled reports, bot commands and API server are disabled. Exiting.');
     process.exit(0);
   }
 
-  // Schedule cron job for this user and company if it's configured
+  // Schedule cron job for each distinct schedule of the tasks if it's configured
   if (isScheduled) {
-    const scheduledTask = new CronJob(SYNC_SCHEDULE, async function () {
+    const tasksBySchedule = new Map();
+    transactionSyncTasks.forEach(task => {
+      tasksBySchedule.set(task.schedule, [...(tasksBySchedule.get(task.schedule) || []), task]);
+    });
+
+    for (const [schedule, scheduleTasks] of tasksBySchedule) {
+      const taskKeys = scheduleTasks.map(task => task.taskKey);
+
+      let scheduledTask;
       try {
-        await processTransactionSyncTasks(transactionSyncTasks);
+        scheduledTask = new CronJob(schedule, async function () {
+          try {
+            // Syncs of the schedules starting at the same time run one after another instead of skipping each other
+            await runSerially(['scheduledSync'], () => processTransactionSyncTasks(scheduleTasks));
+          } catch (error) {
+            logger.error(`Sync failed`, { schedule, errorMessage: error.message, errorStack: error.stack });
+          }
+          logger.info(`Next scheduled sync: ${timezoned(this.nextDate())}`, { schedule });
+        }, null, false, DEFAULT_TIMEZONE); // Don't start the job right now
       } catch (error) {
-        logger.error(`Sync failed`, { errorMessage: error.message, errorStack: error.stack });
+        logger.error(`Invalid sync schedule "${schedule}". The tasks will not be synced on schedule.`, { taskKeys, errorMessage: error.message });
+        continue;
       }
-      logger.info(`Next scheduled sync: ${timezoned(this.nextDate())}`);
-    }, null, false, DEFAULT_TIMEZONE); // Don't start the job right now
 
-    scheduledTask.start();
+      scheduledTask.start();
+
+      logger.info(`Next scheduled sync: ${timezoned(scheduledTask.nextDate())}`, { schedule, taskKeys });
+    }
+  }
+
+  // Schedule cron job for each configured report
+  for (const [reportType, schedule] of Object.entries(REPORT_SCHEDULES)) {
+    if (!schedule) {
+      continue;
+    }
+
+    let reportJob;
+    try {
+      reportJob = new CronJob(schedule, async function () {
+        try {
+          await sendReports(reportType, transactionSyncTasks);
+        } catch (error) {
+          logger.error(`Report failed`, { reportType, errorMessage: error.message, errorStack: error.stack });
+        }
+        logger.info(`Next ${reportType} report: ${timezoned(this.nextDate())}`);
+      }, null, false, DEFAULT_TIMEZONE);
+    } catch (error) {
+      logger.error(`Invalid ${reportType} report schedule "${schedule}". The report will not be sent on schedule.`, { reportType, errorMessage: error.message });
+      continue;
+    }
+
+    reportJob.start();
 
-    logger.info(`Next scheduled sync: ${timezoned(scheduledTask.nextDate())}`);
+    logger.info(`Next ${reportType} report: ${timezoned(reportJob.nextDate())}`);
   }
 }
 
+/**
+ * Runs one-off command line command and exits.
+ * @param {string} command Command name
+ * @param {string[]} args Command arguments
+ * @returns {Promise<void>}
+ */
+async function runCommand(command, args) {
+  try {
+    switch (command) {
+      case 'rules':
+        await runRulesCommand(args);
+        break;
+      case 'translations':
+        await runTranslationsCommand(args);
+        break;
+      case 'currency':
+        await runCurrencyCommand(args);
+        break;
+      case 'recategorize':
+        await recategorizeTransactions(args[0]);
+        break;
+      case 'report':
+        await sendReports(args[0], await getTransactionSyncTasks());
+        break;
+      case 'export':
+        await runExportCommand(args);
+        break;
+      case 'migrate':
+        await migrateFromMongoDB();
+        break;
+      case 'credentials':
+        await runCredentialsCommand(args);
+        break;
+      case '--backfill':
+        await runBackfillCommand(args);
+        break;
+      default:
+        logger.error(`Unknown command: ${command}. Available commands: rules, translations, currency, recategorize, report, export, migrate, credentials, --backfill`);
+        process.exit(1);
+    }
+  } catch (error) {
+    logger.error(`Command failed`, { command, errorMessage: error.message, errorStack: error.stack });
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+/**
+ * Function to print a line of the command output (lists, etc.) to stdout, the logs go to the logger
+ * @param {string} line
+ */
+function printLine(line) {
+  process.stdout.write(`${line}\n`);
+}
+
 /**
  * Function to get ISO string with timezone set to DEFAULT_TIMEZONE
  * @param {DateTime} dateTime Luxon DateTime object
@@ -163,432 +392,4316 @@ function formatDateTime(jsDate) {
 /**
  * Function to format transaction for Telegram
  * @param {any} transaction 
+ * @param {function} bold Function to highlight text, Telegram Markdown by default
+ * @param {function} escape Function to escape the text entered by the users (note), Telegram Markdown by default
  * @returns {string} Formatted transaction
  */
-function format(transaction) {
+function format(transaction, bold = text => `*${text}*`, escape = escapeMarkdown) {
   let date = formatDateTime(transaction.date);
   let processedDate = formatDateTime(transaction.processedDate);
 
-  const chargedAmount = new Intl.NumberFormat('he-IL', { style: 'currency', currency: transaction.originalCurrency }).format(transaction.chargedAmount);
+  const chargedCurrency = getChargedCurrency(transaction);
+  const originalCurrency = normalizeCurrency(transaction.originalCurrency);
+  const chargedAmount = formatAmount(transaction.chargedAmount, chargedCurrency);
+  const amountILS = chargedCurrency !== 'ILS' && transaction.amountILS != null ? `\nAmount (ILS): ${bold(formatAmount(transaction.amountILS))}` : '';
+  const originalAmount = originalCurrency && originalCurrency !== chargedCurrency && transaction.originalAmount !== transaction.chargedAmount ? `\nOriginal amount: ${formatAmount(transaction.originalAmount, originalCurrency)}` : '';
   const incomeOrExpenseEmoji = transaction.chargedAmount > 0 ? '💰' : '💸'; // 💰 for income, 💸 for expense
   let description = transaction.memo ? `${transaction.description} - ${transaction.memo}` : transaction.description;
+  const tags = transaction.tags && transaction.tags.length > 0 ? ` ${transaction.tags.map(tag => `#${tag}`).join(' ')}` : '';
+  const marks = Object.values(TRANSACTION_MARKS).filter(mark => transaction[mark.field]).map(mark => mark.label);
+  const note = `${transaction.note ? `\nNote: ${escape(transaction.note)}` : ''}${marks.length > 0 ? `\nMarks: ${marks.join(', ')}` : ''}`;
 
   return `
-Acccount: *${transaction.accountNumber} ${incomeOrExpenseEmoji}*
-Amount: *${chargedAmount}*
-Description: *${description}*${transaction.translatedDescription ? `\nDescription (EN): *${transaction.translatedDescription}*` : ''}
-Date: *${date}*${transaction.identifier ? `\nId: *${transaction.identifier}*` : ''}
+Acccount: ${bold(`${transaction.accountNumber} ${incomeOrExpenseEmoji}`)}
+Amount: ${bold(chargedAmount)}${amountILS}${originalAmount}
+Description: ${bold(description)}${transaction.translatedDescription ? `\nDescription (${TRANSLATION_LANGUAGE === 'English' ? 'EN' : TRANSLATION_LANGUAGE}): ${bold(transaction.translatedDescription)}` : ''}${transaction.category ? `\nCategory: ${bold(transaction.category)}${tags}` : ''}${note}
+Date: ${bold(date)}${transaction.identifier ? `\nId: ${bold(transaction.identifier)}` : ''}
 
-Processed Date: ${processedDate}${transaction.type != 'normal' ? `\nType: *${transaction.type}*` : ''}
+Processed Date: ${processedDate}${transaction.type != 'normal' ? `\nType: ${bold(transaction.type)}` : ''}
 Status: ${transaction.status}
 `;
 }
 
 /**
- * Function to translate transactions' descriptions using OpenAI Chat API
- * @param {string[]} descriptions
- * @returns {Promise<string[]>} Translated descriptions
+ * Function to format transaction for Telegram, with the inline keyboard of the transaction actions
+ * if the bot listens for commands and button presses
+ * @param {any} transaction
+ * @returns {string | {text: string, replyMarkup: any}} Formatted transaction
  */
-async function translateDescriptions(descriptions) {
-  if (!isTranslationEnabled) {
-    return descriptions.map(_ => null);
+function formatTelegram(transaction) {
+  if (TELEGRAM_BOT_COMMANDS !== 'true' || !transaction._id) {
+    return format(transaction);
   }
 
-  const api = new ChatGPTAPI({
-    apiKey: process.env.OPENAI_API_KEY,
-    completionParams: {
-      model: process.env.GPT_MODEL_FAST || 'gpt-3.5-turbo',
-      temperature: 0.2 // for stable results
-    }
-  });
-
-  // Join all descriptions into one string
-  const descriptionsString = descriptions.join('\n');
-
-  const request = GPT_TRANSLATION_PROMPT.replace(/\\n/g, '\n').replace(GPT_TRANSLATION_PROMPT_PLACEHOLDER, descriptionsString);
-
-  logger.info("Translation request was sent, count of phrases: " + descriptions.length);
-  logger.debug({ request });
+  return { text: format(transaction), replyMarkup: getTransactionKeyboard(transaction) };
+}
 
-  const response = await api.sendMessage(request)
+/**
+ * Function to format transaction for Discord
+ * @param {any} transaction
+ * @returns {string} Formatted transaction
+ */
+function formatDiscord(transaction) {
+  return format(transaction, text => `**${text}**`, text => text);
+}
 
-  // Note: response can include extra translanslation in the the beginning. Details are below.
-  logger.info("Translation response was received");
-  logger.debug({ response: response.text });
+/**
+ * Function to format transaction for email
+ * @param {any} transaction
+ * @returns {{subject: string, text: string}} Email subject and plain text body
+ */
+function formatEmail(transaction) {
+  const chargedAmount = formatAmount(transaction.chargedAmount, getChargedCurrency(transaction));
+  const description = transaction.translatedDescription || transaction.description;
 
-  // Split the text into lines and obtain translations from the response in the format:
-  // "translate1
-  // translate2"
-  // Note: The first line of the response corresponds to the translation of the first phrase from the request.
-  // This is why the first line is ignored (traslations.slice(1)).
-  // This is done to form a list of phrases that can be more clearly understood by the GPT when there is only one phrase.
-  let traslations = response.text.split('\n').map(translation => translation.trim());
-  if (traslations.length - 1 !== descriptions.length) {
-    const errorMessage = `The number of translations (${traslations.length - 1}) does not match the number of descriptions (${descriptions.length})`;
-    logger.warn(errorMessage);
-    throw new Error(errorMessage);
-  }
+  return {
+    subject: `${transaction.chargedAmount > 0 ? '💰' : '💸'} ${chargedAmount} - ${description}`,
+    text: format(transaction, text => text, text => text).trim()
+  };
+}
 
-  return traslations.slice(1);
+/**
+ * Function to format alert (budget, etc.) as text message, Telegram Markdown by default
+ * @param {{emoji: string, title: string, text: string}} alert
+ * @param {function} bold Function to highlight text
+ * @param {function} escape Function to escape plain text
+ * @returns {string} Formatted alert
+ */
+function formatAlert(alert, bold = text => `*${escapeMarkdown(text)}*`, escape = escapeMarkdown) {
+  return `${alert.emoji} ${bold(alert.title)}\n\n${escape(alert.text)}`;
 }
 
 /**
- * Function to put translation to cache
- * @param {string} description
- * @param {string} translation
+ * Function to format transaction for generic JSON webhook
+ * @param {any} transaction
+ * @returns {any} JSON payload
  */
-async function setTranslationToCache(description, translation) {
-  const client = new MongoClient(process.env.MONGO_CONNECTION_STRING);
-  try {
-    await client.connect();
-    const database = client.db(DB_NAME);
-    const translations = database.collection(TRANSLATIONS_COLLECTION_NAME);
+function formatWebhook(transaction) {
+  return { event: 'transaction', transaction };
+}
 
-    try {
-      await translations.insertOne({ _id: description, translation: translation });
-    } catch (error) {
-      if (error.code !== 11000) { // Ignore duplicate key error
-        throw error;
+/**
+ * Function to create translation provider by name. A provider translates a list of descriptions
+ * and returns null for the descriptions it can't translate.
+ * isLastProvider is true when no other provider follows, so the provider should translate as much as it can.
+ * The chat providers suggest categories too, see createChatTranslationProvider.
+ * @param {string} name openai | openai-compatible | dictionary | none
+ * @returns {{name: string, translate: function(string[], {translationCalls: number}, {isLastProvider: boolean}): Promise<string[]>, suggestCategories?: function(string[]): Promise<string[]>}} Provider, null if it isn't configured
+ */
+function createTranslationProvider(name) {
+  switch (name) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        logger.error(`OPENAI_API_KEY is required for the openai translation provider`);
+        return null;
       }
-    }
-  } finally {
-    await client.close();
+      return createChatTranslationProvider({
+        name,
+        url: 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.GPT_MODEL_FAST || 'gpt-3.5-turbo'
+      });
+    case 'openai-compatible':
+      if (!process.env.TRANSLATION_API_URL || !process.env.TRANSLATION_API_MODEL) {
+        logger.error(`TRANSLATION_API_URL and TRANSLATION_API_MODEL are required for the openai-compatible translation provider`);
+        return null;
+      }
+      return createChatTranslationProvider({
+        name,
+        url: process.env.TRANSLATION_API_URL,
+        apiKey: process.env.TRANSLATION_API_KEY,
+        model: process.env.TRANSLATION_API_MODEL
+      });
+    case 'dictionary':
+      return createDictionaryTranslationProvider(TRANSLATION_DICTIONARY_PATH);
+    case 'none':
+    case '':
+      return null;
+    default:
+      logger.error(`Unknown translation provider: ${name}. Expected one of: openai, openai-compatible, dictionary, none`);
+      return null;
   }
 }
 
 /**
- * Function to get translation from cache
- * @param {string} description
- * @returns {Promise<string>} Cached translation
+ * Function to get "original text|translation" lines from the translation prompt of the previous versions (GPT_TRANSLATION_PROMPT),
+ * so the custom phrases keep working
+ * @param {string} legacyPrompt
+ * @returns {string} Instructions with the known translations, undefined if there are none
  */
-async function getTranslationFromCache(description) {
-  const client = new MongoClient(process.env.MONGO_CONNECTION_STRING);
-  try {
-    await client.connect();
-    const database = client.db(DB_NAME);
-    const translations = database.collection(TRANSLATIONS_COLLECTION_NAME);
-    const doc = await translations.findOne({ _id: description });
-    return doc ? doc.translation : null;
-  } finally {
-    await client.close();
+function getKnownTranslationsFromLegacyPrompt(legacyPrompt) {
+  const lines = (legacyPrompt || '').replace(/\\n/g, '\n').split('\n')
+    .map(line => line.trim())
+    .filter(line => /^[^|]+\|[^|]+$/.test(line) && !line.includes('original text'));
+
+  if (lines.length === 0) {
+    return undefined;
   }
-}
 
+  return `Use the list of correct translations of some phrases (format: "original text|translation"):\n${lines.join('\n')}`;
+}
 
 /**
- * Function to get list of translations for given descriptions from cache or OpenAI Chat API
- * @param {any[]} transaction
- * @returns {Promise<string[]>} Translated descriptions
+ * Function to create translation provider using Chat Completions API of OpenAI or of an OpenAI-compatible server
+ * (e.g. a local model served by Ollama or llama.cpp). The descriptions are sent and translated as JSON,
+ * the descriptions missing in a malformed response are requested one by one.
+ * The provider suggests categories from CATEGORIES for the descriptions the same way.
+ * @param {{name: string, url: string, apiKey: string, model: string}} options Provider name, API base URL, key and model
+ * @returns {{name: string, translate: function(string[], {translationCalls: number}): Promise<string[]>, suggestCategories: function(string[]): Promise<string[]>}}
  */
-async function getTranslations(transactions) {
-  const descriptionsToTranslate = transactions.map(transaction => {
-    return transaction.memo ? `${transaction.description} - ${transaction.memo}` : transaction.description;
-  });
+function createChatTranslationProvider({ name, url, apiKey, model }) {
+  const instructions = [
+    'You are a translation service for descriptions of Israeli bank and credit card transactions.',
+    `Translate the text of every item into ${TRANSLATION_LANGUAGE}, specifically in the Israeli context. `
+    + 'Transliterate names of businesses and people instead of translating their meaning, e.g. "אושר עד" is "Osher Ad", "פועלים" is "Hapoalim", "מוביט" is "Moovit".',
+    'The request is JSON: {"items": [{"id": 0, "text": "..."}]}. '
+    + 'Respond with JSON only: {"translations": [{"id": 0, "translation": "..."}]}, with a translation for every id of the request.',
+    TRANSLATION_PROMPT
+  ].filter(instruction => instruction).join('\n\n');
 
-  let translations = [];
-  let uniqueNotCachedDescrs = new Set();
-  let cachedTranslations = {};
+  const categoryInstructions = [
+    'You are a categorization service for descriptions of Israeli bank and credit card transactions.',
+    `Choose the best category for the text of every item from the list: ${CATEGORIES.join(', ')}.`,
+    'The request is JSON: {"items": [{"id": 0, "text": "..."}]}. '
+    + 'Respond with JSON only: {"categories": [{"id": 0, "category": "..."}]}, with a category for every id of the request.'
+  ].join('\n\n');
 
-  for (const description of descriptionsToTranslate) {
-    let cachedTranslation = await getTranslationFromCache(description);
-    if (cachedTranslation) {
-      cachedTranslations[description] = cachedTranslation;
-    } else {
-      uniqueNotCachedDescrs.add(description);
+  // Send the descriptions as JSON items, the response content is JSON too
+  const requestChatCompletion = async (systemMessage, descriptions) => {
+    const response = await fetch(`${url.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+      body: JSON.stringify({
+        model,
+        temperature: 0.2, // for stable results
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: systemMessage },
+          { role: 'user', content: JSON.stringify({ items: descriptions.map((text, id) => ({ id, text })) }) }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Chat completion request failed with status ${response.status} ${response.statusText}`);
     }
-  }
 
-  uniqueNotCachedDescrs = Array.from(uniqueNotCachedDescrs);
+    const content = (await response.json()).choices?.[0]?.message?.content;
+    logger.debug({ response: content });
+    return content;
+  };
 
-  if (uniqueNotCachedDescrs.length > 0) {
-    try {
-      const newTranslations = await retry(async () => {
-        return await translateDescriptions(uniqueNotCachedDescrs);
-      }, {
-        retries: 5,
-        factor: 2,
-        minTimeout: 20000,
-        randomize: true
-      });
+  const requestTranslations = async (descriptions, counters) => {
+    counters.translationCalls++;
+    logger.info(`Translation request was sent, count of phrases: ${descriptions.length}`, { provider: name });
+
+    const content = await requestChatCompletion(instructions, descriptions);
+    logger.info("Translation response was received", { provider: name });
 
-      for (let i = 0; i < uniqueNotCachedDescrs.length; i++) {
-        await setTranslationToCache(uniqueNotCachedDescrs[i], newTranslations[i]);
-        cachedTranslations[uniqueNotCachedDescrs[i]] = newTranslations[i];
+    return parseTranslationResponse(content, descriptions.length);
+  };
+
+  return {
+    name,
+    translate: async (descriptions, counters) => {
+      const translations = await requestTranslations(descriptions, counters);
+
+      const missingIndexes = descriptions.map((_, index) => index).filter(index => !translations[index]);
+      if (descriptions.length > 1 && missingIndexes.length > 0) {
+        logger.warn(`Translation response has no translations for ${missingIndexes.length} of ${descriptions.length} phrases, requesting them one by one`, { provider: name });
+
+        for (const index of missingIndexes) {
+          try {
+            [translations[index]] = await requestTranslations([descriptions[index]], counters);
+          } catch (error) {
+            logger.warn(`Failed to translate phrase`, { provider: name, errorMessage: error.message });
+          }
+        }
       }
-    } catch (error) {
-      logger.error(`Failed to translate descriptions`,
-        { errorMessage: error.message, errorStack: error.stack });
-      logger.debug({ descriptions: uniqueNotCachedDescrs });
-    }
-  }
 
-  // Form a list of translations in the same order as the list of transactions
-  translations = descriptionsToTranslate.map(description => cachedTranslations[description]);
+      return translations;
+    },
+    // Missing categories are undefined, so they aren't cached, unknown categories are null
+    suggestCategories: async descriptions => {
+      logger.info(`Category suggestion request was sent, count of phrases: ${descriptions.length}`, { provider: name });
 
-  return translations;
+      const content = await requestChatCompletion(categoryInstructions, descriptions);
+      logger.info("Category suggestion response was received", { provider: name });
+
+      return parseChatItemsResponse(content, descriptions.length, 'categories', 'category')
+        .map(category => category === null ? undefined : CATEGORIES.find(known => known.toLowerCase() === category.toLowerCase()) || null);
+    }
+  };
 }
 
+/**
+ * Function to parse JSON response of the chat translation provider: {"translations": [{"id": 0, "translation": "..."}]}
+ * @param {string} content Response message
+ * @param {number} count Number of the requested descriptions
+ * @returns {string[]} Translations by id, null for the missing and invalid ones
+ */
+function parseTranslationResponse(content, count) {
+  return parseChatItemsResponse(content, count, 'translations', 'translation');
+}
 
 /**
- * Function to get existing transactions from db (by date, chargedAmount, description, processedDate, status and translatedDescription)
- * @param {any} transactions 
- * @returns {Promise<any[]>} Set of transaction keys (date+chargedAmount+description+processedDate+status)
+ * Function to parse JSON response of the chat provider with a value for each requested item, e.g. {"categories": [{"id": 0, "category": "..."}]}
+ * @param {string} content Response message
+ * @param {number} count Number of the requested items
+ * @param {string} listName Name of the array in the response
+ * @param {string} field Name of the value field of the array items
+ * @returns {string[]} Values by id, null for the missing and invalid ones
  */
-async function getExistingTransactions(transactions) {
-  const client = new MongoClient(process.env.MONGO_CONNECTION_STRING);
-  if (transactions.length === 0) {
-    return new Set();
-  }
+function parseChatItemsResponse(content, count, listName, field) {
+  const values = new Array(count).fill(null);
 
+  let items;
   try {
-    await client.connect();
-    const database = client.db(DB_NAME);
-    const transCollection = database.collection(TRANSACTIONS_COLLECTION_NAME);
-
-    const query = {
-      $or: transactions.map(transaction => ({
-        date: transaction.date,
-        chargedAmount: transaction.chargedAmount,
-        description: transaction.description,
-
-        // following fields will update if transaction already exists, so we need to check them too
-        processedDate: transaction.processedDate,
-        status: transaction.status,
-        translatedDescription: { $not: { $eq: null } }
-      }))
-    };
+    items = JSON.parse(content)[listName];
+  } catch (error) {
+    logger.warn(`Chat response is not valid JSON`, { listName, errorMessage: error.message });
+    return values;
+  }
 
-    const cursor = transCollection.find(query);
-    const existingTransactions = new Set();
+  if (!Array.isArray(items)) {
+    logger.warn(`Chat response has no "${listName}" array`);
+    return values;
+  }
 
-    for await (const doc of cursor) {
-      existingTransactions.add(doc.date + doc.chargedAmount + doc.description + doc.processedDate + doc.status);
+  items.forEach(item => {
+    const id = Number(item?.id);
+    if (Number.isInteger(id) && id >= 0 && id < count && typeof item[field] === 'string' && item[field].trim()) {
+      values[id] = item[field].trim();
     }
+  });
 
-    return existingTransactions;
-
-  } finally {
-    await client.close();
-  }
+  return values;
 }
 
 /**
- * Function to save or update transaction in db
- * @param {any} transaction 
- * @returns {Promise<boolean>} true if transaction was inserted, false if transaction already exists
+ * Translations of common Hebrew words and names of Israeli businesses for the dictionary translation provider
  */
-async function saveOrUpdate(transaction) {
-  const client = new MongoClient(process.env.MONGO_CONNECTION_STRING);
-  try {
-    await client.connect();
-    const database = client.db(DB_NAME);
-    const transCollection = database.collection(TRANSACTIONS_COLLECTION_NAME);
-
-    // Check if transaction already exists
-    const existingTransaction = await transCollection.findOne({
-      date: transaction.date,
-      chargedAmount: transaction.chargedAmount,
-      description: transaction.description
-    });
+const BUILTIN_TRANSLATIONS = {
+  'בנק הפועלים': 'Bank Hapoalim', 'פועלים': 'Hapoalim', 'לאומי': 'Leumi', 'דיסקונט': 'Discount', 'מזרחי טפחות': 'Mizrahi Tefahot',
+  'ישראכרט': 'Isracard', 'כאל': 'Cal', 'מקס': 'Max', 'אמריקן אקספרס': 'American Express', 'מסטרקרד': 'Mastercard', 'ויזה': 'Visa',
+  'ביט': 'Bit', 'פייבוקס': 'PayBox', 'פנגו': 'Pango', 'מוביט': 'Moovit', 'רב קו': 'Rav-Kav', 'רכבת ישראל': 'Israel Railways', 'אגד': 'Egged',
+  'אושר עד': 'Osher Ad', 'שופרסל': 'Shufersal', 'רמי לוי': 'Rami Levy', 'יוחננוף': 'Yochananof', 'ויקטורי': 'Victory', 'טיב טעם': 'Tiv Taam',
+  'יינות ביתן': 'Yeinot Bitan', 'סופר פארם': 'Super-Pharm', 'גוד פארם': 'Good Pharm', 'איקאה': 'IKEA', 'וולט': 'Wolt', 'תן ביס': 'Ten Bis',
+  'פז': 'Paz', 'דלק': 'Delek', 'סונול': 'Sonol', 'דור אלון': 'Dor Alon',
+  'חברת החשמל': 'Israel Electric Corporation', 'בזק': 'Bezeq', 'פרטנר': 'Partner', 'סלקום': 'Cellcom', 'הוט': 'HOT',
+  'מכבי': 'Maccabi', 'כללית': 'Clalit', 'מאוחדת': 'Meuhedet', 'ביטוח לאומי': 'National Insurance', 'מס הכנסה': 'Income Tax',
+  'ארנונה': 'Arnona', 'עיריית': 'Municipality of', 'ועד בית': 'House committee', 'דמי ניהול': 'Management fee',
+  'העברה': 'Transfer', 'משכורת': 'Salary', 'משיכת מזומן': 'Cash withdrawal', 'כספומט': 'ATM', 'הפקדה': 'Deposit', 'עמלה': 'Fee',
+  'ריבית': 'Interest', 'הוראת קבע': 'Standing order', 'הלוואה': 'Loan', 'החזר': 'Refund', 'זיכוי': 'Credit', 'חיוב': 'Charge',
+  'מסעדת': 'Restaurant', 'מסעדה': 'Restaurant', 'קפה': 'Cafe', 'פיצה': 'Pizza', 'בית מרקחת': 'Pharmacy', 'חניון': 'Parking lot', 'חניה': 'Parking'
+};
 
-    if (existingTransaction) {
-      // Transaction exists, update it
-      await transCollection.updateOne(
-        {
-          date: transaction.date,
-          chargedAmount: transaction.chargedAmount,
-          description: transaction.description
-        },
-        {
-          $set: transaction,
-          $currentDate: { updatedAt: true } // Add or update a updatedAt field with the current date
-        }
-      );
+/**
+ * Latin letters for Hebrew letters, the first and the last letters of a word can be pronounced differently
+ */
+const HEBREW_TRANSLITERATION = {
+  'א': '', 'ב': 'v', 'ג': 'g', 'ד': 'd', 'ה': 'h', 'ו': 'o', 'ז': 'z', 'ח': 'ch', 'ט': 't', 'י': 'i', 'כ': 'ch', 'ך': 'ch', 'ל': 'l',
+  'מ': 'm', 'ם': 'm', 'נ': 'n', 'ן': 'n', 'ס': 's', 'ע': '', 'פ': 'f', 'ף': 'f', 'צ': 'tz', 'ץ': 'tz', 'ק': 'k', 'ר': 'r', 'ש': 'sh', 'ת': 't'
+};
+const HEBREW_TRANSLITERATION_FIRST = { 'א': 'a', 'ב': 'b', 'ו': 'v', 'י': 'y', 'כ': 'k', 'ע': 'a', 'פ': 'p' };
+const HEBREW_TRANSLITERATION_LAST = { 'ה': 'a' };
 
-      return false;
-    } else {
-      transaction.createdAt = new Date(); // Add a createdAt field with the current date
-      await transCollection.insertOne(transaction);
+/**
+ * Function to create offline translation provider: the known phrases are taken from the dictionary.
+ * The descriptions with unknown words are left to the next provider, the last provider transliterates the unknown Hebrew words.
+ * The built-in dictionary is extended by TRANSLATION_DICTIONARY_PATH.
+ * @param {string} dictionaryPath Optional JSON file with translations by original phrase: {"אושר עד": "Osher Ad"}
+ * @returns {{name: string, translate: function(string[], any, {isLastProvider: boolean}): Promise<string[]>}}
+ */
+function createDictionaryTranslationProvider(dictionaryPath) {
+  let dictionaryPromise;
 
-      return true;
+  const loadDictionary = async () => {
+    const translations = { ...BUILTIN_TRANSLATIONS };
+    if (dictionaryPath) {
+      try {
+        Object.assign(translations, JSON.parse(await readFile(dictionaryPath, 'utf8')));
+      } catch (error) {
+        logger.error(`Failed to load translation dictionary ${dictionaryPath}, the built-in dictionary is used`, { errorMessage: error.message });
+      }
     }
-  } finally {
-    await client.close();
-  }
+
+    return new Map(Object.entries(translations).map(([original, translation]) => [normalizePhrase(original), translation]));
+  };
+
+  return {
+    name: 'dictionary',
+    translate: async (descriptions, counters, { isLastProvider = true } = {}) => {
+      dictionaryPromise = dictionaryPromise || loadDictionary();
+      const dictionary = await dictionaryPromise;
+      return descriptions.map(description => translateByDictionary(description, dictionary, isLastProvider));
+    }
+  };
 }
 
 /**
- * Function to check MongoDB availability
- * 
- * @param {string} uri MongoDB connection string
- * @returns {Promise<boolean>} true if MongoDB is available, false otherwise
+ * Function to split phrase into words, punctuation is dropped
+ * @param {string} phrase
+ * @returns {string[]} Words
  */
-async function checkMongoDB(uri) {
-  let client
-  try {
-    client = new MongoClient(uri);
-    await client.connect();
-    return true;
-  } catch (error) {
-    console.error('Failed to connect to MongoDB.', { errorMessage: error.message, errorStack: error.stack });
-    return false;
-  } finally {
-    if (client) {
-      await client.close();
-    }
-  }
+function splitWords(phrase) {
+  return phrase.split(/[^\p{L}\p{N}]+/u).filter(word => word);
 }
 
 /**
- * Function to send transaction to Telegram chat with retries
- * @param {any} transaction
- * @param {string} chatId Telegram chat ID
+ * Function to normalize phrase for dictionary lookup: lower case words separated by a space
+ * @param {string} phrase
+ * @returns {string} Normalized phrase
  */
-async function notify(transaction, chatId, taskKey) {
-  if (!process.env.TELEGRAM_BOT_TOKEN || !chatId) {
-    logger.info('No Telegram bot token or chat ID found. Skipping notification.', { taskKey: taskKey });
-    return;
-  }
-
-  const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
-
-  try {
-    await retry(async () => {
-      await bot.sendMessage(chatId, format(transaction), { parse_mode: 'Markdown' });
-    }, {
-      retries: 5,
-      minTimeout: 30 * 1000, // 30 seconds
-      randomize: true,
-    });
-  } catch (error) {
-    // If the request still fails after all retries, log the error
-    logger.error(`Failed to send message to Telegram`,
-      { transactionDbId: transaction._id, errorMessage: error.message, errorStack: error.stack });
-  }
+function normalizePhrase(phrase) {
+  return splitWords(phrase.toLowerCase()).join(' ');
 }
 
 /**
- * Function to sync bank transactions, store to MongoDB and send to Telegram chat
- * @param {string} taskKey Task key for logging
- * @param {string} user User code
- * @param {CompanyTypes} companyId Company ID
- * @param {any} credentials Credentials for the financial service
- * @param {string} chatId Telegram chat ID
+ * Function to translate description by dictionary: the whole description, or the longest known phrases (up to 4 words)
+ * with the rest of the Hebrew words transliterated
+ * @param {string} description
+ * @param {Map<string, string>} dictionary Translations by normalized phrase
+ * @param {boolean} isTransliterated Optional: false to return null for the descriptions with Hebrew words not in the dictionary
+ * @returns {string} Translation, null if the description isn't translated
  */
-async function handleTransactions(taskKey, user, companyId, credentials, chatId) {
-
-  const daysCount = Number(process.env.SYNC_DAYS_COUNT) || 7;
-  const initialSyncDate = new Date(new Date().setDate(new Date().getDate() - daysCount));
-
-  logger.info(`Sync started...`, { taskKey, initialSyncDate: DateTime.fromJSDate(initialSyncDate).toISODate() });
-
-  let scraperOptions = {
-    companyId: companyId,
-    startDate: initialSyncDate,
-    combineInstallments: false,
-    timeout: 0, // no timeout
+function translateByDictionary(description, dictionary, isTransliterated = true) {
+  const normalizedDescription = normalizePhrase(description);
+  if (dictionary.has(normalizedDescription)) {
+    return dictionary.get(normalizedDescription);
   }
 
-  if (process.env.DOCKER === 'true') {
-    scraperOptions.browser = await puppeteer.launch({
-      headless: "new",
-      executablePath: '/usr/bin/chromium-browser',
-      args: [
-        "--disable-gpu",
-        "--disable-dev-shm-usage",
-        "--disable-setuid-sandbox",
-        "--no-sandbox",
-      ]
-    })
+  if (!/[\u0590-\u05FF]/.test(description)) {
+    return isTransliterated ? description : null;
   }
 
-  const syncResult = await createScraper(scraperOptions).scrape(credentials);
-
-  if (syncResult.success) {
-    let transactions = [];
-    syncResult.accounts.forEach((account) => {
-      account.txns.forEach((txn) => {
-        transactions.push({
-          accountNumber: account.accountNumber,
-          date: new Date(txn.date),
-          description: txn.description,
-          translatedDescription: null, // will be filled later
-          memo: txn.memo, // can be null
-          originalAmount: txn.originalAmount,
-          originalCurrency: txn.originalCurrency, // can be null, possible wrong value: ILS instead of USD
-          chargedAmount: txn.chargedAmount, // possible the same as originalAmount, even if originalCurrency is USD/EUR
-          type: txn.type, // normal | installments
-          status: txn.status, // completed | pending
-          identifier: txn.identifier, // can be null
-          processedDate: new Date(txn.processedDate),
-          installments: txn.installments, // can be null
-          category: txn.category, // can be null
-          companyId: companyId,
-          userCode: user,
-          chatId: chatId
-        });
-      });
-    });
-
-    if (transactions.length === 0) {
-      logger.info(`No transactions found.`, { taskKey });
-      return;
-    }
-
-    logger.info(`Total transactions found: ${transactions.length}`, { taskKey });
-
-    // Sort transactions by date from oldest to newest
-    transactions.sort((a, b) => a.date - b.date)
-
-    const existingTransactions = await getExistingTransactions(transactions);
-
-    // Filter out the transactions that already exist in the db and don't need to be updated
-    if (existingTransactions.size > 0) {
-      transactions = existingTransactions.size > 0 ? transactions.filter(transaction => {
-        const key = transaction.date + transaction.chargedAmount + transaction.description + transaction.processedDate + transaction.status;
-        return !existingTransactions.has(key);
-      }) : transactions;
+  const words = splitWords(description);
+  const getPhrase = (start, length) => normalizePhrase(words.slice(start, start + length).join(' '));
+  const translatedWords = [];
+  for (let i = 0; i < words.length;) {
+    const length = [4, 3, 2, 1].find(length => i + length <= words.length && dictionary.has(getPhrase(i, length)));
+    if (length) {
+      translatedWords.push(dictionary.get(getPhrase(i, length)));
+      i += length;
+    } else if (isTransliterated || !/[\u0590-\u05FF]/.test(words[i])) {
+      translatedWords.push(transliterateHebrew(words[i]));
+      i++;
+    } else {
+      return null;
     }
+  }
 
-    let counters = {
-      new: 0,
-      updated: 0
-    };
-
-    const chunkSize = Number(process.env.GPT_TRANSLATION_COUNT) || 30;
-    let chunkCount = Math.ceil(transactions.length / chunkSize);
-
-    for (let i = 0; i < chunkCount; i++) {
+  return translatedWords.join(' ');
+}
 
-      let currentTransactions = transactions.slice(i * chunkSize, (i + 1) * chunkSize);
+/**
+ * Function to transliterate Hebrew word to Latin letters, other characters are kept as is
+ * @param {string} word
+ * @returns {string} Transliterated word with the first letter capitalized
+ */
+function transliterateHebrew(word) {
+  if (!/[\u0590-\u05FF]/.test(word)) {
+    return word;
+  }
 
-      // Create a list of descriptions to translate
-      const translations = await getTranslations(currentTransactions);
+  const letters = [...word];
+  const transliteration = letters.map((letter, index) => {
+    const specialLetters = index === 0 ? HEBREW_TRANSLITERATION_FIRST : index === letters.length - 1 ? HEBREW_TRANSLITERATION_LAST : {};
+    return specialLetters[letter] ?? HEBREW_TRANSLITERATION[letter] ?? letter;
+  }).join('');
 
-      // Assign translations back to current transactions
-      currentTransactions.forEach((transaction, index) => {
-        transaction.translatedDescription = translations[index];
-      });
+  return transliteration.charAt(0).toUpperCase() + transliteration.slice(1);
+}
 
-      for (const transaction of currentTransactions) {
-        const isNewTransaction = await saveOrUpdate(transaction);
+/**
+ * Function to put translations to cache. Existing translations (including manual overrides) are not overwritten,
+ * except the ones of the dictionary provider, which are replaced by the translations of the other providers.
+ * @param {Map<string, string>} translations Translation by description
+ * @param {string} source Name of the translation provider
+ */
+async function setTranslationsToCache(translations, source) {
+  if (translations.size === 0) {
+    return;
+  }
 
-        // Send notification only if transaction is new
-        if (isNewTransaction) {
-          counters.new++;
-          await notify(transaction, chatId, taskKey);
-        } else {
-          counters.updated++;
-        }
+  await withCollection(TRANSLATIONS_COLLECTION_NAME, collection =>
+    collection.bulkWrite([...translations].flatMap(([description, translation]) => [{
+      updateOne: {
+        filter: { _id: description },
+        update: { $setOnInsert: { translation: translation, source: source, createdAt: new Date(), updatedAt: new Date() } },
+        upsert: true
       }
-    }
-
-    logger.info(`Sync finished. New: ${counters.new}, updated: ${counters.updated}`, { taskKey });
-  } else {
-    logger.error(`Sync failed`,
-      { taskKey, errorType: syncResult.errorType });
-    logger.debug({ errorMessage: syncResult.errorMessage })
-  }
+    }, ...(source === 'dictionary' ? [] : [{
+      updateOne: {
+        filter: { _id: description, source: 'dictionary' },
+        update: { $set: { translation: translation, source: source, updatedAt: new Date() } }
+      }
+    }])]), { ordered: false }));
+}
+
+/**
+ * Function to get translations from cache with one query
+ * @param {string[]} descriptions
+ * @returns {Promise<Map<string, {translation: string, source: string}>>} Cached translation by description
+ */
+async function getTranslationsFromCache(descriptions) {
+  const docs = await withCollection(TRANSLATIONS_COLLECTION_NAME, collection =>
+    collection.find({ _id: { $in: [...new Set(descriptions)] } }).toArray());
+  return new Map(docs.filter(doc => doc.translation).map(doc => [doc._id, doc]));
+}
+
+/**
+ * Function to get the key of the transaction in the translations cache
+ * @param {any} transaction
+ * @returns {string} Description, with memo if the transaction has one
+ */
+function getTranslationKey(transaction) {
+  return transaction.memo ? `${transaction.description} - ${transaction.memo}` : transaction.description;
+}
+
+/**
+ * Function to get merchant name patterns from db sorted by priority (lower first)
+ * @returns {Promise<any[]>} Patterns with compiled regex, the ones with invalid regular expression are skipped
+ */
+async function getTranslationPatterns() {
+  const patterns = await withCollection(TRANSLATION_PATTERNS_COLLECTION_NAME, collection =>
+    collection.find({}).sort({ priority: 1, _id: 1 }).toArray());
+
+  return patterns.filter(pattern => {
+    try {
+      pattern.regex = new RegExp(pattern.pattern, 'i');
+      return true;
+    } catch (error) {
+      logger.error(`Invalid regular expression in translation pattern, the pattern is ignored`, { patternId: pattern._id, errorMessage: error.message });
+      return false;
+    }
+  });
+}
+
+/**
+ * Function to get merchant name of the first pattern matching the description of the transaction
+ * @param {any[]} patterns Patterns, see getTranslationPatterns
+ * @param {any} transaction
+ * @returns {string | undefined} Canonical merchant name
+ */
+function getPatternTranslation(patterns, transaction) {
+  return patterns.find(pattern => pattern.regex.test(transaction.description))?.name;
+}
+
+/**
+ * Function to get list of translations for given descriptions.
+ * Manual overrides win, then the merchant name patterns, then the cache and the translation providers.
+ * Descriptions without translation are not cached, so they are translated again on the next sync.
+ * The cached translations of the dictionary provider are passed again to the providers configured before it.
+ * @param {any[]} transaction
+ * @param {{translationCalls: number}} counters Optional: translationCalls is increased by the number of requests to translation API
+ * @returns {Promise<string[]>} Translated descriptions
+ */
+async function getTranslations(transactions, counters = { translationCalls: 0 }) {
+  const descriptionsToTranslate = transactions.map(getTranslationKey);
+
+  let translations = [];
+  const patterns = await getTranslationPatterns();
+  const cachedDocs = await getTranslationsFromCache(descriptionsToTranslate);
+  const cachedTranslations = new Map([...cachedDocs].map(([description, doc]) => [description, doc.translation]));
+  const dictionaryIndex = translationProviders.findIndex(provider => provider.name === 'dictionary');
+  const dictionaryDescrs = new Set(dictionaryIndex > 0
+    ? [...cachedDocs].filter(([, doc]) => doc.source === 'dictionary').map(([description]) => description)
+    : []);
+
+  transactions.forEach((transaction, i) => {
+    const patternTranslation = getPatternTranslation(patterns, transaction);
+    if (patternTranslation && cachedDocs.get(descriptionsToTranslate[i])?.source !== 'manual') {
+      cachedTranslations.set(descriptionsToTranslate[i], patternTranslation);
+      dictionaryDescrs.delete(descriptionsToTranslate[i]);
+    }
+  });
+
+  let notTranslatedDescrs = [...new Set(descriptionsToTranslate.filter(description => !cachedTranslations.has(description)))];
+
+  for (const [index, provider] of translationProviders.entries()) {
+    // The dictionary translations are kept if the providers before the dictionary don't translate them
+    const descriptions = index < dictionaryIndex ? [...notTranslatedDescrs, ...dictionaryDescrs] : notTranslatedDescrs;
+    if (descriptions.length === 0) {
+      continue;
+    }
+
+    try {
+      // Retry failed requests, the descriptions missing in the response are handled by the provider
+      const newTranslations = await retry(async () => {
+        return await provider.translate(descriptions, counters, { isLastProvider: index === translationProviders.length - 1 });
+      }, {
+        retries: 5,
+        factor: 2,
+        minTimeout: 20000,
+        randomize: true
+      });
+
+      const newCachedTranslations = new Map(descriptions
+        .map((description, i) => [description, newTranslations[i]])
+        .filter(([, translation]) => translation));
+      await setTranslationsToCache(newCachedTranslations, provider.name);
+      newCachedTranslations.forEach((translation, description) => {
+        cachedTranslations.set(description, translation);
+        dictionaryDescrs.delete(description);
+      });
+      notTranslatedDescrs = notTranslatedDescrs.filter(description => !newCachedTranslations.has(description));
+    } catch (error) {
+      logger.error(`Failed to translate descriptions`,
+        { provider: provider.name, errorMessage: error.message, errorStack: error.stack });
+      logger.debug({ descriptions });
+    }
+  }
+
+  // Form a list of translations in the same order as the list of transactions
+  translations = descriptionsToTranslate.map(description => cachedTranslations.get(description));
+
+  return translations;
+}
+
+/**
+ * Function to get category rules from db sorted by priority (lower first)
+ * @returns {Promise<any[]>} Category rules
+ */
+async function getCategoryRules() {
+  const rules = await withCollection(CATEGORY_RULES_COLLECTION_NAME, collection =>
+    collection.find({}).sort({ priority: 1, _id: 1 }).toArray());
+
+  // Compile regular expressions once, skip the rules with invalid ones
+  return rules.filter(rule => {
+    try {
+      rule.regex = rule.descriptionRegex ? new RegExp(rule.descriptionRegex, 'i') : null;
+      return true;
+    } catch (error) {
+      logger.error(`Invalid descriptionRegex in category rule, the rule is ignored`, { ruleId: rule._id, errorMessage: error.message });
+      return false;
+    }
+  });
+}
+
+/**
+ * Function to check if category rule matches transaction.
+ * All specified conditions of the rule should match, amounts are compared by absolute value in ILS.
+ * @param {any} rule Category rule
+ * @param {any} transaction
+ * @returns {boolean} true if the rule matches the transaction
+ */
+function isCategoryRuleMatched(rule, transaction) {
+  const amount = Math.abs(getAmountILS(transaction));
+
+  return (!rule.userCode || rule.userCode === transaction.userCode)
+    && (!rule.companyId || rule.companyId === transaction.companyId)
+    && (!rule.accountNumber || String(rule.accountNumber) === String(transaction.accountNumber))
+    && (rule.minAmount == null || amount >= rule.minAmount)
+    && (rule.maxAmount == null || amount <= rule.maxAmount)
+    && (!rule.regex || [transaction.description, transaction.memo, transaction.translatedDescription]
+      .some(text => text && rule.regex.test(text)));
+}
+
+/**
+ * Function to assign category and tags to transactions.
+ * The first matching rule wins, otherwise the category from the scraper is used,
+ * otherwise the category suggested by GPT (if enabled).
+ * @param {any[]} transactions Transactions, updated in place
+ * @param {any[]} rules Category rules, see getCategoryRules
+ */
+async function categorizeTransactions(transactions, rules) {
+  const notMatched = [];
+
+  for (const transaction of transactions) {
+    const rule = rules.find(rule => isCategoryRuleMatched(rule, transaction));
+    if (rule) {
+      transaction.category = rule.category;
+      transaction.tags = rule.tags || [];
+      transaction.categorySource = 'rule';
+    } else if (transaction.scraperCategory) {
+      transaction.category = transaction.scraperCategory;
+      transaction.tags = [];
+      transaction.categorySource = 'scraper';
+    } else {
+      transaction.category = null;
+      transaction.tags = [];
+      transaction.categorySource = null;
+      notMatched.push(transaction);
+    }
+  }
+
+  if (!isCategorySuggestionEnabled || notMatched.length === 0) {
+    return;
+  }
+
+  const suggestions = await getCategorySuggestions(notMatched.map(transaction => transaction.description));
+  notMatched.forEach((transaction, index) => {
+    if (suggestions[index]) {
+      transaction.category = suggestions[index];
+      transaction.categorySource = 'gpt';
+    }
+  });
+}
+
+/**
+ * Function to get list of categories for given descriptions from cache or the chat translation provider
+ * @param {string[]} descriptions
+ * @returns {Promise<string[]>} Suggested categories, null if not available
+ */
+async function getCategorySuggestions(descriptions) {
+  const uniqueDescriptions = [...new Set(descriptions)];
+
+  const cachedSuggestions = {};
+  const cached = await withCollection(CATEGORY_SUGGESTIONS_COLLECTION_NAME, collection =>
+    collection.find({ _id: { $in: uniqueDescriptions } }).toArray());
+  cached.forEach(doc => cachedSuggestions[doc._id] = doc.category);
+
+  const notCachedDescriptions = uniqueDescriptions.filter(description => !cachedSuggestions.hasOwnProperty(description));
+
+  if (notCachedDescriptions.length > 0) {
+    try {
+      const newSuggestions = await retry(async () => {
+        return await categorySuggestionProvider.suggestCategories(notCachedDescriptions);
+      }, {
+        retries: 5,
+        factor: 2,
+        minTimeout: 20000,
+        randomize: true
+      });
+
+      // The descriptions without a category in the response are suggested again next time
+      const suggested = notCachedDescriptions.map((description, i) => [description, newSuggestions[i]])
+        .filter(([, category]) => category !== undefined);
+      if (suggested.length > 0) {
+        await withCollection(CATEGORY_SUGGESTIONS_COLLECTION_NAME, collection =>
+          collection.bulkWrite(suggested.map(([description, category]) => ({
+            updateOne: { filter: { _id: description }, update: { $set: { category } }, upsert: true }
+          })), { ordered: false }));
+      }
+      notCachedDescriptions.forEach((description, i) => cachedSuggestions[description] = newSuggestions[i]);
+    } catch (error) {
+      logger.error(`Failed to suggest categories`,
+        { errorMessage: error.message, errorStack: error.stack });
+      logger.debug({ descriptions: notCachedDescriptions });
+    }
+  }
+
+  return descriptions.map(description => cachedSuggestions[description] || null);
+}
+
+/**
+ * Function to re-run category rules over the stored transactions, e.g. after the rules were changed.
+ * Only changed transactions are updated, the categories set manually are kept.
+ * @param {string} userCode Optional user code to recategorize transactions of a particular user
+ */
+async function recategorizeTransactions(userCode) {
+  const rules = await getCategoryRules();
+  const filter = { ...(userCode ? { userCode } : {}), categorySource: { $ne: 'manual' } };
+
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find(filter).toArray());
+
+  logger.info(`Recategorizing ${transactions.length} transactions with ${rules.length} rules...`);
+
+  let updatedCount = 0;
+  const chunkSize = Number(process.env.GPT_TRANSLATION_COUNT) || 30;
+
+  for (let i = 0; i < transactions.length; i += chunkSize) {
+    const currentTransactions = transactions.slice(i, i + chunkSize);
+    // All the saved fields are compared, so the scraper's category is saved for the transactions saved before category rules
+    const getCategoryFields = transaction => JSON.stringify([transaction.category, transaction.tags, transaction.categorySource, transaction.scraperCategory]);
+    const previous = currentTransactions.map(getCategoryFields);
+
+    // The transactions saved before category rules have the scraper's category in the category field
+    currentTransactions.forEach(transaction => {
+      if (!transaction.hasOwnProperty('scraperCategory')) {
+        transaction.scraperCategory = transaction.category;
+      }
+    });
+
+    await categorizeTransactions(currentTransactions, rules);
+
+    const operations = currentTransactions
+      .filter((transaction, index) => previous[index] !== getCategoryFields(transaction))
+      .map(({ _id, category, tags, categorySource, scraperCategory }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $set: { category, tags, categorySource, scraperCategory }, $currentDate: { updatedAt: true } }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.bulkWrite(operations));
+      updatedCount += operations.length;
+    }
+  }
+
+  logger.info(`Recategorization finished. Updated: ${updatedCount}`);
+}
+
+/**
+ * Function to manage category rules from the command line:
+ * "rules list", "rules add <rule JSON>", "rules remove <rule ID>"
+ * @param {string[]} args Command arguments
+ */
+async function runRulesCommand(args) {
+  const [action, value] = args;
+
+  switch (action) {
+    case 'list': {
+      const rules = await withCollection(CATEGORY_RULES_COLLECTION_NAME, collection =>
+        collection.find({}).sort({ priority: 1, _id: 1 }).toArray());
+      rules.forEach(rule => printLine(JSON.stringify(rule)));
+      logger.info(`Total rules: ${rules.length}`);
+      break;
+    }
+    case 'add': {
+      const rule = JSON.parse(value || '{}');
+      if (!rule.category) {
+        throw new Error('Rule should have "category" property');
+      }
+      if (rule.descriptionRegex) {
+        new RegExp(rule.descriptionRegex); // Throws if the regular expression is invalid
+      }
+      if (rule.tags && !Array.isArray(rule.tags)) {
+        throw new Error('Rule "tags" should be an array of strings');
+      }
+
+      const result = await withCollection(CATEGORY_RULES_COLLECTION_NAME, collection =>
+        collection.insertOne({ priority: 100, ...rule, createdAt: new Date() }));
+      logger.info(`Rule added: ${result.insertedId}. Run "recategorize" command to apply it to the stored transactions.`);
+      break;
+    }
+    case 'remove': {
+      const result = await withCollection(CATEGORY_RULES_COLLECTION_NAME, collection =>
+        collection.deleteOne({ _id: new ObjectId(value) }));
+      logger.info(result.deletedCount > 0 ? `Rule removed: ${value}` : `Rule not found: ${value}`);
+      break;
+    }
+    default:
+      throw new Error('Usage: rules list | rules add <rule JSON> | rules remove <rule ID>');
+  }
+}
+
+/**
+ * Function to set translation of the stored transactions, only the changed ones are updated
+ * @param {any[]} transactions Stored transactions
+ * @param {string} translation New translation
+ * @returns {Promise<number>} Number of updated transactions
+ */
+async function updateStoredTranslations(transactions, translation) {
+  const ids = transactions.filter(transaction => transaction.translatedDescription !== translation).map(transaction => transaction._id);
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const result = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.updateMany({ _id: { $in: ids } }, { $set: { translatedDescription: translation }, $currentDate: { updatedAt: true } }));
+  return result.modifiedCount;
+}
+
+/**
+ * Function to get the latest translations from cache
+ * @param {string} search Optional: text to search in descriptions and translations
+ * @param {number} limit Maximum number of translations
+ * @returns {Promise<any[]>} Translations, the latest first
+ */
+async function getRecentTranslations(search, limit) {
+  const regex = search && new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  const query = regex ? { $or: [{ _id: regex }, { translation: regex }] } : {};
+
+  return withCollection(TRANSLATIONS_COLLECTION_NAME, collection =>
+    collection.find(query).sort({ updatedAt: -1 }).limit(limit).toArray());
+}
+
+/**
+ * Function to override translation of the description, the override is applied to the stored transactions too
+ * @param {string} description Description, with " - memo" for the transactions with memo
+ * @param {string} translation Translation
+ * @returns {Promise<number>} Number of updated transactions
+ */
+async function setTranslationOverride(description, translation) {
+  await withCollection(TRANSLATIONS_COLLECTION_NAME, collection =>
+    collection.updateOne({ _id: description }, {
+      $set: { translation: translation, source: 'manual' },
+      $setOnInsert: { createdAt: new Date() },
+      $currentDate: { updatedAt: true }
+    }, { upsert: true }));
+
+  // The description of the transactions with memo is the part of the key before one of the " - "
+  const parts = description.split(' - ');
+  const descriptions = parts.map((part, i) => parts.slice(0, i + 1).join(' - '));
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ description: { $in: descriptions } }).toArray());
+
+  return updateStoredTranslations(transactions.filter(transaction => getTranslationKey(transaction) === description), translation);
+}
+
+/**
+ * Function to delete translation of the description from cache, it's translated again on the next sync.
+ * The stored transactions keep their translations.
+ * @param {string} description Description, with " - memo" for the transactions with memo
+ * @returns {Promise<boolean>} true if the translation was found
+ */
+async function deleteTranslation(description) {
+  const result = await withCollection(TRANSLATIONS_COLLECTION_NAME, collection => collection.deleteOne({ _id: description }));
+  return result.deletedCount > 0;
+}
+
+/**
+ * Function to add merchant name pattern, it's applied to the stored transactions without manual override too
+ * @param {string} pattern Regular expression matching descriptions, case insensitive
+ * @param {string} name Canonical merchant name
+ * @returns {Promise<{id: any, updatedCount: number}>} ID of the pattern and number of updated transactions
+ */
+async function addTranslationPattern(pattern, name) {
+  const regex = new RegExp(pattern, 'i'); // Throws if the regular expression is invalid
+  if (!name) {
+    throw new Error('Merchant name is required');
+  }
+
+  const result = await withCollection(TRANSLATION_PATTERNS_COLLECTION_NAME, collection =>
+    collection.insertOne({ pattern, name, priority: 100, createdAt: new Date() }));
+
+  // Patterns added earlier win, so only the transactions not matching them are updated
+  const patterns = await getTranslationPatterns();
+  const transactions = (await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ description: regex }).toArray()))
+    .filter(transaction => getPatternTranslation(patterns, transaction) === name);
+
+  const overrides = await getTranslationsFromCache(transactions.map(getTranslationKey));
+  const updatedCount = await updateStoredTranslations(transactions.filter(transaction =>
+    overrides.get(getTranslationKey(transaction))?.source !== 'manual'), name);
+
+  return { id: result.insertedId, updatedCount };
+}
+
+/**
+ * Function to remove merchant name pattern. The stored transactions keep their translations.
+ * @param {string} id Pattern ID
+ * @returns {Promise<boolean>} true if the pattern was found
+ */
+async function removeTranslationPattern(id) {
+  const result = await withCollection(TRANSLATION_PATTERNS_COLLECTION_NAME, collection =>
+    collection.deleteOne({ _id: new ObjectId(id) }));
+  return result.deletedCount > 0;
+}
+
+/**
+ * Function to manage translations from the command line:
+ * "translations list [text]", "translations set <description> <translation>", "translations delete <description>",
+ * "translations patterns list", "translations patterns add <regex> <name>", "translations patterns remove <pattern ID>"
+ * @param {string[]} args Command arguments
+ */
+async function runTranslationsCommand(args) {
+  const [action, ...values] = args;
+
+  switch (action) {
+    case 'list': {
+      const translations = await getRecentTranslations(values.join(' '), 50);
+      translations.forEach(translation => printLine(JSON.stringify(translation)));
+      logger.info(`Listed translations: ${translations.length}`);
+      break;
+    }
+    case 'set': {
+      const [description, translation] = values;
+      if (!description || !translation) {
+        throw new Error('Usage: translations set <description> <translation>');
+      }
+      const updatedCount = await setTranslationOverride(description, translation);
+      logger.info(`Translation set: ${description} -> ${translation}. Updated transactions: ${updatedCount}. Run "recategorize" command if category rules match translations.`);
+      break;
+    }
+    case 'delete':
+      logger.info(await deleteTranslation(values[0] || '') ? `Translation deleted: ${values[0]}` : `Translation not found: ${values[0]}`);
+      break;
+    case 'patterns': {
+      const [patternAction, value, name] = values;
+      if (patternAction === 'list') {
+        const patterns = await getTranslationPatterns();
+        patterns.forEach(({ regex, ...pattern }) => printLine(JSON.stringify(pattern)));
+        logger.info(`Total patterns: ${patterns.length}`);
+      } else if (patternAction === 'add') {
+        const { id, updatedCount } = await addTranslationPattern(value || '', name);
+        logger.info(`Pattern added: ${id}. Updated transactions: ${updatedCount}. Run "recategorize" command if category rules match translations.`);
+      } else if (patternAction === 'remove') {
+        logger.info(await removeTranslationPattern(value) ? `Pattern removed: ${value}` : `Pattern not found: ${value}`);
+      } else {
+        throw new Error('Usage: translations patterns list | translations patterns add <regex> <name> | translations patterns remove <pattern ID>');
+      }
+      break;
+    }
+    default:
+      throw new Error('Usage: translations list [text] | translations set <description> <translation> | translations delete <description> | translations patterns list|add|remove');
+  }
+}
+
+/**
+ * Function to set the currency of the charged amount and the amount in ILS of the stored transactions,
+ * e.g. after importing exchange rates
+ * @param {string} userCode Optional: user code to normalize only the user's transactions
+ */
+async function normalizeStoredAmounts(userCode) {
+  const filter = userCode ? { userCode } : {};
+  const [transactions, accounts] = await Promise.all([
+    withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.find(filter).toArray()),
+    withCollection(ACCOUNTS_COLLECTION_NAME, collection => collection.find(filter).toArray())
+  ]);
+  const accountCurrencies = new Map(accounts.map(account => [`${account.userCode}|${account.companyId}|${account.accountNumber}`, account.currency]));
+
+  logger.info(`Normalizing amounts of ${transactions.length} transactions...`);
+
+  // Accounts of different users and providers can have the same number, so the transactions are normalized by account
+  const accountTransactions = new Map();
+  transactions.forEach(transaction => {
+    const key = `${transaction.userCode}|${transaction.companyId}|${transaction.accountNumber}`;
+    accountTransactions.set(key, [...(accountTransactions.get(key) || []), transaction]);
+  });
+
+  let updatedCount = 0;
+  for (const [key, currentTransactions] of accountTransactions) {
+    const previous = currentTransactions.map(transaction => JSON.stringify([transaction.chargedCurrency, transaction.amountILS]));
+    await normalizeAmounts(currentTransactions, new Map([[String(currentTransactions[0].accountNumber), accountCurrencies.get(key)]]));
+
+    const operations = currentTransactions
+      .filter((transaction, index) => previous[index] !== JSON.stringify([transaction.chargedCurrency, transaction.amountILS]))
+      .map(({ _id, chargedCurrency, amountILS, exchangeRate }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $set: { chargedCurrency, amountILS, exchangeRate }, $currentDate: { updatedAt: true } }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.bulkWrite(operations));
+      updatedCount += operations.length;
+    }
+  }
+
+  logger.info(`Normalization finished. Updated: ${updatedCount}`);
+}
+
+/**
+ * Function to manage exchange rates and currencies of the accounts from the command line:
+ * "currency import <CSV file>", "currency rates", "currency account <userCode> <companyId> <accountNumber> <currency|auto>",
+ * "currency normalize [userCode]"
+ * @param {string[]} args Command arguments
+ */
+async function runCurrencyCommand(args) {
+  const [action, ...values] = args;
+
+  switch (action) {
+    case 'import': {
+      const count = await importExchangeRates(values[0] || '');
+      logger.info(`Exchange rates imported: ${count}. Run "currency normalize" command to apply them to the stored transactions.`);
+      break;
+    }
+    case 'rates': {
+      const rates = await withCollection(EXCHANGE_RATES_COLLECTION_NAME, collection => collection.find({}).sort({ date: -1 }).toArray());
+      const latestRates = new Map();
+      rates.forEach(rate => latestRates.set(rate.currency, [...(latestRates.get(rate.currency) || []), rate]));
+      latestRates.forEach((currencyRates, currency) =>
+        printLine(`${currency}: ${currencyRates[0].rate} on ${currencyRates[0].date} (${currencyRates.length} rates since ${currencyRates[currencyRates.length - 1].date})`));
+      logger.info(`Currencies: ${latestRates.size}`);
+      break;
+    }
+    case 'account': {
+      const [userCode, companyId, accountNumber, value] = values;
+      const currency = value === 'auto' ? null : normalizeCurrency(value);
+      if (!userCode || !companyId || !accountNumber || (value !== 'auto' && !currency)) {
+        throw new Error('Usage: currency account <userCode> <companyId> <accountNumber> <currency code|auto>');
+      }
+
+      await withCollection(ACCOUNTS_COLLECTION_NAME, collection =>
+        collection.updateOne({ _id: `${userCode}|${companyId}|${accountNumber}` }, {
+          $set: { userCode, companyId, accountNumber, currency: currency || 'ILS', currencySource: currency ? 'manual' : 'inferred' }
+        }, { upsert: true }));
+      logger.info(`Account currency set: ${currency || 'auto'}. Run "currency normalize" command to apply it to the stored transactions.`);
+      break;
+    }
+    case 'normalize':
+      await normalizeStoredAmounts(values[0]);
+      break;
+    default:
+      throw new Error('Usage: currency import <CSV file> | currency rates | currency account <userCode> <companyId> <accountNumber> <currency|auto> | currency normalize [userCode]');
+  }
+}
+
+/**
+ * Fields of the transaction from the scraper, their changes are kept in the transaction's history
+ */
+const TRACKED_TRANSACTION_FIELDS = ['date', 'processedDate', 'description', 'memo', 'originalAmount', 'originalCurrency',
+  'chargedAmount', 'type', 'status', 'identifier', 'installments'];
+
+/**
+ * Function to assign stable key to each scraped transaction.
+ * The key is based on the identifier from the scraper when available, otherwise on a fingerprint
+ * (date, description, amount) plus occurrence index of the same fingerprint within the scrape,
+ * so identical transactions on the same day are kept separately.
+ * @param {any[]} transactions Transactions of one scrape sorted by date, updated in place
+ */
+function assignTransactionKeys(transactions) {
+  const occurrences = new Map();
+
+  for (const transaction of transactions) {
+    const account = `${transaction.userCode}|${transaction.companyId}|${transaction.accountNumber}`;
+
+    let key;
+    if (transaction.identifier) {
+      // Installments of one purchase share the identifier
+      key = `${account}|id|${transaction.identifier}|${transaction.installments ? transaction.installments.number : ''}`;
+    } else {
+      key = `${account}|fp|${transaction.date.toISOString()}|${(transaction.description || '').trim()}|${transaction.chargedAmount}`;
+    }
+
+    const index = occurrences.get(key) || 0;
+    occurrences.set(key, index + 1);
+
+    transaction.transactionKey = `${key}|${index}`;
+  }
+}
+
+/**
+ * Function to get existing transactions from db for the scraped ones. Transactions are matched:
+ * 1. by transactionKey;
+ * 2. transactions saved without transactionKey - by date, chargedAmount and description;
+ * 3. pending transactions not returned by the scraper anymore - by account, date (within PENDING_MATCH_DAYS),
+ *    merchant (see normalizeMerchant) and amount (within PENDING_AMOUNT_TOLERANCE), so a pending transaction
+ *    settled with a different amount is updated, not duplicated.
+ * Each existing transaction is matched at most once.
+ * @param {any[]} transactions Scraped transactions with transactionKey
+ * @returns {Promise<Map<any, any>>} Existing transaction by scraped transaction
+ */
+async function getExistingTransactions(transactions) {
+  const existingTransactions = new Map();
+  if (transactions.length === 0) {
+    return existingTransactions;
+  }
+
+  const { userCode, companyId } = transactions[0];
+  const minDate = new Date(Math.min(...transactions.map(transaction => transaction.date)) - PENDING_MATCH_DAYS * 24 * 60 * 60 * 1000);
+
+  await withCollection(TRANSACTIONS_COLLECTION_NAME, async transCollection => {
+    const matchedIds = new Set();
+    const claim = (transaction, doc) => {
+      existingTransactions.set(transaction, doc);
+      matchedIds.add(String(doc._id));
+    };
+    const notMatched = () => transactions.filter(transaction => !existingTransactions.has(transaction));
+
+    // 1. By key
+    const byKey = new Map();
+    const keyCursor = transCollection.find({ transactionKey: { $in: transactions.map(transaction => transaction.transactionKey) } });
+    for await (const doc of keyCursor) {
+      byKey.set(doc.transactionKey, doc);
+    }
+    transactions.forEach(transaction => {
+      const doc = byKey.get(transaction.transactionKey);
+      if (doc) {
+        claim(transaction, doc);
+      }
+    });
+
+    // 2. Transactions saved before transaction keys were introduced
+    let candidates = notMatched();
+    if (candidates.length > 0) {
+      const legacyDocs = await transCollection.find({
+        transactionKey: { $exists: false },
+        $or: candidates.map(transaction => ({
+          date: transaction.date,
+          chargedAmount: transaction.chargedAmount,
+          description: transaction.description
+        }))
+      }).toArray();
+
+      candidates.forEach(transaction => {
+        const doc = legacyDocs.find(doc => !matchedIds.has(String(doc._id))
+          && doc.date.getTime() === transaction.date.getTime()
+          && doc.chargedAmount === transaction.chargedAmount
+          && doc.description === transaction.description);
+        if (doc) {
+          claim(transaction, doc);
+        }
+      });
+    }
+
+    // 3. Pending transactions that were settled or changed
+    candidates = notMatched();
+    if (candidates.length > 0) {
+      const pendingDocs = (await transCollection.find({ userCode, companyId, status: 'pending', date: { $gte: minDate } }).toArray())
+        .filter(doc => !matchedIds.has(String(doc._id)));
+
+      candidates.forEach(transaction => {
+        const doc = pendingDocs
+          .filter(doc => !matchedIds.has(String(doc._id))
+            && doc.accountNumber === transaction.accountNumber
+            && Math.abs(doc.date - transaction.date) <= PENDING_MATCH_DAYS * 24 * 60 * 60 * 1000
+            && normalizeMerchant(doc.description) === normalizeMerchant(transaction.description)
+            && Math.sign(doc.chargedAmount) === Math.sign(transaction.chargedAmount)
+            && Math.abs(doc.chargedAmount - transaction.chargedAmount) <= Math.abs(doc.chargedAmount) * PENDING_AMOUNT_TOLERANCE)
+          .sort((a, b) => Math.abs(a.date - transaction.date) - Math.abs(b.date - transaction.date)
+            || Math.abs(a.chargedAmount - transaction.chargedAmount) - Math.abs(b.chargedAmount - transaction.chargedAmount))[0];
+        if (doc) {
+          claim(transaction, doc);
+        }
+      });
+    }
+  });
+
+  return existingTransactions;
+}
+
+/**
+ * Function to get changed fields of the transaction comparing to the existing one
+ * @param {any} existingTransaction Transaction from db
+ * @param {any} transaction Scraped transaction
+ * @returns {any} Changes by field name: { from, to }, null if nothing changed
+ */
+function getTransactionChanges(existingTransaction, transaction) {
+  const changes = {};
+
+  for (const field of TRACKED_TRANSACTION_FIELDS) {
+    const from = existingTransaction[field] ?? null;
+    const to = transaction[field] ?? null;
+    const isEqual = from instanceof Date && to instanceof Date
+      ? from.getTime() === to.getTime()
+      : JSON.stringify(from) === JSON.stringify(to);
+
+    if (!isEqual) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Function to save new transactions and update the existing ones in db with one bulk write.
+ * Changes of the tracked fields are added to the transaction's history.
+ * @param {any[]} transactions
+ * @param {Map<any, any>} existingTransactions Matched transactions from db, see getExistingTransactions
+ * @returns {Promise<boolean[]>} For each transaction: true if transaction was inserted, false if transaction already exists
+ */
+async function saveOrUpdateTransactions(transactions, existingTransactions) {
+  if (transactions.length === 0) {
+    return [];
+  }
+
+  const operations = transactions.map(transaction => {
+    const existingTransaction = existingTransactions.get(transaction);
+
+    if (existingTransaction) {
+      const changes = getTransactionChanges(existingTransaction, transaction);
+      transaction._id = existingTransaction._id;
+
+      // Transaction exists, update it. The category set manually is kept
+      const { _id, ...fields } = transaction;
+      if (existingTransaction.categorySource === 'manual') {
+        delete fields.category;
+        delete fields.tags;
+        delete fields.categorySource;
+      }
+      return {
+        updateOne: {
+          filter: { _id },
+          update: {
+            $set: fields,
+            ...(changes ? { $push: { history: { changedAt: new Date(), changes } } } : {}),
+            $currentDate: { updatedAt: true } // Add or update a updatedAt field with the current date
+          }
+        }
+      };
+    } else {
+      transaction._id = new ObjectId(); // Assign ID before the write, so the notification can refer to it
+      transaction.createdAt = new Date(); // Add a createdAt field with the current date
+      return { insertOne: { document: transaction } };
+    }
+  });
+
+  await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.bulkWrite(operations));
+
+  return transactions.map(transaction => !existingTransactions.has(transaction));
+}
+
+/**
+ * Function to send follow-up notification when pending transaction is settled with a different amount
+ * @param {any} existingTransaction Pending transaction from db
+ * @param {any} transaction Updated transaction
+ * @param {Array} destinations Notification destinations
+ * @param {string} taskKey Task key for logging
+ */
+async function notifyIfSettledWithDifferentAmount(existingTransaction, transaction, destinations, taskKey) {
+  if (NOTIFY_ON_SETTLED_AMOUNT_CHANGE !== 'true'
+    || existingTransaction.status !== 'pending'
+    || transaction.status !== 'completed'
+    || existingTransaction.chargedAmount === transaction.chargedAmount) {
+    return;
+  }
+
+  const description = transaction.translatedDescription || transaction.description;
+  const from = formatAmount(existingTransaction.chargedAmount, getChargedCurrency(existingTransaction));
+  const to = formatAmount(transaction.chargedAmount, getChargedCurrency(transaction));
+
+  logger.info(`Pending transaction settled with a different amount`, { taskKey, transactionDbId: transaction._id });
+
+  await notifyAlert({
+    event: 'settled',
+    emoji: '🔄',
+    title: `Settled with a different amount: ${to}`,
+    text: `${description} (${transaction.accountNumber}, ${formatDateTime(transaction.date)}): ${from} → ${to}`,
+    details: { transactionDbId: transaction._id, userCode: transaction.userCode, from: existingTransaction.chargedAmount, to: transaction.chargedAmount }
+  }, destinations, taskKey);
+}
+
+/**
+ * Function to check storage availability
+ * @returns {Promise<boolean>} true if the storage is available, false otherwise
+ */
+async function checkStorage() {
+  try {
+    const storage = await getStorage();
+    await storage.check();
+    return true;
+  } catch (error) {
+    console.error(`Failed to connect to storage (${STORAGE_DRIVER}).`, { errorMessage: error.message, errorStack: error.stack });
+    return false;
+  }
+}
+
+/**
+ * Function to get storage configured by STORAGE_DRIVER, created once per process
+ * @returns {Promise<any>} Storage, see createMongoStorage and createSqlStorage
+ */
+function getStorage() {
+  if (!storagePromise) {
+    storagePromise = createStorage(STORAGE_DRIVER);
+  }
+  return storagePromise;
+}
+
+/**
+ * Function to create storage by driver name.
+ * All the storages provide the same interface: check(), withCollection(name, callback) and close().
+ * Collections of all the drivers support the subset of MongoDB collection API used by the app.
+ * @param {string} driver mongodb | sqlite | postgres
+ * @returns {Promise<any>} Storage
+ */
+async function createStorage(driver) {
+  switch (driver) {
+    case 'mongodb':
+      return createMongoStorage(process.env.MONGO_CONNECTION_STRING);
+    case 'sqlite': {
+      const { default: Database } = await import('better-sqlite3');
+      await mkdir(path.dirname(path.resolve(SQLITE_PATH)), { recursive: true });
+      const db = new Database(SQLITE_PATH);
+      db.pragma('journal_mode = WAL');
+
+      const all = async (sql, params = []) => db.prepare(sql).all(...params);
+      const run = async (sql, params = []) => db.prepare(sql).run(...params).changes;
+
+      // The connection is shared, so the statements outside of the running transaction wait for it
+      let transactionLock = Promise.resolve();
+
+      return createSqlStorage({
+        all: async (sql, params) => {
+          await transactionLock;
+          return all(sql, params);
+        },
+        run: async (sql, params) => {
+          await transactionLock;
+          return run(sql, params);
+        },
+        transaction: callback => {
+          const result = transactionLock.then(async () => {
+            await run('BEGIN IMMEDIATE');
+            try {
+              const value = await callback({ all, run, forUpdate: '' });
+              await run('COMMIT');
+              return value;
+            } catch (error) {
+              await run('ROLLBACK');
+              throw error;
+            }
+          });
+          transactionLock = result.catch(() => {});
+          return result;
+        },
+        close: async () => db.close()
+      });
+    }
+    case 'postgres': {
+      const { default: pg } = await import('pg');
+      const pool = new pg.Pool({ connectionString: process.env.POSTGRES_CONNECTION_STRING });
+
+      // Convert "?" placeholders to PostgreSQL "$1, $2, ..."
+      const toPostgres = sql => {
+        let index = 0;
+        return sql.replace(/\?/g, () => `$${++index}`);
+      };
+
+      const createExecutor = client => ({
+        all: async (sql, params = []) => (await client.query(toPostgres(sql), params)).rows,
+        run: async (sql, params = []) => (await client.query(toPostgres(sql), params)).rowCount
+      });
+
+      return createSqlStorage({
+        ...createExecutor(pool),
+        // A transaction takes a client from the pool, the rows read for update are locked until it ends
+        transaction: async callback => {
+          const client = await pool.connect();
+          try {
+            await client.query('BEGIN');
+            const value = await callback({ ...createExecutor(client), forUpdate: ' FOR UPDATE' });
+            await client.query('COMMIT');
+            return value;
+          } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+          } finally {
+            client.release();
+          }
+        },
+        close: async () => pool.end()
+      });
+    }
+    default:
+      throw new Error(`Unknown storage driver: ${driver}. Expected one of: mongodb, sqlite, postgres`);
+  }
+}
+
+/**
+ * Function to create MongoDB storage with one client (and its connection pool) shared by all the calls
+ * @param {string} uri MongoDB connection string
+ * @returns {any} Storage
+ */
+function createMongoStorage(uri) {
+  const client = new MongoClient(uri);
+  let connecting;
+
+  const withDatabase = async callback => {
+    if (!connecting) {
+      // Connect on first use, try again on the next call if the connection failed
+      connecting = client.connect().catch(error => {
+        connecting = null;
+        throw error;
+      });
+    }
+    await connecting;
+    return await callback(client.db(DB_NAME));
+  };
+
+  return {
+    check: () => withDatabase(database => database.command({ ping: 1 })),
+    withCollection: (collectionName, callback) => withDatabase(database => callback(database.collection(collectionName))),
+    withDatabase,
+    close: () => client.close()
+  };
+}
+
+/**
+ * Fields of the documents copied to the indexed columns of SQL tables, the filters by them are done by SQL
+ */
+const SQL_INDEXED_FIELDS = ['userCode', 'companyId', 'date'];
+
+/**
+ * Function to get value of the indexed column of SQL table: userCode and companyId are strings, date is ISO string
+ * @param {string} field One of SQL_INDEXED_FIELDS
+ * @param {any} value Field value
+ * @returns {string} Column value, null if the value is of another type
+ */
+function getSqlColumnValue(field, value) {
+  if (field === 'date') {
+    return value instanceof Date && !isNaN(value) ? value.toISOString() : null;
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Function to convert condition of MongoDB filter on the indexed field to SQL.
+ * Only equality, $eq, $in and range operators are converted, the rest is checked in memory.
+ * @param {string} field One of SQL_INDEXED_FIELDS
+ * @param {any} condition Value or object of operators
+ * @returns {{sql: string, params: string[]}[]} SQL conditions with "?" placeholders
+ */
+function getSqlConditions(field, condition) {
+  const column = `"${field}"`;
+  const operators = isOperatorObject(condition) ? Object.entries(condition) : [['$eq', condition]];
+  const comparisons = { $eq: '=', $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+  return operators.flatMap(([operator, expected]) => {
+    if (operator === '$in' && Array.isArray(expected)) {
+      const values = expected.map(value => getSqlColumnValue(field, value));
+      if (values.some(value => value == null)) {
+        return [];
+      }
+      return [values.length > 0 ? { sql: `${column} IN (${values.map(() => '?').join(', ')})`, params: values } : { sql: '1 = 0', params: [] }];
+    }
+
+    const value = comparisons[operator] ? getSqlColumnValue(field, expected) : null;
+    return value == null ? [] : [{ sql: `${column} ${comparisons[operator]} ?`, params: [value] }];
+  });
+}
+
+/**
+ * Function to create SQL storage (SQLite, PostgreSQL): each collection is a table of EJSON documents by ID,
+ * with SQL_INDEXED_FIELDS copied to the indexed columns. The filters by ID and the indexed fields are done by SQL,
+ * the rest of the filters, sorting and updates are applied in memory, which is fine for household-size data.
+ * @param {{all: function, run: function, transaction: function, close: function}} executor Executor of SQL with "?" placeholders
+ * @returns {any} Storage
+ */
+function createSqlStorage(executor) {
+  const preparedTables = new Map();
+
+  // Create the table, the tables of the previous versions get the indexed columns
+  const prepareTable = async table => {
+    const columns = SQL_INDEXED_FIELDS.map(field => `"${field}"`);
+    await executor.run(`CREATE TABLE IF NOT EXISTS "${table}" (id TEXT PRIMARY KEY, doc TEXT NOT NULL, ${columns.map(column => `${column} TEXT`).join(', ')})`);
+
+    try {
+      await executor.all(`SELECT ${columns.join(', ')} FROM "${table}" LIMIT 1`);
+    } catch (error) {
+      logger.info(`Adding indexed columns to table ${table}`);
+      for (const column of columns) {
+        await executor.run(`ALTER TABLE "${table}" ADD COLUMN ${column} TEXT`);
+      }
+
+      await executor.transaction(async db => {
+        for (const row of await db.all(`SELECT id, doc FROM "${table}"`)) {
+          const doc = EJSON.parse(row.doc);
+          await db.run(`UPDATE "${table}" SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...SQL_INDEXED_FIELDS.map(field => getSqlColumnValue(field, doc[field])), row.id]);
+        }
+      });
+    }
+  };
+
+  const getCollection = async collectionName => {
+    if (!/^\w+$/.test(collectionName)) {
+      throw new Error(`Invalid collection name: ${collectionName}`);
+    }
+
+    if (!preparedTables.has(collectionName)) {
+      // Try again on the next call if the table isn't prepared
+      preparedTables.set(collectionName, prepareTable(collectionName).catch(error => {
+        preparedTables.delete(collectionName);
+        throw error;
+      }));
+    }
+    await preparedTables.get(collectionName);
+
+    return createSqlCollection(executor, collectionName);
+  };
+
+  return {
+    check: () => executor.all('SELECT 1'),
+    withCollection: async (collectionName, callback) => callback(await getCollection(collectionName)),
+    close: executor.close
+  };
+}
+
+/**
+ * Function to create collection over SQL table with the subset of MongoDB collection API used by the app.
+ * Updates and deletions read and write the documents in one transaction.
+ * @param {{all: function, run: function, transaction: function}} executor Executor of SQL with "?" placeholders
+ * @param {string} table Table name
+ * @returns {any} Collection
+ */
+function createSqlCollection(executor, table) {
+  const columns = SQL_INDEXED_FIELDS.map(field => `"${field}"`);
+
+  // Load documents matching the filter, the lookup by _id and the indexed fields is done by SQL.
+  // Within a transaction the rows are locked for update if the database supports it.
+  const load = async (filter = {}, db = executor) => {
+    const conditions = [];
+
+    const id = filter._id;
+    if (id != null && !(id instanceof RegExp) && !isOperatorObject(id)) {
+      conditions.push({ sql: 'id = ?', params: [String(id)] });
+    } else if (isOperatorObject(id) && Object.keys(id).length === 1 && Array.isArray(id.$in)) {
+      if (id.$in.length === 0) {
+        return [];
+      }
+      conditions.push({ sql: `id IN (${id.$in.map(() => '?').join(', ')})`, params: id.$in.map(String) });
+    }
+
+    SQL_INDEXED_FIELDS.filter(field => field in filter)
+      .forEach(field => conditions.push(...getSqlConditions(field, filter[field])));
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.map(condition => condition.sql).join(' AND ')}` : '';
+    const rows = await db.all(`SELECT doc FROM "${table}"${where}${db.forUpdate || ''}`, conditions.flatMap(condition => condition.params));
+    return rows.map(row => EJSON.parse(row.doc)).filter(doc => matchesFilter(doc, filter));
+  };
+
+  const getColumnValues = doc => SQL_INDEXED_FIELDS.map(field => getSqlColumnValue(field, doc[field]));
+
+  const insert = async (doc, db = executor) => {
+    if (doc._id == null) {
+      doc._id = new ObjectId();
+    }
+
+    const changes = await db.run(`INSERT INTO "${table}" (id, doc, ${columns.join(', ')}) VALUES (?, ?, ${columns.map(() => '?').join(', ')}) ON CONFLICT (id) DO NOTHING`,
+      [String(doc._id), EJSON.stringify(doc), ...getColumnValues(doc)]);
+    return changes > 0;
+  };
+
+  const save = (doc, db) => db.run(`UPDATE "${table}" SET doc = ?, ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [EJSON.stringify(doc), ...getColumnValues(doc), String(doc._id)]);
+
+  const duplicateKeyError = id => Object.assign(new Error(`Duplicate key error: ${table} _id ${id}`), { code: 11000 });
+
+  // Update matching documents or insert new one if upsert is set, returns the documents before and after the update
+  const update = (filter, updateSpec, options = {}, isMany = false) => executor.transaction(async db => {
+    const docs = await load(filter, db);
+    const matched = isMany ? docs : docs.slice(0, 1);
+    const results = [];
+
+    for (const doc of matched) {
+      const before = EJSON.parse(EJSON.stringify(doc));
+      applyUpdate(doc, updateSpec, false);
+      await save(doc, db);
+      results.push({ before, after: doc });
+    }
+
+    if (matched.length === 0 && options.upsert) {
+      const doc = {};
+      for (const [key, value] of Object.entries(filter)) {
+        if (!key.startsWith('$') && !isOperatorObject(value) && !(value instanceof RegExp)) {
+          setFieldValue(doc, key, value);
+        }
+      }
+      applyUpdate(doc, updateSpec, true);
+      if (!await insert(doc, db)) {
+        throw duplicateKeyError(doc._id);
+      }
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: doc._id, results: [{ before: null, after: doc }] };
+    }
+
+    return { matchedCount: matched.length, modifiedCount: matched.length, upsertedId: null, results };
+  });
+
+  // Delete the first or all matching documents
+  const remove = (filter, isMany) => executor.transaction(async db => {
+    const docs = await load(filter, db);
+    let deletedCount = 0;
+    for (const doc of isMany ? docs : docs.slice(0, 1)) {
+      deletedCount += await db.run(`DELETE FROM "${table}" WHERE id = ?`, [String(doc._id)]);
+    }
+    return deletedCount;
+  });
+
+  const collection = {
+    find: (filter = {}, options = {}) => createArrayCursor(() => load(filter), options.projection),
+    findOne: async (filter = {}, options = {}) => {
+      const docs = await createArrayCursor(() => load(filter)).sort(options.sort).limit(1).toArray();
+      return docs[0] || null;
+    },
+    countDocuments: async (filter = {}) => (await load(filter)).length,
+    insertOne: async doc => {
+      if (!await insert(doc)) {
+        throw duplicateKeyError(doc._id);
+      }
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    insertMany: async (docs, options = {}) => {
+      let insertedCount = 0;
+      for (const doc of docs) {
+        if (await insert(doc)) {
+          insertedCount++;
+        } else if (options.ordered !== false) {
+          throw duplicateKeyError(doc._id);
+        }
+      }
+      return { acknowledged: true, insertedCount };
+    },
+    updateOne: async (filter, updateSpec, options) => {
+      const { results, ...result } = await update(filter, updateSpec, options);
+      return { acknowledged: true, ...result };
+    },
+    updateMany: async (filter, updateSpec, options) => {
+      const { results, ...result } = await update(filter, updateSpec, options, true);
+      return { acknowledged: true, ...result };
+    },
+    findOneAndUpdate: async (filter, updateSpec, options = {}) => {
+      const { results } = await update(filter, updateSpec, options);
+      const result = results[0];
+      return { ok: 1, value: result ? (options.returnDocument === 'after' ? result.after : result.before) : null };
+    },
+    deleteOne: async filter => ({ acknowledged: true, deletedCount: await remove(filter, false) }),
+    deleteMany: async (filter = {}) => ({ acknowledged: true, deletedCount: await remove(filter, true) }),
+    bulkWrite: async (operations, options = {}) => {
+      const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+      const errors = [];
+
+      for (const operation of operations) {
+        const [type, spec] = Object.entries(operation)[0];
+        try {
+          switch (type) {
+            case 'insertOne':
+              await collection.insertOne(spec.document);
+              result.insertedCount++;
+              break;
+            case 'updateOne':
+            case 'updateMany': {
+              const updateResult = await collection[type](spec.filter, spec.update, { upsert: spec.upsert });
+              result.matchedCount += updateResult.matchedCount;
+              result.modifiedCount += updateResult.modifiedCount;
+              result.upsertedCount += updateResult.upsertedId ? 1 : 0;
+              break;
+            }
+            case 'deleteOne':
+            case 'deleteMany':
+              result.deletedCount += (await collection[type](spec.filter)).deletedCount;
+              break;
+            default:
+              throw new Error(`Unsupported bulk write operation: ${type}`);
+          }
+        } catch (error) {
+          // Ordered bulk write stops on the first error, unordered one continues and throws at the end
+          if (options.ordered !== false) {
+            throw error;
+          }
+          errors.push(error);
+        }
+      }
+
+      if (errors.length > 0) {
+        throw errors[0];
+      }
+
+      return { acknowledged: true, ...result };
+    },
+    // Only the indexed columns can be indexed by SQL, an index covers the leading fields of the key that have columns
+    createIndexes: async indexes => {
+      const names = [];
+      for (const index of indexes) {
+        const fields = Object.keys(index.key);
+        const indexedFields = fields.slice(0, [...fields, null].findIndex(field => !SQL_INDEXED_FIELDS.includes(field)));
+        if (indexedFields.length > 0) {
+          const name = `${table}_${indexedFields.join('_')}`;
+          await executor.run(`CREATE INDEX IF NOT EXISTS "${name}" ON "${table}" (${indexedFields.map(field => `"${field}"`).join(', ')})`);
+          names.push(name);
+        }
+      }
+      return names;
+    }
+  };
+
+  return collection;
+}
+
+/**
+ * Function to create cursor over documents loaded in memory, supports sort, skip, limit, toArray and async iteration
+ * @param {function} loadDocs Async function to load the documents
+ * @param {any} projection Optional: MongoDB projection of the included fields, applied after sorting
+ * @returns {any} Cursor
+ */
+function createArrayCursor(loadDocs, projection) {
+  let sortSpec = null;
+  let skipCount = 0;
+  let limitCount = 0;
+
+  const cursor = {
+    sort: spec => {
+      sortSpec = spec;
+      return cursor;
+    },
+    skip: count => {
+      skipCount = count;
+      return cursor;
+    },
+    limit: count => {
+      limitCount = count;
+      return cursor;
+    },
+    toArray: async () => {
+      const docs = await loadDocs();
+      if (sortSpec) {
+        const fields = Object.entries(sortSpec);
+        docs.sort((a, b) => {
+          for (const [field, direction] of fields) {
+            const result = compareValues(getFieldValue(a, field), getFieldValue(b, field));
+            if (result !== 0) {
+              return direction < 0 ? -result : result;
+            }
+          }
+          return 0;
+        });
+      }
+      return docs.slice(skipCount, limitCount ? skipCount + limitCount : undefined).map(doc => projectDocument(doc, projection));
+    },
+    async *[Symbol.asyncIterator]() {
+      yield* await cursor.toArray();
+    }
+  };
+
+  return cursor;
+}
+
+/**
+ * Function to apply MongoDB projection to document. Only the inclusion of fields is supported, _id is included unless set to 0.
+ * @param {any} doc
+ * @param {any} projection Fields by path, e.g. { description: 1, _id: 0 }
+ * @returns {any} Projected document, the document itself if there's no projection
+ */
+function projectDocument(doc, projection) {
+  if (!projection) {
+    return doc;
+  }
+
+  const fields = Object.entries({ _id: 1, ...projection });
+  if (fields.some(([path, include]) => path !== '_id' && !include)) {
+    throw new Error('Unsupported projection: only the inclusion of fields is supported');
+  }
+
+  const projected = {};
+  fields.filter(([, include]) => include)
+    .forEach(([path]) => getFieldValue(doc, path) !== undefined && setFieldValue(projected, path, getFieldValue(doc, path)));
+  return projected;
+}
+
+/**
+ * Function to check if value is an object of MongoDB query or update operators, e.g. { $gte: 1 }
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isOperatorObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+    && !(value instanceof ObjectId) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+/**
+ * Function to get value of the document's field by path, e.g. "installments.number"
+ * @param {any} doc
+ * @param {string} path
+ * @returns {any} Value, undefined if not found
+ */
+function getFieldValue(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Function to set value of the document's field by path, creates intermediate objects
+ * @param {any} doc
+ * @param {string} path
+ * @param {any} value
+ */
+function setFieldValue(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (object[key] == null || typeof object[key] !== 'object') {
+      object[key] = {};
+    }
+    return object[key];
+  }, doc);
+  parent[last] = value;
+}
+
+/**
+ * Function to compare values in MongoDB manner: null < numbers < strings < objects < IDs < booleans < dates
+ * @param {any} a
+ * @param {any} b
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareValues(a, b) {
+  const rank = value => {
+    if (value == null) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    if (value instanceof ObjectId) return 4;
+    if (typeof value === 'boolean') return 5;
+    if (value instanceof Date) return 6;
+    return 3;
+  };
+
+  const rankA = rank(a);
+  const rankB = rank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+
+  switch (rankA) {
+    case 0:
+      return 0;
+    case 1:
+    case 5:
+      return a - b;
+    case 6:
+      return a.getTime() - b.getTime();
+    case 2:
+      return a < b ? -1 : a > b ? 1 : 0;
+    default: {
+      const keyA = getValueKey(a);
+      const keyB = getValueKey(b);
+      return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    }
+  }
+}
+
+/**
+ * Function to get comparable key of value for equality checks
+ * @param {any} value
+ * @returns {string} Key
+ */
+function getValueKey(value) {
+  if (value == null) return 'null';
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (value instanceof ObjectId) return `id:${value.toHexString()}`;
+  return EJSON.stringify(value);
+}
+
+/**
+ * Function to check if value or any of its elements (for arrays) matches the predicate, as MongoDB does
+ * @param {any} value
+ * @param {function} predicate
+ * @returns {boolean}
+ */
+function matchesValue(value, predicate) {
+  return predicate(value) || (Array.isArray(value) && value.some(predicate));
+}
+
+/**
+ * Function to check if document matches MongoDB filter.
+ * Supported: equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $not, $or, $and, $nor.
+ * @param {any} doc
+ * @param {any} filter
+ * @returns {boolean}
+ */
+function matchesFilter(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$or':
+        return condition.some(subFilter => matchesFilter(doc, subFilter));
+      case '$and':
+        return condition.every(subFilter => matchesFilter(doc, subFilter));
+      case '$nor':
+        return !condition.some(subFilter => matchesFilter(doc, subFilter));
+      default:
+        return matchesCondition(getFieldValue(doc, key), condition);
+    }
+  });
+}
+
+/**
+ * Function to check if field value matches condition of MongoDB filter
+ * @param {any} value Field value
+ * @param {any} condition Value, regular expression or object of operators
+ * @returns {boolean}
+ */
+function matchesCondition(value, condition) {
+  const isEqual = expected => matchesValue(value, item => getValueKey(item) === getValueKey(expected));
+  const isComparable = (item, expected) => item != null && expected != null
+    && (typeof item === typeof expected || (item instanceof Date && expected instanceof Date));
+
+  if (condition instanceof RegExp) {
+    return matchesValue(value, item => typeof item === 'string' && condition.test(item));
+  }
+
+  if (!isOperatorObject(condition)) {
+    return isEqual(condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$eq':
+        return isEqual(expected);
+      case '$ne':
+        return !isEqual(expected);
+      case '$gt':
+        return matchesValue(value, item => isComparable(item, expected) && compareValues(item, expected) > 0);
+      case '$gte':
+        return matchesValue(value, item => isComparable(item, expected) && compareValues(item, expected) >= 0);
+      case '$lt':
+        return matchesValue(value, item => isComparable(item, expected) && compareValues(item, expected) < 0);
+      case '$lte':
+        return matchesValue(value, item => isComparable(item, expected) && compareValues(item, expected) <= 0);
+      case '$in':
+        return expected.some(item => item instanceof RegExp ? matchesCondition(value, item) : isEqual(item));
+      case '$nin':
+        return !expected.some(item => item instanceof RegExp ? matchesCondition(value, item) : isEqual(item));
+      case '$exists':
+        return (value !== undefined) === Boolean(expected);
+      case '$regex':
+        return matchesCondition(value, expected instanceof RegExp ? expected : new RegExp(expected, condition.$options || ''));
+      case '$options':
+        return true;
+      case '$not':
+        return !matchesCondition(value, expected);
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Function to apply MongoDB update to document.
+ * Supported: $set, $setOnInsert, $unset, $inc, $push, $addToSet, $pull, $currentDate.
+ * @param {any} doc Document, updated in place
+ * @param {any} update MongoDB update
+ * @param {boolean} isInsert true if the document is inserted by upsert
+ */
+function applyUpdate(doc, update, isInsert) {
+  const now = new Date();
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getFieldValue(doc, path);
+      const items = value != null && Array.isArray(value.$each) ? value.$each : [value];
+
+      switch (operator) {
+        case '$set':
+          setFieldValue(doc, path, value);
+          break;
+        case '$setOnInsert':
+          if (isInsert) {
+            setFieldValue(doc, path, value);
+          }
+          break;
+        case '$unset': {
+          const keys = path.split('.');
+          const last = keys.pop();
+          const parent = keys.length > 0 ? getFieldValue(doc, keys.join('.')) : doc;
+          if (parent != null) {
+            delete parent[last];
+          }
+          break;
+        }
+        case '$inc':
+          setFieldValue(doc, path, (current || 0) + value);
+          break;
+        case '$push':
+          setFieldValue(doc, path, [...(current || []), ...items]);
+          break;
+        case '$addToSet':
+          setFieldValue(doc, path, [...(current || []), ...items.filter(item =>
+            !(current || []).some(existing => getValueKey(existing) === getValueKey(item)))]);
+          break;
+        case '$pull':
+          if (Array.isArray(current)) {
+            setFieldValue(doc, path, current.filter(item =>
+              !(isOperatorObject(value) || value instanceof RegExp ? matchesCondition(item, value)
+                : value != null && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId) ? matchesFilter(item, value)
+                  : getValueKey(item) === getValueKey(value))));
+          }
+          break;
+        case '$currentDate':
+          setFieldValue(doc, path, now);
+          break;
+        default:
+          throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    }
+  }
+}
+
+/**
+ * Indexes by collection name, created on startup
+ */
+const STORAGE_INDEXES = {
+  [TRANSACTIONS_COLLECTION_NAME]: [
+    { key: { transactionKey: 1 }, name: 'transactionKey' }, // matching by key
+    { key: { date: 1, chargedAmount: 1, description: 1 }, name: 'date_chargedAmount_description' }, // matching transactions saved without key
+    { key: { userCode: 1, companyId: 1, status: 1, date: 1 }, name: 'userCode_companyId_status_date' }, // matching pending transactions
+    { key: { userCode: 1, chatId: 1, date: -1 }, name: 'userCode_chatId_date' }, // bot commands, reports and budgets
+    { key: { 'split.household': 1 }, name: 'split_household' } // household balances
+  ],
+  [TRANSLATIONS_COLLECTION_NAME]: [
+    { key: { updatedAt: -1 }, name: 'updatedAt' } // latest translations
+  ],
+  [CATEGORY_RULES_COLLECTION_NAME]: [
+    { key: { priority: 1 }, name: 'priority' }
+  ],
+  [BUDGETS_COLLECTION_NAME]: [
+    { key: { userCode: 1 }, name: 'userCode' }
+  ],
+  [SYNC_RUNS_COLLECTION_NAME]: [
+    { key: { taskKey: 1, success: 1, startedAt: -1 }, name: 'taskKey_success_startedAt' }, // failure alerts
+    { key: { userCode: 1, startedAt: -1 }, name: 'userCode_startedAt' } // API
+  ],
+  [ACCOUNT_SNAPSHOTS_COLLECTION_NAME]: [
+    { key: { userCode: 1, createdAt: 1 }, name: 'userCode_createdAt' } // API
+  ],
+  [EXCHANGE_RATES_COLLECTION_NAME]: [
+    { key: { currency: 1, date: -1 }, name: 'currency_date' }
+  ],
+  [SUBSCRIPTIONS_COLLECTION_NAME]: [
+    { key: { userCode: 1, companyId: 1 }, name: 'userCode_companyId' }
+  ],
+  [HOUSEHOLD_SETTLEMENTS_COLLECTION_NAME]: [
+    { key: { household: 1 }, name: 'household' }
+  ],
+  [NOTIFICATION_QUEUE_COLLECTION_NAME]: [
+    { key: { deliverAt: 1 }, name: 'deliverAt' }
+  ]
+};
+
+/**
+ * Function to create indexes the queries need, existing indexes are left as is
+ */
+async function createStorageIndexes() {
+  try {
+    for (const [collectionName, indexes] of Object.entries(STORAGE_INDEXES)) {
+      await withCollection(collectionName, collection => collection.createIndexes(indexes));
+    }
+  } catch (error) {
+    logger.error(`Failed to create indexes`, { errorMessage: error.message, errorStack: error.stack });
+  }
+}
+
+/**
+ * Function to run a callback against a collection of the configured storage
+ * @param {string} collectionName Collection name
+ * @param {function} callback Async function receiving the collection
+ * @returns {Promise<any>} Result of the callback
+ */
+async function withCollection(collectionName, callback) {
+  const storage = await getStorage();
+  return await storage.withCollection(collectionName, callback);
+}
+
+/**
+ * Function to copy all the collections from MongoDB (MONGO_CONNECTION_STRING) to the storage configured by STORAGE_DRIVER.
+ * Documents already copied are skipped, so the migration can be re-run.
+ * @param {any} mongoStorage MongoDB storage to copy from, see createMongoStorage. By MONGO_CONNECTION_STRING if not set.
+ */
+async function migrateFromMongoDB(mongoStorage) {
+  if (STORAGE_DRIVER === 'mongodb') {
+    throw new Error('Set STORAGE_DRIVER to sqlite or postgres to migrate the data from MongoDB');
+  }
+
+  const source = mongoStorage || createMongoStorage(process.env.MONGO_CONNECTION_STRING);
+  const batchSize = 500;
+
+  await source.withDatabase(async database => {
+    const collections = await database.listCollections({}, { nameOnly: true }).toArray();
+
+    for (const { name } of collections) {
+      if (name.startsWith('system.')) {
+        continue;
+      }
+
+      let totalCount = 0;
+      let insertedCount = 0;
+      let batch = [];
+
+      const copyBatch = async () => {
+        const result = await withCollection(name, collection => collection.insertMany(batch, { ordered: false }));
+        totalCount += batch.length;
+        insertedCount += result.insertedCount;
+        batch = [];
+      };
+
+      for await (const doc of database.collection(name).find({})) {
+        batch.push(doc);
+        if (batch.length >= batchSize) {
+          await copyBatch();
+        }
+      }
+
+      if (batch.length > 0) {
+        await copyBatch();
+      }
+
+      logger.info(`Collection ${name} migrated. Total: ${totalCount}, copied: ${insertedCount}, already existed: ${totalCount - insertedCount}`);
+    }
+  });
+}
+
+/**
+ * Notification channels by destination type.
+ * Each channel has the required destination fields, own formatter and sender of the formatted message.
+ * formatBatch joins the messages queued during quiet hours into as few messages as the channel allows.
+ */
+const NOTIFIERS = {
+  telegram: {
+    title: 'Telegram', requiredFields: ['chatId'], send: sendToTelegram,
+    format: formatTelegram,
+    formatAlert: alert => formatAlert(alert),
+    formatBatch: messages => joinMessages(messages.map(message => message.text ?? message), 4096, `🌙 *${messages.length} notifications during quiet hours*`)
+  },
+  slack: {
+    title: 'Slack', requiredFields: ['webhookUrl'], send: sendToSlack,
+    format: transaction => format(transaction, text => `*${text}*`, text => text),
+    formatAlert: alert => formatAlert(alert, text => `*${text}*`, text => text),
+    formatBatch: messages => joinMessages(messages, 40000, `🌙 *${messages.length} notifications during quiet hours*`)
+  },
+  discord: {
+    title: 'Discord', requiredFields: ['webhookUrl'], send: sendToDiscord,
+    format: formatDiscord,
+    formatAlert: alert => formatAlert(alert, text => `**${text}**`, text => text),
+    formatBatch: messages => joinMessages(messages, 2000, `🌙 **${messages.length} notifications during quiet hours**`)
+  },
+  email: {
+    title: 'email', requiredFields: ['to'], send: sendToEmail,
+    format: formatEmail,
+    formatAlert: alert => ({ subject: `${alert.emoji} ${alert.title}`, text: alert.text }),
+    formatBatch: messages => [{
+      subject: `🌙 ${messages.length} notifications during quiet hours`,
+      text: messages.map(message => `${message.subject}\n\n${message.text}`).join('\n\n---\n\n')
+    }]
+  },
+  webhook: {
+    title: 'webhook', requiredFields: ['url'], send: sendToWebhook,
+    format: formatWebhook,
+    formatAlert: alert => ({ event: alert.event, title: alert.title, text: alert.text, details: alert.details }),
+    formatBatch: messages => [{ event: 'batch', messages }]
+  }
+};
+
+/**
+ * Function to join text messages into as few messages as possible within the length limit of the channel
+ * @param {string[]} messages
+ * @param {number} maxLength Max length of a message
+ * @param {string} header Header of the first message
+ * @returns {string[]} Joined messages, a message longer than the limit is left as is
+ */
+function joinMessages(messages, maxLength, header) {
+  const separator = '\n\n';
+  const joinedMessages = [header];
+  for (const message of messages) {
+    const last = joinedMessages[joinedMessages.length - 1];
+    if (last.length + separator.length + message.length <= maxLength) {
+      joinedMessages[joinedMessages.length - 1] = last + separator + message;
+    } else {
+      joinedMessages.push(message);
+    }
+  }
+  return joinedMessages;
+}
+
+let mailTransport;
+let telegramClient; // without polling, the bot commands are received by their own bot
+
+/**
+ * Function to send formatted message to Telegram chat
+ * @param {any} destination Destination with chatId
+ * @param {string | {text: string, replyMarkup: any}} message Formatted message, optionally with inline keyboard
+ */
+async function sendToTelegram(destination, message) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    throw new Error('No Telegram bot token found');
+  }
+
+  telegramClient ??= new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+  await telegramClient.sendMessage(destination.chatId, message.text ?? message,
+    { parse_mode: 'Markdown', ...(message.replyMarkup ? { reply_markup: message.replyMarkup } : {}) });
+}
+
+/**
+ * Function to send formatted message to Slack incoming webhook
+ * @param {any} destination Destination with webhookUrl
+ * @param {string} message Formatted message
+ */
+async function sendToSlack(destination, message) {
+  await postJson(destination.webhookUrl, { text: message });
+}
+
+/**
+ * Function to send formatted message to Discord webhook
+ * @param {any} destination Destination with webhookUrl
+ * @param {string} message Formatted message
+ */
+async function sendToDiscord(destination, message) {
+  await postJson(destination.webhookUrl, { content: message });
+}
+
+/**
+ * Function to send formatted message by email using SMTP_URL
+ * @param {any} destination Destination with comma separated list of recipients in "to"
+ * @param {{subject: string, text: string}} message Formatted message
+ */
+async function sendToEmail(destination, message) {
+  if (!process.env.SMTP_URL) {
+    throw new Error('No SMTP_URL found');
+  }
+
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport(process.env.SMTP_URL);
+  }
+
+  await mailTransport.sendMail({
+    from: process.env.SMTP_FROM || 'Shekel Streamer <shekel-streamer@localhost>',
+    to: destination.to,
+    subject: message.subject,
+    text: message.text
+  });
+}
+
+/**
+ * Function to send JSON payload to generic webhook
+ * @param {any} destination Destination with url and optional headers
+ * @param {any} message JSON payload
+ */
+async function sendToWebhook(destination, message) {
+  await postJson(destination.url, message, destination.headers);
+}
+
+/**
+ * Function to send POST request with JSON body
+ * @param {string} url
+ * @param {any} payload
+ * @param {any} headers Additional headers
+ */
+async function postJson(url, payload, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Function to send transaction to all the destinations with retries.
+ * Destinations are notified in parallel, so a failing destination doesn't delay the others.
+ * @param {any} transaction
+ * @param {Array} destinations Notification destinations, see NOTIFIERS
+ * @param {string} taskKey Task key for logging
+ */
+async function notify(transaction, destinations, taskKey) {
+  await sendToDestinations(destinations, notifier => notifier.format(transaction), { taskKey, transactionDbId: transaction._id });
+}
+
+/**
+ * Function to send alert (budget, etc.) to all the destinations with retries
+ * @param {{event: string, emoji: string, title: string, text: string, details: any}} alert
+ * @param {Array} destinations Notification destinations, see NOTIFIERS
+ * @param {string} taskKey Task key for logging
+ * @returns {Promise<boolean>} true if the alert is sent or queued to at least one destination
+ */
+async function notifyAlert(alert, destinations, taskKey) {
+  return await sendToDestinations(destinations, notifier => notifier.formatAlert(alert), { taskKey, alert: alert.event });
+}
+
+/**
+ * Function to send message formatted for each destination with retries, destinations are notified in parallel.
+ * Messages to a destination within its quiet hours are queued until the quiet hours end.
+ * @param {Array} destinations Notification destinations, see NOTIFIERS
+ * @param {function} formatMessage Function to format message with the destination's notifier
+ * @param {any} logContext Context for logging
+ * @returns {Promise<boolean>} true if the message is sent or queued to at least one destination
+ */
+async function sendToDestinations(destinations, formatMessage, logContext) {
+  if (!destinations || destinations.length === 0) {
+    logger.info('No notification destinations found. Skipping notification.', { taskKey: logContext.taskKey });
+    return false;
+  }
+
+  const results = await Promise.all(destinations.map(async ({ quietHours, ...destination }) => {
+    const notifier = NOTIFIERS[destination.type];
+    const message = formatMessage(notifier);
+
+    const quietHoursEnd = getQuietHoursEnd(quietHours);
+    if (quietHoursEnd) {
+      try {
+        await queueNotification(destination, message, quietHoursEnd);
+        return true;
+      } catch (error) {
+        logger.error(`Failed to queue message for quiet hours, sending it now`,
+          { ...logContext, errorMessage: error.message, errorStack: error.stack });
+      }
+    }
+
+    return await sendWithRetries(notifier, destination, message, logContext);
+  }));
+
+  return results.some(result => result);
+}
+
+/**
+ * Function to send formatted message to destination with retries, the error is logged if all the retries fail
+ * @param {any} notifier Notifier of the destination type, see NOTIFIERS
+ * @param {any} destination Notification destination
+ * @param {any} message Message formatted by the notifier
+ * @param {any} logContext Context for logging
+ * @returns {Promise<boolean>} true if the message is sent
+ */
+async function sendWithRetries(notifier, destination, message, logContext) {
+  try {
+    await retry(async () => {
+      await notifier.send(destination, message);
+    }, {
+      retries: 5,
+      minTimeout: 30 * 1000, // 30 seconds
+      randomize: true,
+    });
+    return true;
+  } catch (error) {
+    // If the request still fails after all retries, log the error
+    logger.error(`Failed to send message to ${notifier.title}`,
+      { ...logContext, errorMessage: error.message, errorStack: error.stack });
+    return false;
+  }
+}
+
+/**
+ * Function to parse quiet hours in format HH:mm-HH:mm, e.g. 23:00-07:00
+ * @param {string} quietHours
+ * @returns {{start: number[], end: number[]}} Start and end as [hour, minute], null if the format is invalid
+ */
+function parseQuietHours(quietHours) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(quietHours).trim());
+  if (!match) {
+    return null;
+  }
+
+  const [start, end] = [match.slice(1, 3), match.slice(3, 5)].map(time => time.map(Number));
+  const isValid = [start, end].every(([hour, minute]) => hour < 24 && minute < 60)
+    && (start[0] !== end[0] || start[1] !== end[1]);
+
+  return isValid ? { start, end } : null;
+}
+
+/**
+ * Function to get the end of the quiet hours if the given time is within them
+ * @param {string} quietHours Quiet hours in format HH:mm-HH:mm in DEFAULT_TIMEZONE, can be null
+ * @param {DateTime} now
+ * @returns {DateTime} End of the quiet hours, null if the time is not within the quiet hours
+ */
+function getQuietHoursEnd(quietHours, now = DateTime.now()) {
+  const parsedQuietHours = quietHours && parseQuietHours(quietHours);
+  if (!parsedQuietHours) {
+    return null;
+  }
+
+  // Compare the wall clock times, as a time skipped on DST change would be shifted by Luxon
+  const localNow = now.setZone(DEFAULT_TIMEZONE);
+  const toMinutes = ([hour, minute]) => hour * 60 + minute;
+  const nowMinutes = toMinutes([localNow.hour, localNow.minute]);
+  const start = toMinutes(parsedQuietHours.start);
+  const end = toMinutes(parsedQuietHours.end);
+
+  const isQuiet = start < end
+    ? nowMinutes >= start && nowMinutes < end // Within one day, e.g. 13:00-15:00
+    : nowMinutes >= start || nowMinutes < end; // Over midnight, e.g. 23:00-07:00
+  if (!isQuiet) {
+    return null;
+  }
+
+  const [hour, minute] = parsedQuietHours.end;
+  const endDay = nowMinutes < end ? localNow : localNow.plus({ days: 1 });
+  return endDay.set({ hour, minute, second: 0, millisecond: 0 });
+}
+
+/**
+ * Function to queue message until the end of the quiet hours and schedule its delivery
+ * @param {any} destination Notification destination
+ * @param {any} message Message formatted for the destination
+ * @param {DateTime} deliverAt End of the quiet hours
+ */
+async function queueNotification(destination, message, deliverAt) {
+  await withCollection(NOTIFICATION_QUEUE_COLLECTION_NAME, collection => collection.insertOne({
+    _id: new ObjectId(),
+    destination,
+    message,
+    createdAt: new Date(),
+    deliverAt: deliverAt.toJSDate()
+  }));
+
+  logger.info(`Message queued until the end of quiet hours: ${timezoned(deliverAt)}`, { destinationType: destination.type });
+  scheduleQueuedNotifications(deliverAt.toJSDate());
+}
+
+/**
+ * Function to set timer to deliver the queued notifications, unless an earlier delivery is already scheduled.
+ * The timer doesn't keep the process running, the notifications left in the queue are delivered on the next start.
+ * @param {Date} deliverAt
+ */
+function scheduleQueuedNotifications(deliverAt) {
+  if (notificationQueueTimer && notificationQueueTimerAt <= deliverAt) {
+    return;
+  }
+
+  clearTimeout(notificationQueueTimer);
+  notificationQueueTimerAt = deliverAt;
+  notificationQueueTimer = setTimeout(() => {
+    notificationQueueTimer = null;
+    deliverQueuedNotifications().catch(error =>
+      logger.error(`Failed to deliver queued notifications`, { errorMessage: error.message, errorStack: error.stack }));
+  }, Math.max(deliverAt - Date.now(), 0));
+  notificationQueueTimer.unref();
+}
+
+/**
+ * Function to deliver the notifications whose quiet hours are over, as one batch per destination,
+ * and schedule delivery of the rest
+ */
+async function deliverQueuedNotifications() {
+  await runSerially([NOTIFICATION_QUEUE_COLLECTION_NAME], async () => {
+    const queuedNotifications = await withCollection(NOTIFICATION_QUEUE_COLLECTION_NAME, async collection => {
+      const notifications = await collection.find({ deliverAt: { $lte: new Date() } }).sort({ createdAt: 1 }).toArray();
+      if (notifications.length > 0) {
+        await collection.deleteMany({ _id: { $in: notifications.map(notification => notification._id) } });
+      }
+      return notifications;
+    });
+
+    const messagesByDestination = new Map();
+    queuedNotifications.forEach(({ destination, message }) => {
+      const key = JSON.stringify(destination);
+      if (!messagesByDestination.has(key)) {
+        messagesByDestination.set(key, { destination, messages: [] });
+      }
+      messagesByDestination.get(key).messages.push(message);
+    });
+
+    await Promise.all([...messagesByDestination.values()].map(async ({ destination, messages }) => {
+      const notifier = NOTIFIERS[destination.type];
+      logger.info(`Sending ${messages.length} messages queued during quiet hours to ${notifier.title}`);
+
+      for (const message of notifier.formatBatch(messages)) {
+        await sendWithRetries(notifier, destination, message, { queuedMessages: messages.length });
+      }
+    }));
+
+    const [nextNotification] = await withCollection(NOTIFICATION_QUEUE_COLLECTION_NAME, collection =>
+      collection.find({}).sort({ deliverAt: 1 }).limit(1).toArray());
+    if (nextNotification) {
+      scheduleQueuedNotifications(nextNotification.deliverAt);
+    }
+  });
+}
+
+/**
+ * Function to get notification destinations from the Telegram chat ID and the configured destinations.
+ * The Telegram chat ID is added as a destination if there is no Telegram destination in the list.
+ * @param {string} chatId Telegram chat ID, can be null
+ * @param {Array} notifications Configured destinations, can be null
+ * @param {string} location Where the destinations are configured, for logging
+ * @param {string} quietHours Optional: quiet hours of the destinations in format HH:mm-HH:mm, see getQuietHoursEnd
+ * @returns {Array} Valid notification destinations
+ */
+function getNotificationDestinations(chatId, notifications, location, quietHours) {
+  if (notifications && !Array.isArray(notifications)) {
+    logger.error(`"notifications" should be an array of destinations. Check ${location}.`);
+    notifications = [];
+  }
+
+  const destinations = (notifications || []).filter((destination, index) => {
+    const notifier = destination && NOTIFIERS[destination.type];
+    if (!notifier) {
+      logger.error(`Unknown notification destination type. Check ${location}, destination #${index} (index starts from 0). Expected one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+      return false;
+    }
+
+    const missingFields = notifier.requiredFields.filter(field => !destination[field]);
+    if (missingFields.length > 0) {
+      logger.error(`Missing required fields for notification destination. Check ${location}, destination #${index} (index starts from 0): Missing fields: ${missingFields.join(', ')}`);
+      return false;
+    }
+
+    return true;
+  });
+
+  if (chatId && !destinations.some(destination => destination.type === 'telegram')) {
+    destinations.unshift({ type: 'telegram', chatId });
+  }
+
+  if (quietHours && !parseQuietHours(quietHours)) {
+    logger.error(`Invalid quiet hours "${quietHours}", expected format HH:mm-HH:mm, e.g. 23:00-07:00. Check ${location}. Notifications will be sent at any time.`);
+    return destinations;
+  }
+
+  return quietHours ? destinations.map(destination => ({ ...destination, quietHours })) : destinations;
+}
+
+/**
+ * Function to sync bank transactions, store to MongoDB and send notifications.
+ * Scraping runs in parallel with other tasks, saving and notifications run one after another for the same destinations,
+ * so the messages in each chat are in chronological order and not mixed between tasks.
+ * @param {any} task Transaction sync task
+ * @param {{startDate: Date, isSilent: boolean, browserPool: any}} options startDate - date to scrape transactions from,
+ *   see getSyncStartDate; isSilent - save transactions without notifications (e.g. when backfilling); browserPool - see createBrowserPool
+ * @returns {Promise<any>} Sync result: success flag, new and updated counters or error type
+ */
+async function handleTransactions(task, { startDate, isSilent = false, browserPool }) {
+  const { taskKey, user, companyId, credentials, destinations } = task;
+
+  logger.info(`Sync started...`, { taskKey, startDate: DateTime.fromJSDate(startDate).setZone(DEFAULT_TIMEZONE).toISODate() });
+
+  const scraperOptions = {
+    companyId: companyId,
+    startDate: startDate,
+    combineInstallments: false,
+    timeout: 0, // no navigation timeout, the whole scraping is limited by SYNC_TASK_TIMEOUT_MINUTES
+  };
+
+  // Retry transient errors, login errors and others are returned as is
+  const syncResult = await retry(async (bail, attempt) => {
+    const result = await scrapeWithTimeout(taskKey, scraperOptions, credentials, browserPool);
+    if (!result.success && TRANSIENT_ERROR_TYPES.includes(result.errorType) && attempt <= SYNC_RETRIES) {
+      logger.warn(`Scraping failed, retrying`, { taskKey, errorType: result.errorType, attempt });
+      throw new Error(`Scraping failed: ${result.errorType}`);
+    }
+    return result;
+  }, {
+    retries: SYNC_RETRIES,
+    factor: 2,
+    minTimeout: 30000,
+    randomize: true
+  });
+
+  if (syncResult.success) {
+    const destinationKeys = (destinations || []).map(destination => JSON.stringify(destination));
+    return await runSerially(destinationKeys, () => handleScrapedAccounts(task, syncResult.accounts, isSilent));
+  } else {
+    logger.error(`Sync failed`,
+      { taskKey, errorType: syncResult.errorType });
+    logger.debug({ errorMessage: syncResult.errorMessage })
+
+    return { success: false, errorType: syncResult.errorType, errorMessage: syncResult.errorMessage };
+  }
+}
+
+/**
+ * Error types of the scrapers which can go away by retrying
+ */
+const TRANSIENT_ERROR_TYPES = ['TIMEOUT', 'GENERIC', 'GENERAL_ERROR', 'UNKNOWN_ERROR'];
+
+/**
+ * Function to scrape with a browser from the pool, limited by SYNC_TASK_TIMEOUT_MINUTES.
+ * On timeout the browser is closed, so the hung scraping is stopped.
+ * @param {string} taskKey Task key for logging
+ * @param {any} scraperOptions Scraper options without browser
+ * @param {any} credentials Credentials for the financial service
+ * @param {any} browserPool Browser pool, see createBrowserPool
+ * @returns {Promise<any>} Scraping result
+ */
+async function scrapeWithTimeout(taskKey, scraperOptions, credentials, browserPool) {
+  const browser = await browserPool.acquire();
+
+  let timer;
+  let isTimedOut = false;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      isTimedOut = true;
+      resolve({ success: false, errorType: 'TIMEOUT', errorMessage: `Scraping took more than ${SYNC_TASK_TIMEOUT_MINUTES} minutes` });
+    }, SYNC_TASK_TIMEOUT_MINUTES * 60000);
+  });
+
+  try {
+    const scraping = createScraper({ ...scraperOptions, browser, skipCloseBrowser: true }).scrape(credentials);
+    scraping.catch(() => { }); // The scraping fails when its browser is closed on timeout
+    const result = await Promise.race([scraping, timeout]);
+
+    if (isTimedOut) {
+      logger.warn(`Scraping timed out, closing the browser`, { taskKey });
+      await browserPool.destroy(browser);
+    } else {
+      await browserPool.release(browser);
+    }
+    return result;
+  } catch (error) {
+    await browserPool.destroy(browser);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Function to launch Puppeteer browser, in Docker the installed Chromium is used
+ * @returns {Promise<any>} Browser
+ */
+async function launchBrowser() {
+  if (process.env.DOCKER === 'true') {
+    return await puppeteer.launch({
+      headless: "new",
+      executablePath: '/usr/bin/chromium-browser',
+      args: [
+        "--disable-gpu",
+        "--disable-dev-shm-usage",
+        "--disable-setuid-sandbox",
+        "--no-sandbox",
+      ]
+    });
+  }
+
+  return await puppeteer.launch({ headless: "new" });
+}
+
+/**
+ * Function to create pool of browsers shared by the tasks of one sync. A browser is used by one task at a time,
+ * so the number of browsers doesn't exceed the number of tasks running in parallel.
+ * @returns {{acquire: function(): Promise<any>, release: function(any): Promise<void>, destroy: function(any): Promise<void>, close: function(): Promise<void>}}
+ */
+function createBrowserPool() {
+  const idleBrowsers = [];
+  const browsers = new Set();
+
+  const destroy = async browser => {
+    browsers.delete(browser);
+    const index = idleBrowsers.indexOf(browser);
+    if (index >= 0) {
+      idleBrowsers.splice(index, 1);
+    }
+
+    try {
+      await browser.close();
+    } catch (error) {
+      logger.warn(`Failed to close browser`, { errorMessage: error.message });
+    }
+  };
+
+  return {
+    acquire: async () => {
+      // The browser could crash while being idle
+      while (idleBrowsers.length > 0) {
+        const browser = idleBrowsers.pop();
+        if (browser.isConnected()) {
+          return browser;
+        }
+        await destroy(browser);
+      }
+
+      const browser = await launchBrowser();
+      browsers.add(browser);
+      return browser;
+    },
+    release: async browser => {
+      if (browser.isConnected()) {
+        // Close the pages left by the scraper, the next task starts with a clean browser
+        const pages = await browser.pages();
+        await Promise.all(pages.map(page => page.close().catch(() => { })));
+        idleBrowsers.push(browser);
+      } else {
+        await destroy(browser);
+      }
+    },
+    destroy,
+    close: async () => {
+      await Promise.all([...browsers].map(destroy));
+    }
+  };
+}
+
+/**
+ * Function to run callback after all the previous callbacks with any of the same keys are finished.
+ * Callbacks without common keys run in parallel.
+ * @param {string[]} keys Keys, e.g. notification destinations
+ * @param {function(): Promise<any>} callback
+ * @returns {Promise<any>} Result of the callback
+ */
+function runSerially(keys, callback) {
+  const previous = keys.map(key => serialQueues.get(key)).filter(queue => queue);
+  const result = Promise.all(previous).then(() => callback());
+
+  const queue = result.catch(() => { });
+  keys.forEach(key => serialQueues.set(key, queue));
+  queue.then(() => keys.forEach(key => {
+    if (serialQueues.get(key) === queue) {
+      serialQueues.delete(key);
+    }
+  }));
+
+  return result;
+}
+
+/**
+ * Function to run callback for each item with limited number of callbacks running at the same time
+ * @param {any[]} items
+ * @param {number} concurrency Max number of callbacks running at the same time
+ * @param {function(any): Promise<void>} callback
+ */
+async function runWithConcurrency(items, concurrency, callback) {
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      await callback(items[nextIndex++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker));
+}
+
+/**
+ * Stages of the transaction pipeline of the sync, plugins can change or drop the transactions after each of them:
+ * map - the scraped transactions of all the accounts,
+ * dedupe - the new and the changed transactions,
+ * translate - the translated transactions, in chunks,
+ * categorize - the categorized transactions with the amounts in ILS, in chunks, right before they are saved
+ */
+const PIPELINE_STAGES = ['map', 'dedupe', 'translate', 'categorize'];
+
+/**
+ * Events emitted to the plugins
+ */
+const PLUGIN_EVENTS = ['transaction:new', 'transaction:updated', 'sync:finished', 'sync:failed'];
+
+let pluginsPromise;
+
+/**
+ * Function to get the plugins from PLUGINS, they are loaded once on the first use
+ * @returns {Promise<{name: string, stages: any, on: any}[]>} Loaded plugins
+ */
+function getPlugins() {
+  pluginsPromise ??= loadPlugins(PLUGINS);
+  return pluginsPromise;
+}
+
+/**
+ * Function to load the plugin modules. A module exports (as default or named exports) optional "name",
+ * "stages" - functions by stage name (see PIPELINE_STAGES) and "on" - handlers by event name (see PLUGIN_EVENTS).
+ * A module failing to load is skipped.
+ * @param {string} modulePaths Comma-separated paths of the modules, relative to the working directory
+ * @returns {Promise<{name: string, stages: any, on: any}[]>} Loaded plugins
+ */
+async function loadPlugins(modulePaths) {
+  const plugins = [];
+  for (const modulePath of (modulePaths || '').split(',').map(modulePath => modulePath.trim()).filter(Boolean)) {
+    try {
+      const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+      const { name = path.basename(modulePath), stages = {}, on = {} } = module.default || module;
+
+      const unknown = [
+        ...Object.keys(stages).filter(stage => !PIPELINE_STAGES.includes(stage)),
+        ...Object.keys(on).filter(event => !PLUGIN_EVENTS.includes(event))
+      ];
+      if (unknown.length > 0) {
+        logger.warn(`Plugin ${name} has unknown stages or events: ${unknown.join(', ')}. Expected stages: ${PIPELINE_STAGES.join(', ')}, events: ${PLUGIN_EVENTS.join(', ')}`);
+      }
+
+      plugins.push({ name, stages, on });
+      logger.info(`Plugin loaded: ${name}`);
+    } catch (error) {
+      logger.error(`Failed to load plugin ${modulePath}`, { errorMessage: error.message, errorStack: error.stack });
+    }
+  }
+
+  return plugins;
+}
+
+/**
+ * Function to get the context passed to the plugins, without the credentials of the task
+ * @param {any} task Transaction sync task
+ * @param {boolean} isSilent If true, the transactions are saved without notifications
+ * @returns {{taskKey: string, user: string, companyId: string, isSilent: boolean}} Plugin context
+ */
+function getPluginContext(task, isSilent) {
+  return { taskKey: task.taskKey, user: task.user, companyId: task.companyId, isSilent };
+}
+
+/**
+ * Function to run the plugins of the pipeline stage over the transactions, plugin by plugin in the PLUGINS order.
+ * For each transaction a plugin function returns the fields to change (or changes the transaction in place),
+ * null or false to drop the transaction. A failing plugin function keeps the transaction as is.
+ * @param {string} stage Stage name, see PIPELINE_STAGES
+ * @param {any[]} transactions
+ * @param {any} context Plugin context, see getPluginContext
+ * @returns {Promise<any[]>} Kept transactions, the same objects
+ */
+async function runPipelineStage(stage, transactions, context) {
+  let keptTransactions = transactions;
+
+  for (const plugin of (await getPlugins()).filter(plugin => plugin.stages[stage])) {
+    const pluginContext = { ...context, stage, logger: logger.child({ plugin: plugin.name }) };
+    const kept = [];
+
+    for (const transaction of keptTransactions) {
+      try {
+        const changes = await plugin.stages[stage](transaction, pluginContext);
+        if (changes === null || changes === false) {
+          continue;
+        }
+        if (changes && typeof changes === 'object' && changes !== transaction) {
+          Object.assign(transaction, changes);
+        }
+      } catch (error) {
+        logger.error(`Plugin ${plugin.name} failed at stage ${stage}, the transaction is kept as is`,
+          { taskKey: context.taskKey, errorMessage: error.message, errorStack: error.stack });
+      }
+      kept.push(transaction);
+    }
+
+    if (kept.length < keptTransactions.length) {
+      logger.info(`Plugin ${plugin.name} dropped ${keptTransactions.length - kept.length} transactions at stage ${stage}`, { taskKey: context.taskKey });
+    }
+    keptTransactions = kept;
+  }
+
+  return keptTransactions;
+}
+
+/**
+ * Function to emit the event to the plugins. Errors of the handlers are logged and don't stop the sync.
+ * @param {string} event Event name, see PLUGIN_EVENTS
+ * @param {any} payload Transaction for the transaction events, sync run for the sync events
+ * @param {any} context Plugin context, see getPluginContext
+ */
+async function emitPluginEvent(event, payload, context) {
+  for (const plugin of (await getPlugins()).filter(plugin => plugin.on[event])) {
+    try {
+      await plugin.on[event](payload, { ...context, event, logger: logger.child({ plugin: plugin.name }) });
+    } catch (error) {
+      logger.error(`Plugin ${plugin.name} failed to handle ${event}`, { taskKey: context.taskKey, errorMessage: error.message, errorStack: error.stack });
+    }
+  }
+}
+
+/**
+ * Function to save scraped transactions of the task to db and send notifications
+ * @param {any} task Transaction sync task
+ * @param {any[]} accounts Scraped accounts with transactions
+ * @param {boolean} isSilent If true, transactions are saved without notifications
+ * @returns {Promise<any>} Sync result: success flag, new and updated counters, number of translation requests
+ */
+async function handleScrapedAccounts(task, accounts, isSilent) {
+  const { taskKey, user, companyId, chatId, destinations } = task;
+  const pluginContext = getPluginContext(task, isSilent);
+
+  const previousBalances = await saveAccountBalances(user, companyId, accounts);
+  const accountCurrencies = await updateAccountCurrencies(user, companyId, accounts);
+  if (!isSilent) {
+    try {
+      await checkBalanceAlerts(task, accounts, previousBalances);
+    } catch (error) {
+      logger.error(`Failed to check balance alerts`, { taskKey, errorMessage: error.message, errorStack: error.stack });
+    }
+  }
+
+  let transactions = [];
+  accounts.forEach((account) => {
+    account.txns.forEach((txn) => {
+      transactions.push({
+        accountNumber: account.accountNumber,
+        date: new Date(txn.date),
+        description: txn.description,
+        translatedDescription: null, // will be filled later
+        memo: txn.memo, // can be null
+        originalAmount: txn.originalAmount,
+        originalCurrency: txn.originalCurrency, // can be null, possible wrong value: ILS instead of USD
+        chargedAmount: txn.chargedAmount, // possible the same as originalAmount, even if originalCurrency is USD/EUR
+        chargedCurrency: null, // will be filled later
+        amountILS: null, // will be filled later
+        type: txn.type, // normal | installments
+        status: txn.status, // completed | pending
+        identifier: txn.identifier, // can be null
+        processedDate: new Date(txn.processedDate),
+        installments: txn.installments, // can be null
+        category: null, // will be filled later
+        scraperCategory: txn.category, // can be null
+        companyId: companyId,
+        userCode: user,
+        chatId: chatId
+      });
+    });
+  });
+
+  transactions = await runPipelineStage('map', transactions, pluginContext);
+
+  if (transactions.length === 0) {
+    logger.info(`No transactions found.`, { taskKey });
+    return { success: true, new: 0, updated: 0, translationCalls: 0 };
+  }
+
+  logger.info(`Total transactions found: ${transactions.length}`, { taskKey });
+
+  // Sort transactions by date from oldest to newest
+  transactions.sort((a, b) => a.date - b.date)
+
+  assignTransactionKeys(transactions);
+
+  const existingTransactions = await getExistingTransactions(transactions);
+
+  // Filter out the transactions that already exist in the db and don't need to be updated
+  transactions = transactions.filter(transaction => {
+    const existingTransaction = existingTransactions.get(transaction);
+    return !existingTransaction
+      || existingTransaction.transactionKey !== transaction.transactionKey
+      || getTransactionChanges(existingTransaction, transaction)
+      || (isTranslationEnabled && !existingTransaction.translatedDescription);
+  });
+  transactions = await runPipelineStage('dedupe', transactions, pluginContext);
+
+  let counters = {
+    new: 0,
+    updated: 0,
+    translationCalls: 0
+  };
+
+  const categoryRules = await getCategoryRules();
+  const newTransactions = [];
+
+  const chunkSize = Number(process.env.GPT_TRANSLATION_COUNT) || 30;
+  let chunkCount = Math.ceil(transactions.length / chunkSize);
+
+  for (let i = 0; i < chunkCount; i++) {
+
+    let currentTransactions = transactions.slice(i * chunkSize, (i + 1) * chunkSize);
+
+    // Create a list of descriptions to translate
+    const translations = await getTranslations(currentTransactions, counters);
+
+    // Assign translations back to current transactions
+    currentTransactions.forEach((transaction, index) => {
+      transaction.translatedDescription = translations[index];
+    });
+    currentTransactions = await runPipelineStage('translate', currentTransactions, pluginContext);
+
+    // Assign categories after translation and normalization of the amounts, so rules can match translated descriptions
+    // and amounts in ILS
+    await normalizeAmounts(currentTransactions, accountCurrencies);
+    await categorizeTransactions(currentTransactions, categoryRules);
+    currentTransactions = await runPipelineStage('categorize', currentTransactions, pluginContext);
+
+    const isNewTransactions = await saveOrUpdateTransactions(currentTransactions, existingTransactions);
+
+    for (const [index, transaction] of currentTransactions.entries()) {
+      const existingTransaction = existingTransactions.get(transaction);
+
+      // Send notification only if transaction is new
+      if (isNewTransactions[index]) {
+        counters.new++;
+        newTransactions.push(transaction);
+        if (!isSilent) {
+          await notify(transaction, getTransactionDestinations(task, transaction.accountNumber), taskKey);
+        }
+        await emitPluginEvent('transaction:new', transaction, pluginContext);
+      } else {
+        counters.updated++;
+        if (!isSilent) {
+          await notifyIfSettledWithDifferentAmount(existingTransaction, transaction, getTransactionDestinations(task, transaction.accountNumber), taskKey);
+        }
+        await emitPluginEvent('transaction:updated', transaction, { ...pluginContext, existingTransaction });
+      }
+    }
+  }
+
+  logger.info(`Sync finished. New: ${counters.new}, updated: ${counters.updated}`, { taskKey });
+
+  if (!isSilent && newTransactions.length > 0) {
+    try {
+      await checkTransactionAlerts(task, newTransactions);
+    } catch (error) {
+      logger.error(`Failed to check transaction alerts`, { taskKey, errorMessage: error.message, errorStack: error.stack });
+    }
+  }
+
+  if (counters.new + counters.updated > 0) {
+    try {
+      await checkBudgets(user, destinations, taskKey);
+    } catch (error) {
+      logger.error(`Failed to check budgets`, { taskKey, errorMessage: error.message, errorStack: error.stack });
+    }
+  }
+
+  try {
+    await updateSubscriptions(task, newTransactions, isSilent);
+  } catch (error) {
+    logger.error(`Failed to update subscriptions`, { taskKey, errorMessage: error.message, errorStack: error.stack });
+  }
+
+  return { success: true, ...counters };
+}
+
+/**
+ * Function to save the last balance of the scraped accounts and a snapshot of the balances for the balance history
+ * @param {string} user User code
+ * @param {string} companyId Company ID
+ * @param {any[]} accounts Scraped accounts
+ * @returns {Promise<Map<string, number>>} Balances saved by the previous sync by account number
+ */
+async function saveAccountBalances(user, companyId, accounts) {
+  const previousAccounts = await withCollection(ACCOUNTS_COLLECTION_NAME, collection =>
+    collection.find({ _id: { $in: accounts.map(account => `${user}|${companyId}|${account.accountNumber}`) } }).toArray());
+  const previousBalances = new Map(previousAccounts.map(account => [String(account.accountNumber), account.balance]));
+
+  const operations = accounts.map(account => ({
+    updateOne: {
+      filter: { _id: `${user}|${companyId}|${account.accountNumber}` },
+      update: {
+        $set: { userCode: user, companyId, accountNumber: account.accountNumber, balance: account.balance ?? null },
+        $currentDate: { updatedAt: true }
+      },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await withCollection(ACCOUNTS_COLLECTION_NAME, collection => collection.bulkWrite(operations, { ordered: false }));
+  }
+
+  const createdAt = new Date();
+  const snapshots = accounts
+    .filter(account => account.balance != null)
+    .map(account => ({ _id: new ObjectId(), userCode: user, companyId, accountNumber: account.accountNumber, balance: account.balance, createdAt }));
+
+  if (snapshots.length > 0) {
+    await withCollection(ACCOUNT_SNAPSHOTS_COLLECTION_NAME, collection => collection.insertMany(snapshots));
+  }
+
+  return previousBalances;
+}
+
+/**
+ * Currency codes by the symbols and names the scrapers use instead of ISO 4217 codes
+ */
+const CURRENCY_ALIASES = { '₪': 'ILS', 'NIS': 'ILS', 'ש"ח': 'ILS', '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+/**
+ * Function to get ISO 4217 currency code from the scraped currency
+ * @param {string} currency Currency code or symbol, can be empty
+ * @returns {string | null} Currency code, null if unknown
+ */
+function normalizeCurrency(currency) {
+  const code = CURRENCY_ALIASES[String(currency ?? '').trim()] ?? String(currency ?? '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    return null;
+  }
+
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code }); // Throws if the currency is not supported
+    return code;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Function to infer currency of the charged amount of the transaction.
+ * The scrapers report the charged amount of the foreign currency transactions not converted yet (e.g. not billed card transactions)
+ * equal to the original amount, and may report ILS instead of the currency of a foreign currency account.
+ * @param {any} transaction
+ * @param {string} accountCurrency Currency of the account, ILS by default
+ * @returns {string} Currency code
+ */
+function inferChargedCurrency(transaction, accountCurrency = 'ILS') {
+  if (accountCurrency !== 'ILS') {
+    return accountCurrency;
+  }
+
+  const originalCurrency = normalizeCurrency(transaction.originalCurrency) || 'ILS';
+  return originalCurrency !== 'ILS' && transaction.chargedAmount === transaction.originalAmount ? originalCurrency : 'ILS';
+}
+
+/**
+ * Function to get currency of the charged amount of the stored transaction
+ * @param {any} transaction
+ * @returns {string} Currency code
+ */
+function getChargedCurrency(transaction) {
+  return transaction.chargedCurrency || inferChargedCurrency(transaction);
+}
+
+/**
+ * Function to get amount of the transaction in ILS for totals and thresholds.
+ * The transactions saved before the amounts were normalized, or without exchange rate, count by the charged amount,
+ * the totals leave out the latter, see isAmountILSMissing.
+ * @param {any} transaction
+ * @returns {number} Amount in ILS, negative for expenses
+ */
+function getAmountILS(transaction) {
+  return transaction.amountILS ?? transaction.chargedAmount;
+}
+
+/**
+ * Function to check if the transaction is charged in foreign currency and has no amount in ILS, as there was no exchange rate.
+ * Such transactions are left out of the totals until the rates are imported and the amounts are updated.
+ * @param {any} transaction
+ * @returns {boolean} true if the amount in ILS is missing
+ */
+function isAmountILSMissing(transaction) {
+  return transaction.amountILS == null && Boolean(transaction.chargedCurrency) && transaction.chargedCurrency !== 'ILS';
+}
+
+/**
+ * Function to format the note about the transactions left out of the totals for the missing exchange rate
+ * @param {number} count Number of the transactions without amount in ILS
+ * @returns {string} Note starting with a new line, empty if there are no such transactions
+ */
+function formatMissingAmountsNote(count) {
+  return count > 0 ? `\n⚠️ ${count} transactions in foreign currency have no exchange rate and are not included in the totals` : '';
+}
+
+/**
+ * Function to infer currency of each scraped account: an account is in a foreign currency when most of its completed transactions
+ * (at least three) are in that currency and none of them was converted. The currency set manually is kept.
+ * @param {string} user User code
+ * @param {string} companyId Company ID
+ * @param {any[]} accounts Scraped accounts
+ * @returns {Promise<Map<string, string>>} Currency by account number
+ */
+async function updateAccountCurrencies(user, companyId, accounts) {
+  const ids = accounts.map(account => `${user}|${companyId}|${account.accountNumber}`);
+  const storedAccounts = new Map((await withCollection(ACCOUNTS_COLLECTION_NAME, collection =>
+    collection.find({ _id: { $in: ids } }).toArray())).map(account => [String(account.accountNumber), account]));
+
+  const currencies = new Map();
+  const operations = [];
+
+  for (const account of accounts) {
+    const storedAccount = storedAccounts.get(String(account.accountNumber));
+    let currency = storedAccount?.currency || 'ILS';
+
+    if (storedAccount?.currencySource !== 'manual') {
+      const completed = account.txns.filter(txn => txn.status === 'completed');
+      const foreign = completed.filter(txn => (normalizeCurrency(txn.originalCurrency) || 'ILS') !== 'ILS');
+      const foreignCurrencies = new Set(foreign.map(txn => normalizeCurrency(txn.originalCurrency)));
+
+      if (foreign.length >= 3) {
+        currency = foreignCurrencies.size === 1 && foreign.length >= completed.length * 0.8
+          && foreign.every(txn => txn.chargedAmount === txn.originalAmount) ? [...foreignCurrencies][0] : 'ILS';
+      }
+
+      if (currency !== (storedAccount?.currency || 'ILS')) {
+        logger.info(`Account currency inferred: ${currency}`, { user, companyId, accountNumber: account.accountNumber });
+        operations.push({
+          updateOne: {
+            filter: { _id: `${user}|${companyId}|${account.accountNumber}` },
+            update: { $set: { userCode: user, companyId, accountNumber: account.accountNumber, currency, currencySource: 'inferred' } },
+            upsert: true
+          }
+        });
+      }
+    }
+
+    currencies.set(String(account.accountNumber), currency);
+  }
+
+  if (operations.length > 0) {
+    await withCollection(ACCOUNTS_COLLECTION_NAME, collection => collection.bulkWrite(operations, { ordered: false }));
+  }
+
+  return currencies;
+}
+
+/**
+ * Function to get exchange rate of the currency to ILS for the date: the rate of the date or the last rate before it
+ * (no rates on weekends and holidays), otherwise the first rate after it
+ * @param {string} currency Currency code
+ * @param {string} date Date in yyyy-MM-dd format
+ * @returns {Promise<number | null>} ILS for one unit of the currency, null if no rates are imported for the currency
+ */
+async function getExchangeRate(currency, date) {
+  const rate = await withCollection(EXCHANGE_RATES_COLLECTION_NAME, async collection =>
+    (await collection.find({ currency, date: { $lte: date } }).sort({ date: -1 }).limit(1).toArray())[0]
+    || (await collection.find({ currency, date: { $gt: date } }).sort({ date: 1 }).limit(1).toArray())[0]);
+  return rate?.rate ?? null;
+}
+
+/**
+ * Function to set the currency of the charged amount and the amount in ILS of the transactions
+ * by the exchange rate of the transaction date
+ * @param {any[]} transactions Transactions, updated in place
+ * @param {Map<string, string>} accountCurrencies Currency by account number, ILS for the missing accounts
+ */
+async function normalizeAmounts(transactions, accountCurrencies = new Map()) {
+  const rates = new Map();
+  const missingRates = new Set();
+
+  for (const transaction of transactions) {
+    transaction.chargedCurrency = inferChargedCurrency(transaction, accountCurrencies.get(String(transaction.accountNumber)));
+
+    if (transaction.chargedCurrency === 'ILS') {
+      transaction.exchangeRate = null;
+      transaction.amountILS = transaction.chargedAmount;
+      continue;
+    }
+
+    const key = `${transaction.chargedCurrency}|${DateTime.fromJSDate(transaction.date).setZone(DEFAULT_TIMEZONE).toISODate()}`;
+    if (!rates.has(key)) {
+      rates.set(key, await getExchangeRate(...key.split('|')));
+    }
+
+    const rate = rates.get(key);
+    if (rate == null) {
+      missingRates.add(transaction.chargedCurrency);
+    }
+    transaction.exchangeRate = rate;
+    transaction.amountILS = rate == null ? null : Math.round(transaction.chargedAmount * rate * 100) / 100;
+  }
+
+  if (missingRates.size > 0) {
+    logger.warn(`No exchange rates for ${[...missingRates].join(', ')}, the charged amounts are used as ILS in totals. Import the rates with "currency import" command.`);
+  }
+}
+
+/**
+ * Function to parse date of exchange rate: yyyy-MM-dd or dd/MM/yyyy
+ * @param {string} value
+ * @returns {string | null} Date in yyyy-MM-dd format, null if invalid
+ */
+function parseRateDate(value) {
+  const date = DateTime.fromISO(value).isValid ? DateTime.fromISO(value) : DateTime.fromFormat(value, 'd/M/yyyy');
+  return date.isValid ? date.toISODate() : null;
+}
+
+/**
+ * Function to parse CSV of exchange rates exported from the Bank of Israel site.
+ * Supported layouts: series (SERIES_CODE like RER_USD_ILS, TIME_PERIOD and OBS_VALUE columns)
+ * and table (date in the first column and a column per currency code).
+ * @param {string} content CSV content
+ * @returns {{currency: string, date: string, rate: number}[]} Rates, ILS for one unit of the currency
+ */
+function parseExchangeRatesCsv(content) {
+  const rows = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim())
+    .map(line => line.split(',').map(value => value.trim().replace(/^"|"$/g, '')));
+  const [header = [], ...lines] = rows;
+  const upperHeader = header.map(column => column.toUpperCase());
+  const rates = [];
+
+  if (upperHeader.includes('TIME_PERIOD') && upperHeader.includes('OBS_VALUE')) {
+    const [seriesIndex, dateIndex, valueIndex] = ['SERIES_CODE', 'TIME_PERIOD', 'OBS_VALUE'].map(column => upperHeader.indexOf(column));
+    for (const line of lines) {
+      const currency = normalizeCurrency(/^RER_([A-Z]{3})_ILS$/.exec(line[seriesIndex] || '')?.[1]);
+      rates.push({ currency, date: parseRateDate(line[dateIndex] || ''), rate: Number(line[valueIndex]) });
+    }
+  } else {
+    const currencies = upperHeader.map(column => normalizeCurrency(/\b([A-Z]{3})\b/.exec(column)?.[1]));
+    for (const line of lines) {
+      const date = parseRateDate(line[0] || '');
+      currencies.forEach((currency, index) => index > 0 && line[index] && rates.push({ currency, date, rate: Number(line[index]) }));
+    }
+  }
+
+  return rates.filter(rate => rate.currency && rate.currency !== 'ILS' && rate.date && rate.rate > 0);
+}
+
+/**
+ * Function to import exchange rates from CSV file, the existing rates of the same currency and date are replaced
+ * @param {string} filePath Path to CSV file, see parseExchangeRatesCsv
+ * @returns {Promise<number>} Number of imported rates
+ */
+async function importExchangeRates(filePath) {
+  const rates = parseExchangeRatesCsv(await readFile(filePath, 'utf8'));
+  if (rates.length === 0) {
+    throw new Error(`No exchange rates found in ${filePath}. Expected Bank of Israel CSV with SERIES_CODE, TIME_PERIOD and OBS_VALUE columns or a date column and a column per currency.`);
+  }
+
+  await withCollection(EXCHANGE_RATES_COLLECTION_NAME, collection =>
+    collection.bulkWrite(rates.map(({ currency, date, rate }) => ({
+      updateOne: {
+        filter: { _id: `${currency}|${date}` },
+        update: { $set: { currency, date, rate } },
+        upsert: true
+      }
+    })), { ordered: false }));
+
+  return rates.length;
+}
+
+/**
+ * Account alert types. Each type has the title and emoji of the alert, the environment variable suffix
+ * (USERX_LOW_BALANCE_ALERT or USERX_COMPANY_Y_LOW_BALANCE_ALERT) and whether an amount is required.
+ */
+const ACCOUNT_ALERTS = {
+  lowBalance: { title: 'Low balance', emoji: '🪫', envVar: 'LOW_BALANCE_ALERT', isAmountRequired: true },
+  largeTransaction: { title: 'Large transaction', emoji: '💥', envVar: 'LARGE_TRANSACTION_ALERT', isAmountRequired: true },
+  foreignCurrency: { title: 'Foreign currency', emoji: '💱', envVar: 'FOREIGN_CURRENCY_ALERT', isAmountRequired: false },
+  newMerchant: { title: 'New merchant', emoji: '🆕', envVar: 'NEW_MERCHANT_ALERT', isAmountRequired: false },
+  subscription: { title: 'Subscription', emoji: '🔁', envVar: 'SUBSCRIPTION_ALERT', isAmountRequired: false }
+};
+
+/**
+ * Function to validate account alerts from the configuration
+ * @param {Array} alerts Alerts: type, amount for lowBalance and largeTransaction, optional accountNumber and companyId
+ * @param {string} location Where the alerts are configured, for logging
+ * @returns {Array} Valid alerts
+ */
+function getAccountAlerts(alerts, location) {
+  if (!alerts) {
+    return [];
+  }
+
+  if (!Array.isArray(alerts)) {
+    logger.error(`"alerts" should be an array. Check ${location}.`);
+    return [];
+  }
+
+  return alerts.filter((alert, index) => {
+    const alertType = alert && ACCOUNT_ALERTS[alert.type];
+    if (!alertType) {
+      logger.error(`Unknown alert type. Check ${location}, alert #${index} (index starts from 0). Expected one of: ${Object.keys(ACCOUNT_ALERTS).join(', ')}`);
+      return false;
+    }
+
+    if (alertType.isAmountRequired && !(Number(alert.amount) > 0)) {
+      logger.error(`Alert amount should be a positive number. Check ${location}, alert #${index} (index starts from 0).`);
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Function to get the task's alerts of the given type which apply to the account
+ * @param {any} task Transaction sync task
+ * @param {string} type Alert type, see ACCOUNT_ALERTS
+ * @param {string} accountNumber
+ * @returns {Array} Alerts
+ */
+function getMatchingAccountAlerts(task, type, accountNumber) {
+  return (task.alerts || []).filter(alert => alert.type === type
+    && (!alert.accountNumber || String(alert.accountNumber) === String(accountNumber))
+    && (!alert.companyId || alert.companyId.toLowerCase() === task.companyId.toLowerCase()));
+}
+
+/**
+ * Function to send alert when the balance of an account drops below the threshold of a lowBalance alert.
+ * The alert is sent once, when the balance crosses the threshold, and again after the balance recovers.
+ * @param {any} task Transaction sync task
+ * @param {any[]} accounts Scraped accounts
+ * @param {Map<string, number>} previousBalances Balances saved by the previous sync by account number
+ */
+async function checkBalanceAlerts(task, accounts, previousBalances) {
+  for (const account of accounts) {
+    if (account.balance == null) {
+      continue;
+    }
+
+    const previousBalance = previousBalances.get(String(account.accountNumber));
+    for (const alert of getMatchingAccountAlerts(task, 'lowBalance', account.accountNumber)) {
+      const threshold = Number(alert.amount);
+      if (account.balance >= threshold || (previousBalance != null && previousBalance < threshold)) {
+        continue;
+      }
+
+      logger.info(`Balance is below the alert threshold`, { taskKey: task.taskKey, accountNumber: account.accountNumber });
+
+      await notifyAlert({
+        event: 'lowBalance',
+        emoji: ACCOUNT_ALERTS.lowBalance.emoji,
+        title: `${ACCOUNT_ALERTS.lowBalance.title}: ${formatAmount(account.balance)}`,
+        text: `The balance of account ${account.accountNumber} (${task.companyId}) is below ${formatAmount(threshold)}.`,
+        details: { userCode: task.user, companyId: task.companyId, accountNumber: account.accountNumber, balance: account.balance, threshold }
+      }, task.destinations, task.taskKey);
+    }
+  }
+}
+
+/**
+ * Function to send alert for each new transaction matching the task's largeTransaction, foreignCurrency or newMerchant alerts.
+ * A transaction matching several alerts gets one alert with all the reasons.
+ * New merchants are detected among the user's transactions of the last NEW_MERCHANT_DAYS,
+ * not when the provider has no transactions in that period (e.g. the first sync).
+ * The merchant is the name of the matching merchant name pattern or the description compared as normalizeMerchant does,
+ * so the references and the branch numbers in the descriptions don't make a merchant new.
+ * @param {any} task Transaction sync task
+ * @param {any[]} newTransactions Transactions stored by the sync for the first time
+ */
+async function checkTransactionAlerts(task, newTransactions) {
+  const isNewMerchantAlertEnabled = (task.alerts || []).some(alert => alert.type === 'newMerchant');
+  const knownMerchants = new Set();
+  let hasHistory = false;
+  let getMerchant = transaction => normalizeMerchant(transaction.description);
+
+  if (isNewMerchantAlertEnabled) {
+    const patterns = await getTranslationPatterns();
+    getMerchant = transaction => {
+      const patternName = getPatternTranslation(patterns, transaction);
+      return patternName ? `pattern:${patternName}` : normalizeMerchant(transaction.description);
+    };
+
+    // The merchants of the last NEW_MERCHANT_DAYS are known, only the fields needed to compare them are loaded
+    const since = DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ days: NEW_MERCHANT_DAYS }).startOf('day').toJSDate();
+    const knownTransactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+      collection.find({ userCode: task.user, date: { $gte: since }, _id: { $nin: newTransactions.map(transaction => transaction._id) } },
+        { projection: { _id: 0, companyId: 1, description: 1 } }).toArray());
+
+    hasHistory = knownTransactions.some(transaction => transaction.companyId === task.companyId);
+    knownTransactions.forEach(transaction => knownMerchants.add(getMerchant(transaction)));
+  }
+
+  for (const transaction of newTransactions) {
+    const matches = type => getMatchingAccountAlerts(task, type, transaction.accountNumber);
+    const reasons = [];
+
+    if (matches('largeTransaction').some(alert => Math.abs(getAmountILS(transaction)) >= Number(alert.amount))) {
+      reasons.push('largeTransaction');
+    }
+
+    if (matches('foreignCurrency').length > 0 && (normalizeCurrency(transaction.originalCurrency) || 'ILS') !== 'ILS') {
+      reasons.push('foreignCurrency');
+    }
+
+    if (matches('newMerchant').length > 0 && hasHistory && transaction.chargedAmount < 0 && !knownMerchants.has(getMerchant(transaction))) {
+      reasons.push('newMerchant');
+    }
+
+    // The next charges of the new merchant in this sync are not new anymore
+    knownMerchants.add(getMerchant(transaction));
+
+    if (reasons.length === 0) {
+      continue;
+    }
+
+    const description = transaction.translatedDescription
+      ? `${transaction.description} (${transaction.translatedDescription})`
+      : transaction.description;
+    const originalAmount = reasons.includes('foreignCurrency')
+      ? `\nOriginal amount: ${formatAmount(transaction.originalAmount, normalizeCurrency(transaction.originalCurrency))}`
+      : '';
+
+    logger.info(`Transaction alert: ${reasons.join(', ')}`, { taskKey: task.taskKey, transactionDbId: transaction._id });
+
+    await notifyAlert({
+      event: 'transactionAlert',
+      emoji: ACCOUNT_ALERTS[reasons[0]].emoji,
+      title: `${reasons.map(reason => ACCOUNT_ALERTS[reason].title).join(', ')}: ${formatAmount(transaction.chargedAmount, getChargedCurrency(transaction))}`,
+      text: `${description}\nAccount: ${transaction.accountNumber} (${task.companyId})\nDate: ${formatDateTime(transaction.date)}${originalAmount}`,
+      details: { userCode: task.user, companyId: task.companyId, accountNumber: transaction.accountNumber, reasons, transaction }
+    }, task.destinations, task.taskKey);
+  }
+}
+
+/**
+ * Function to update the subscriptions of the task's user and provider from the recurring charges of the last six months
+ * and send the subscription alerts:
+ * a new recurring merchant or a changed amount (only when the charge is new in this sync), a missing expected charge.
+ * A missing subscription is kept for three more intervals, then it's inactive.
+ * @param {any} task Transaction sync task
+ * @param {any[]} newTransactions Transactions stored by the sync for the first time
+ * @param {boolean} isSilent If true, the subscriptions are updated without alerts
+ */
+async function updateSubscriptions(task, newTransactions, isSilent) {
+  const now = new Date();
+  const since = DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ months: 6 }).toJSDate();
+  const filter = { userCode: task.user, companyId: task.companyId };
+
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ ...filter, date: { $gte: since } }).toArray());
+  const subscriptions = new Map((await withCollection(SUBSCRIPTIONS_COLLECTION_NAME, collection =>
+    collection.find(filter).toArray())).map(subscription => [subscription._id, subscription]));
+  const newTransactionIds = new Set(newTransactions.map(transaction => String(transaction._id)));
+  const alerts = [];
+  const operations = [];
+
+  for (const charge of detectRecurringCharges(transactions)) {
+    let subscription = subscriptions.get(charge.key);
+
+    // The subscriptions of the previous versions are keyed by the translated description, they are moved to the new key
+    const legacyKey = [charge.userCode, charge.companyId, charge.accountNumber, normalizeMerchant(charge.description)].join('|');
+    if (!subscription && legacyKey !== charge.key && subscriptions.has(legacyKey)) {
+      subscription = subscriptions.get(legacyKey);
+      subscriptions.delete(legacyKey);
+      operations.push({ deleteOne: { filter: { _id: legacyKey } } });
+    }
+
+    const isNewCharge = newTransactionIds.has(String(charge.lastTransactionId));
+    if (!subscription && (charge.isAmountChanged || isRecurringChargeMissing(charge, now))) {
+      continue;
+    }
+
+    if (!subscription && isNewCharge) {
+      alerts.push({ reason: 'new', charge });
+    } else if (subscription && isNewCharge && charge.isAmountChanged) {
+      alerts.push({ reason: 'amountChanged', charge });
+    }
+
+    // A late charge keeps the status, so the missing alert is sent once
+    const status = subscription && isRecurringChargeMissing(charge, now) ? subscription.status : 'active';
+    const { key, lastTransactionId, isAmountChanged, previousAmount, ...fields } = charge;
+    subscriptions.set(key, { ...subscription, ...fields, _id: key, status });
+    operations.push({
+      updateOne: {
+        filter: { _id: key },
+        update: { $set: { ...fields, status }, $setOnInsert: { createdAt: subscription?.createdAt || now }, $currentDate: { updatedAt: true } },
+        upsert: true
+      }
+    });
+  }
+
+  for (const subscription of subscriptions.values()) {
+    if (subscription.status === 'inactive' || !isRecurringChargeMissing(subscription, now)) {
+      continue;
+    }
+
+    const inactiveDate = DateTime.fromJSDate(subscription.nextDate).plus({ days: 3 * RECURRING_INTERVALS[subscription.interval].days }).toJSDate();
+    const status = now > inactiveDate ? 'inactive' : 'missing';
+    if (status === subscription.status) {
+      continue;
+    }
+
+    if (status === 'missing') {
+      alerts.push({ reason: 'missing', charge: subscription });
+    }
+    operations.push({ updateOne: { filter: { _id: subscription._id }, update: { $set: { status }, $currentDate: { updatedAt: true } } } });
+  }
+
+  if (operations.length > 0) {
+    await withCollection(SUBSCRIPTIONS_COLLECTION_NAME, collection => collection.bulkWrite(operations));
+  }
+
+  if (isSilent) {
+    return;
+  }
+
+  for (const { reason, charge } of alerts) {
+    if (getMatchingAccountAlerts(task, 'subscription', charge.accountNumber).length === 0) {
+      continue;
+    }
+
+    const title = {
+      new: `New subscription: ${charge.description}`,
+      amountChanged: `Subscription amount changed: ${charge.description}`,
+      missing: `Expected charge missing: ${charge.description}`
+    }[reason];
+    const text = {
+      new: `${formatAmount(charge.amount)} ${charge.interval}`,
+      amountChanged: `${formatAmount(charge.previousAmount)} → ${formatAmount(charge.amount)}`,
+      missing: `${formatAmount(charge.amount)} expected on ${formatDateTime(charge.nextDate)}`
+    }[reason];
+
+    logger.info(`Subscription alert: ${reason}`, { taskKey: task.taskKey, merchant: charge.merchant });
+
+    await notifyAlert({
+      event: 'subscriptionAlert',
+      emoji: ACCOUNT_ALERTS.subscription.emoji,
+      title,
+      text: `${text}\nAccount: ${charge.accountNumber} (${task.companyId})`,
+      details: { userCode: task.user, companyId: task.companyId, accountNumber: charge.accountNumber, reason, subscription: charge }
+    }, task.destinations, task.taskKey);
+  }
+}
+
+/**
+ * Function to get the active and missing subscriptions
+ * @param {any} filter Filter of the subscriptions
+ * @returns {Promise<any[]>} Subscriptions sorted by the next charge
+ */
+async function getSubscriptions(filter) {
+  return withCollection(SUBSCRIPTIONS_COLLECTION_NAME, collection =>
+    collection.find({ ...filter, status: { $in: ['active', 'missing'] } }).sort({ nextDate: 1 }).toArray());
+}
+
+/**
+ * Function to format the subscriptions in Telegram Markdown
+ * @param {any[]} subscriptions Subscriptions, see getSubscriptions
+ * @returns {string} Subscriptions, up to 30, and their monthly cost
+ */
+function formatSubscriptions(subscriptions) {
+  if (subscriptions.length === 0) {
+    return 'No subscriptions detected.';
+  }
+
+  const lines = subscriptions.slice(0, 30).map(subscription => {
+    const nextDate = DateTime.fromJSDate(subscription.nextDate).setZone(DEFAULT_TIMEZONE).toFormat('yyyy-MM-dd');
+    const status = subscription.status === 'missing' ? ` ⚠️ missing, expected ${nextDate}` : `, next ${nextDate}`;
+    return `• ${escapeMarkdown(subscription.description)} \`${escapeMarkdown(subscription.accountNumber)}\`: ${formatAmount(subscription.amount)} ${subscription.interval}${status}`;
+  });
+  if (subscriptions.length > lines.length) {
+    lines.push(`…and ${subscriptions.length - lines.length} more`);
+  }
+
+  const monthlyCost = subscriptions.filter(subscription => subscription.status === 'active')
+    .reduce((total, subscription) => total + subscription.amount * (subscription.interval === 'weekly' ? 52 / 12 : 1), 0);
+  return `${lines.join('\n')}\n\nMonthly cost: *${formatAmount(monthlyCost)}*`;
+}
+
+/**
+ * Function to save budgets from the configuration (\`budgets\` of the user in USERS_JSON) to db.
+ * Budgets removed from the configuration are removed from db, budgets added to db directly are kept.
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ */
+async function saveConfigBudgets(transactionSyncTasks) {
+  const budgetsByUser = new Map();
+  transactionSyncTasks.forEach(task => {
+    if (task.budgets) {
+      budgetsByUser.set(task.user, task.budgets);
+    }
+  });
+
+  if (budgetsByUser.size === 0) {
+    return;
+  }
+
+  await withCollection(BUDGETS_COLLECTION_NAME, async collection => {
+    for (const [user, budgets] of budgetsByUser) {
+      if (!Array.isArray(budgets)) {
+        logger.error(`"budgets" should be an array. Check user ${user}.`);
+        continue;
+      }
+
+      const keptIds = [];
+      for (const [index, budget] of budgets.entries()) {
+        if (!(budget.amount > 0)) {
+          logger.error(`Budget amount should be a positive number. Check user ${user}, budget #${index} (index starts from 0).`);
+          continue;
+        }
+
+        const key = {
+          userCode: user,
+          category: budget.category || null,
+          accountNumber: budget.accountNumber ? String(budget.accountNumber) : null,
+          companyId: budget.companyId || null,
+          source: 'config'
+        };
+
+        const result = await collection.findOneAndUpdate(key,
+          { $set: { amount: budget.amount, name: budget.name || null }, $currentDate: { updatedAt: true } },
+          { upsert: true, returnDocument: 'after' });
+        keptIds.push(result.value._id);
+      }
+
+      await collection.deleteMany({ userCode: user, source: 'config', _id: { $nin: keptIds } });
+    }
+  });
+
+  logger.info(`Budgets from configuration saved for users: ${[...budgetsByUser.keys()].join(', ')}`);
+}
+
+/**
+ * Function to get budget's title for messages
+ * @param {any} budget
+ * @returns {string} Title, e.g. "Groceries" or "Total"
+ */
+function getBudgetTitle(budget) {
+  return budget.name
+    || [budget.category, budget.companyId, budget.accountNumber].filter(part => part).join(' ')
+    || 'Total';
+}
+
+/**
+ * Function to check the user's monthly budgets and send alert when spending crosses a threshold.
+ * Each threshold fires only once per budget and calendar month in DEFAULT_TIMEZONE.
+ * @param {string} user User code
+ * @param {Array} destinations Notification destinations
+ * @param {string} taskKey Task key for logging
+ */
+async function checkBudgets(user, destinations, taskKey) {
+  const budgets = await withCollection(BUDGETS_COLLECTION_NAME, collection =>
+    collection.find({ userCode: user }).toArray());
+
+  if (budgets.length === 0) {
+    return;
+  }
+
+  const monthStart = DateTime.now().setZone(DEFAULT_TIMEZONE).startOf('month');
+  const period = monthStart.toFormat('yyyy-MM');
+
+  const expenses = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ userCode: user, date: { $gte: monthStart.toJSDate() }, chargedAmount: { $lt: 0 }, excludeFromTotals: { $ne: true }, hidden: { $ne: true } }).toArray());
+
+  for (const budget of budgets) {
+    const spent = -expenses
+      .filter(transaction => !isAmountILSMissing(transaction) && (!budget.category || budget.category === transaction.category)
+        && (!budget.accountNumber || String(budget.accountNumber) === String(transaction.accountNumber))
+        && (!budget.companyId || budget.companyId === transaction.companyId))
+      .reduce((sum, transaction) => sum + getAmountILS(transaction), 0);
+
+    const percent = spent / budget.amount * 100;
+    const crossedThresholds = BUDGET_ALERT_THRESHOLDS.filter(threshold => percent >= threshold);
+    if (crossedThresholds.length === 0) {
+      continue;
+    }
+
+    // Mark all crossed thresholds as fired, the alert is sent for the highest newly crossed one only.
+    // The marks are removed if the alert isn't sent, so it's sent on the next sync.
+    const newThresholds = [];
+    await withCollection(BUDGET_ALERTS_COLLECTION_NAME, async collection => {
+      for (const threshold of crossedThresholds) {
+        try {
+          await collection.insertOne({ _id: `${budget._id}|${period}|${threshold}`, budgetId: budget._id, period, threshold, spent, createdAt: new Date() });
+          newThresholds.push(threshold);
+        } catch (error) {
+          if (error.code !== 11000) { // Ignore duplicate key error, the threshold has already fired
+            throw error;
+          }
+        }
+      }
+    });
+
+    if (newThresholds.length === 0) {
+      continue;
+    }
+
+    const threshold = newThresholds[newThresholds.length - 1];
+    const title = getBudgetTitle(budget);
+
+    logger.info(`Budget threshold crossed: ${threshold}%`, { taskKey, budgetId: budget._id, period });
+
+    const isSent = await notifyAlert({
+      event: 'budget',
+      emoji: threshold >= 100 ? '🚨' : '⚠️',
+      title: `Budget "${title}": ${Math.round(percent)}% spent`,
+      text: `${formatAmount(spent)} of ${formatAmount(budget.amount)} spent in ${monthStart.toFormat('MMMM yyyy')}, ${formatAmount(Math.max(budget.amount - spent, 0))} left.`,
+      details: { userCode: user, budgetId: budget._id, title, period, threshold, spent, amount: budget.amount }
+    }, destinations, taskKey);
+
+    if (!isSent) {
+      logger.warn(`Budget alert isn't sent, it will be sent on the next sync`, { taskKey, budgetId: budget._id, period });
+      await withCollection(BUDGET_ALERTS_COLLECTION_NAME, collection =>
+        collection.deleteMany({ _id: { $in: newThresholds.map(newThreshold => `${budget._id}|${period}|${newThreshold}`) } }));
+    }
+  }
+}
+
+/**
+ * Report types and corresponding Luxon units of the reported period
+ */
+const REPORT_PERIOD_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+/**
+ * Function to send report of the previous complete period (day, week or month) or the forecast of the upcoming charges
+ * to each user's Telegram channel. Reports are built from the stored transactions.
+ * @param {string} reportType daily | weekly | monthly | forecast
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ */
+async function sendReports(reportType, transactionSyncTasks) {
+  const unit = REPORT_PERIOD_UNITS[reportType];
+  if (!unit && reportType !== 'forecast') {
+    throw new Error(`Unknown report type: ${reportType}. Expected one of: ${[...Object.keys(REPORT_PERIOD_UNITS), 'forecast'].join(', ')}`);
+  }
+
+  const userChats = new Map();
+  transactionSyncTasks.forEach(task => {
+    if (task.userChatId) {
+      userChats.set(task.user, task.userChatId);
+    }
+  });
+
+  for (const [user, chatId] of userChats) {
+    const report = unit ? await buildReport(user, unit) : await buildForecastReport(user);
+    logger.info(`Sending ${reportType} report`, { user });
+    await sendToDestinations([{ type: 'telegram', chatId }], () => report, { user, report: reportType });
+  }
+
+  if (unit === 'week' || unit === 'month') {
+    for (const household of getHouseholds(transactionSyncTasks).values()) {
+      if (!household.chatId) {
+        continue;
+      }
+
+      const report = await buildHouseholdReport(household, transactionSyncTasks, unit);
+      logger.info(`Sending ${reportType} household report`, { household: household.name });
+      await sendToDestinations([{ type: 'telegram', chatId: household.chatId }], () => report, { household: household.name, report: reportType });
+    }
+  }
+}
+
+/**
+ * Function to sum income and expense of transactions, the transactions without amount in ILS are counted only
+ * @param {any[]} transactions
+ * @returns {{income: number, expense: number, missingAmounts: number}} Totals, expense is negative
+ */
+function getTotals(transactions) {
+  return transactions.filter(transaction => !transaction.excludeFromTotals && !transaction.hidden).reduce((totals, transaction) => {
+    if (isAmountILSMissing(transaction)) {
+      totals.missingAmounts++;
+    } else if (transaction.chargedAmount > 0) {
+      totals.income += getAmountILS(transaction);
+    } else {
+      totals.expense += getAmountILS(transaction);
+    }
+    return totals;
+  }, { income: 0, expense: 0, missingAmounts: 0 });
+}
+
+/**
+ * Function to format change of amount comparing to the previous period.
+ * Expenses are negative, so they are compared by absolute values: growing spending is "+"
+ * @param {number} current
+ * @param {number} previous
+ * @returns {string} Change, e.g. "+12%" or "n/a"
+ */
+function formatChange(current, previous) {
+  if (!previous) {
+    return 'n/a';
+  }
+
+  const change = Math.round((Math.abs(current) - Math.abs(previous)) / Math.abs(previous) * 100);
+  return `${change > 0 ? '+' : ''}${change}%`;
+}
+
+/**
+ * Function to build report for the user for the previous complete period in DEFAULT_TIMEZONE
+ * @param {string} user User code
+ * @param {string} unit Luxon unit of the period: day | week | month
+ * @returns {Promise<string>} Report text in Telegram Markdown
+ */
+async function buildReport(user, unit) {
+  const end = DateTime.now().setZone(DEFAULT_TIMEZONE).startOf(unit);
+  const start = end.minus({ [unit]: 1 });
+  const previousStart = start.minus({ [unit]: 1 });
+
+  const allTransactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ userCode: user, date: { $gte: previousStart.toJSDate(), $lt: end.toJSDate() } }).toArray());
+
+  const transactions = allTransactions.filter(transaction => transaction.date >= start.toJSDate());
+  const previousTransactions = allTransactions.filter(transaction => transaction.date < start.toJSDate());
+
+  const period = unit === 'day'
+    ? start.toFormat('yyyy-MM-dd')
+    : `${start.toFormat('yyyy-MM-dd')} – ${end.minus({ days: 1 }).toFormat('yyyy-MM-dd')}`;
+  const title = `*${{ day: 'Daily', week: 'Weekly', month: 'Monthly' }[unit]} report for ${escapeMarkdown(user)}*\n${period}`;
+
+  if (transactions.length === 0) {
+    return `${title}\n\nNo transactions.`;
+  }
+
+  const totals = getTotals(transactions);
+  const previousTotals = getTotals(previousTransactions);
+
+  // Top merchants by expense
+  const merchants = new Map();
+  transactions.filter(transaction => transaction.chargedAmount < 0 && !transaction.excludeFromTotals && !transaction.hidden && !isAmountILSMissing(transaction)).forEach(transaction => {
+    const merchant = transaction.translatedDescription || transaction.description;
+    merchants.set(merchant, (merchants.get(merchant) || 0) + getAmountILS(transaction));
+  });
+  const topMerchants = [...merchants].sort((a, b) => a[1] - b[1]).slice(0, 5);
+
+  // Breakdown by company and account
+  const companies = new Map();
+  transactions.forEach(transaction => {
+    const accounts = companies.get(transaction.companyId) || new Map();
+    const account = accounts.get(transaction.accountNumber) || [];
+    account.push(transaction);
+    accounts.set(transaction.accountNumber, account);
+    companies.set(transaction.companyId, accounts);
+  });
+
+  const breakdown = [...companies].map(([companyId, accounts]) => {
+    const lines = [...accounts].map(([accountNumber, accountTransactions]) => {
+      const accountTotals = getTotals(accountTransactions);
+      return `  \`${escapeMarkdown(accountNumber)}\`: 💰 ${formatAmount(accountTotals.income)} 💸 ${formatAmount(accountTotals.expense)}`;
+    });
+    return `${escapeMarkdown(companyId)}\n${lines.join('\n')}`;
+  });
+
+  const pendingCount = transactions.filter(transaction => transaction.status === 'pending').length;
+  const subscriptions = unit === 'day' ? '' : `\n\n*Subscriptions*\n${formatSubscriptions(await getSubscriptions({ userCode: user }))}`;
+
+  return `${title}
+
+💰 Income: *${formatAmount(totals.income)}* (${formatChange(totals.income, previousTotals.income)})
+💸 Expense: *${formatAmount(totals.expense)}* (${formatChange(totals.expense, previousTotals.expense)})
+Net: *${formatAmount(totals.income + totals.expense)}*
+Previous period: 💰 ${formatAmount(previousTotals.income)} 💸 ${formatAmount(previousTotals.expense)}${formatMissingAmountsNote(totals.missingAmounts)}
+
+*Top merchants*
+${topMerchants.map(([merchant, amount], index) => `${index + 1}. ${escapeMarkdown(merchant)}: ${formatAmount(amount)}`).join('\n') || 'No expenses'}
+
+*By company and account*
+${breakdown.join('\n')}
+
+Transactions: ${transactions.length} (completed: ${transactions.length - pendingCount}, pending: ${pendingCount})${subscriptions}`;
+}
+
+/**
+ * Function to get the tasks of the household members with accounts shared with the household, marked as household view
+ * @param {any} household Household, see getHouseholds
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {Array} Transaction sync tasks of the household
+ */
+function getHouseholdTasks(household, transactionSyncTasks) {
+  return transactionSyncTasks
+    .filter(task => task.household === household.name
+      && (task.visibility['*'] === 'shared' || Object.values(task.visibility).includes('shared')))
+    .map(task => ({ ...task, isHouseholdView: true }));
+}
+
+/**
+ * Function to get the split of the transaction amount between the household members
+ * @param {any} transaction Transaction with split: paidBy and shares (weights) by member
+ * @returns {Map<string, number>} Amount in ILS owed by each member, expense is positive
+ */
+function getSplitAmounts(transaction) {
+  const amount = -getAmountILS(transaction);
+  const shares = Object.entries(transaction.split.shares);
+  const totalShares = shares.reduce((total, [, share]) => total + share, 0);
+
+  return new Map(shares.map(([member, share]) => [member, Math.round(amount * share / totalShares * 100) / 100]));
+}
+
+/**
+ * Function to calculate the household members' balances from the split transactions and the settlements
+ * @param {any} household Household, see getHouseholds
+ * @returns {Promise<Map<string, number>>} Balance by member, positive if the member is owed
+ */
+async function getHouseholdBalances(household) {
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ 'split.household': household.name }).toArray());
+  const settlements = await withCollection(HOUSEHOLD_SETTLEMENTS_COLLECTION_NAME, collection =>
+    collection.find({ household: household.name }).toArray());
+
+  const balances = new Map(household.members.map(member => [member, 0]));
+  const add = (member, amount) => balances.set(member, (balances.get(member) || 0) + amount);
+
+  for (const transaction of transactions.filter(transaction => !isAmountILSMissing(transaction))) {
+    add(transaction.split.paidBy, -getAmountILS(transaction));
+    getSplitAmounts(transaction).forEach((amount, member) => add(member, -amount));
+  }
+
+  for (const settlement of settlements) {
+    add(settlement.from, settlement.amount);
+    add(settlement.to, -settlement.amount);
+  }
+
+  return balances;
+}
+
+/**
+ * Function to get the payments settling the balances: the members owing pay the members owed, largest amounts first
+ * @param {Map<string, number>} balances Balance by member, see getHouseholdBalances
+ * @returns {{from: string, to: string, amount: number}[]} Payments
+ */
+function getHouseholdDebts(balances) {
+  const creditors = [...balances].filter(([, balance]) => balance > 0.005).map(([member, balance]) => ({ member, balance }));
+  const debtors = [...balances].filter(([, balance]) => balance < -0.005).map(([member, balance]) => ({ member, balance: -balance }));
+  creditors.sort((a, b) => b.balance - a.balance);
+  debtors.sort((a, b) => b.balance - a.balance);
+
+  const debts = [];
+  for (const debtor of debtors) {
+    for (const creditor of creditors) {
+      const amount = Math.min(debtor.balance, creditor.balance);
+      if (amount > 0.005) {
+        debts.push({ from: debtor.member, to: creditor.member, amount: Math.round(amount * 100) / 100 });
+        debtor.balance -= amount;
+        creditor.balance -= amount;
+      }
+    }
+  }
+
+  return debts;
+}
+
+/**
+ * Function to format who owes whom in the household
+ * @param {{from: string, to: string, amount: number}[]} debts See getHouseholdDebts
+ * @returns {string} Formatted debts
+ */
+function formatHouseholdDebts(debts) {
+  if (debts.length === 0) {
+    return 'All settled up.';
+  }
+
+  return debts.map(debt => `${escapeMarkdown(debt.from)} → ${escapeMarkdown(debt.to)}: *${formatAmount(debt.amount)}*`).join('\n');
+}
+
+/**
+ * Function to build the household report of the previous complete period: the expense of the shared accounts
+ * of each member, the split expenses and who owes whom
+ * @param {any} household Household, see getHouseholds
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @param {string} unit Luxon unit of the period: week | month
+ * @returns {Promise<string>} Report text
+ */
+async function buildHouseholdReport(household, transactionSyncTasks, unit) {
+  const end = DateTime.now().setZone(DEFAULT_TIMEZONE).startOf(unit);
+  const start = end.minus({ [unit]: 1 });
+
+  const householdTasks = getHouseholdTasks(household, transactionSyncTasks);
+  const transactions = householdTasks.length === 0 ? [] : await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ ...getChatTransactionsFilter(householdTasks), date: { $gte: start.toJSDate(), $lt: end.toJSDate() } }).toArray());
+
+  const members = household.members.map(member => {
+    const totals = getTotals(transactions.filter(transaction => transaction.userCode === member));
+    return `${escapeMarkdown(member)}: 💸 ${formatAmount(totals.expense)}`;
+  });
+
+  const splitTransactions = transactions.filter(transaction => transaction.split?.household === household.name);
+  const splitTotal = splitTransactions.filter(transaction => !isAmountILSMissing(transaction))
+    .reduce((total, transaction) => total + getAmountILS(transaction), 0);
+  const debts = getHouseholdDebts(await getHouseholdBalances(household));
+
+  return `*${{ week: 'Weekly', month: 'Monthly' }[unit]} report for ${escapeMarkdown(household.name)}*
+${start.toFormat('yyyy-MM-dd')} – ${end.minus({ days: 1 }).toFormat('yyyy-MM-dd')}
+
+*Shared accounts*
+${members.join('\n')}
+
+Split expenses: ${splitTransactions.length} (${formatAmount(splitTotal)})
+
+*Who owes whom*
+${formatHouseholdDebts(debts)}`;
+}
+
+/**
+ * Minimal number of charges of the same merchant to consider the charge recurring
+ */
+const RECURRING_MIN_COUNT = 3;
+
+/**
+ * Allowed difference between the amounts of a recurring charge, relative to the previous amount
+ */
+const RECURRING_AMOUNT_TOLERANCE = 0.2;
+
+/**
+ * Difference of the last amount of a recurring charge from the previous one, relative to the previous amount,
+ * to consider the amount changed. Smaller differences are usual for the charges in foreign currency.
+ */
+const RECURRING_AMOUNT_CHANGE = 0.05;
+
+/**
+ * Intervals of recurring charges: days between the charges with the allowed difference,
+ * Luxon duration to the next charge and days to wait for a late charge before it's considered missing
+ */
+const RECURRING_INTERVALS = {
+  weekly: { days: 7, tolerance: 1, duration: { weeks: 1 }, graceDays: 3 },
+  monthly: { days: 30, tolerance: 4, duration: { months: 1 }, graceDays: 7 }
+};
+
+/**
+ * Function to get date of the charge of the transaction, the processed date if known
+ * @param {any} transaction
+ * @returns {Date} Date of the charge
+ */
+function getChargeDate(transaction) {
+  return transaction.processedDate || transaction.date;
+}
+
+/**
+ * Function to get stored transactions for the installments view and the forecast:
+ * the ones charged or purchased since six months ago, so the recent payments of older purchases are included
+ * @param {any} filter Filter of the user's or chat's transactions
+ * @returns {Promise<any[]>} Transactions
+ */
+async function getForecastTransactions(filter) {
+  const since = DateTime.now().setZone(DEFAULT_TIMEZONE).startOf('month').minus({ months: 6 }).toJSDate();
+  return withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ $and: [filter, { $or: [{ date: { $gte: since } }, { processedDate: { $gte: since } }] }] }).toArray());
+}
+
+/**
+ * Function to group the payments of installment purchases by purchase.
+ * The scrapers return one transaction per payment, the earlier payments may be out of the sync window,
+ * so the paid count is taken from the number of the last charged payment and unknown amounts are estimated by the last payment.
+ * @param {any[]} transactions Transactions, the ones without installments are ignored
+ * @param {Date} now Current date
+ * @returns {any[]} Installment plans sorted by the next charge, the finished ones last
+ */
+function getInstallmentPlans(transactions, now = new Date()) {
+  const plans = new Map();
+  for (const transaction of transactions.filter(transaction => transaction.installments?.total > 1)) {
+    const purchaseDay = DateTime.fromJSDate(transaction.date).setZone(DEFAULT_TIMEZONE).toISODate();
+    const key = [transaction.userCode, transaction.companyId, transaction.accountNumber, purchaseDay,
+      transaction.description, transaction.installments.total].join('|');
+    const payments = plans.get(key) || [];
+    payments.push(transaction);
+    plans.set(key, payments);
+  }
+
+  return [...plans.values()].map(payments => {
+    payments.sort((a, b) => a.installments.number - b.installments.number);
+    const [first] = payments;
+    const last = payments[payments.length - 1];
+    const count = last.installments.total;
+    const paymentAmount = Math.abs(getAmountILS(last));
+    const paid = payments.filter(payment => getChargeDate(payment) <= now);
+    const upcoming = payments.filter(payment => getChargeDate(payment) > now);
+    const paidCount = paid.length > 0 ? paid[paid.length - 1].installments.number : 0;
+    const sum = list => list.reduce((total, payment) => total + Math.abs(getAmountILS(payment)), 0);
+
+    // Payments after the last stored one are charged monthly
+    const projected = Array.from({ length: Math.max(count - last.installments.number, 0) }, (_, i) => ({
+      number: last.installments.number + i + 1,
+      date: DateTime.fromJSDate(getChargeDate(last)).setZone(DEFAULT_TIMEZONE).plus({ months: i + 1 }).toJSDate(),
+      amount: paymentAmount
+    }));
+    const schedule = [
+      ...upcoming.map(payment => ({ number: payment.installments.number, date: getChargeDate(payment), amount: Math.abs(getAmountILS(payment)) })),
+      ...projected
+    ];
+
+    const paidAmount = sum(paid) + Math.max(paidCount - paid.length, 0) * paymentAmount;
+    const remainingAmount = schedule.reduce((total, payment) => total + payment.amount, 0);
+
+    return {
+      userCode: first.userCode,
+      companyId: first.companyId,
+      accountNumber: first.accountNumber,
+      description: last.translatedDescription || last.description,
+      purchaseDate: first.date,
+      count,
+      paidCount,
+      remainingCount: count - paidCount,
+      paymentAmount,
+      paidAmount,
+      remainingAmount,
+      totalAmount: paidAmount + remainingAmount,
+      nextChargeDate: schedule[0]?.date || null,
+      schedule
+    };
+  }).sort((a, b) => (a.nextChargeDate ?? Infinity) - (b.nextChargeDate ?? Infinity));
+}
+
+/**
+ * Function to normalize merchant name for matching the charges of the same merchant, e.g. "PAYPAL *NETFLIX 1234" -> "paypal netflix"
+ * @param {string} text Description or translated description
+ * @returns {string} Normalized merchant name
+ */
+function normalizeMerchant(text) {
+  return (text || '').toLowerCase().replace(/[\d*#.,:;'"()\/\\_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Function to detect recurring expenses: the last RECURRING_MIN_COUNT charges of the same merchant on the same account
+ * in a regular interval (see RECURRING_INTERVALS), with similar amounts except maybe the last one (see isAmountChanged).
+ * The merchant is the original description, so a new translation doesn't split the charges; the translation is for display only.
+ * The intervals are measured by the transaction dates, as the card transactions are charged once a month.
+ * @param {any[]} transactions Transactions
+ * @returns {any[]} Recurring charges with the last and the expected next charge
+ */
+function detectRecurringCharges(transactions) {
+  const groups = new Map();
+  const expenses = transactions.filter(transaction => transaction.chargedAmount < 0 && !transaction.installments
+    && !transaction.excludeFromTotals && !transaction.hidden && !getCardBillCompany(transaction));
+  for (const transaction of expenses) {
+    const merchant = normalizeMerchant(transaction.description);
+    const key = [transaction.userCode, transaction.companyId, transaction.accountNumber, merchant].join('|');
+    const charges = groups.get(key) || [];
+    charges.push(transaction);
+    groups.set(key, charges);
+  }
+
+  const recurring = [];
+  for (const [key, charges] of groups) {
+    if (charges.length < RECURRING_MIN_COUNT) {
+      continue;
+    }
+
+    charges.sort((a, b) => a.date - b.date);
+    const recent = charges.slice(-RECURRING_MIN_COUNT);
+    const intervals = recent.slice(1).map((charge, i) => (charge.date - recent[i].date) / (24 * 60 * 60 * 1000));
+    const interval = Object.keys(RECURRING_INTERVALS).find(name =>
+      intervals.every(days => Math.abs(days - RECURRING_INTERVALS[name].days) <= RECURRING_INTERVALS[name].tolerance));
+
+    const last = recent[recent.length - 1];
+    const previous = recent[recent.length - 2];
+    const isSimilar = (a, b, tolerance = RECURRING_AMOUNT_TOLERANCE) => Math.abs(getAmountILS(a) - getAmountILS(b)) <= Math.abs(getAmountILS(b)) * tolerance;
+    if (!interval || !recent.slice(0, -1).every(charge => isSimilar(charge, previous))) {
+      continue;
+    }
+
+    const nextDate = DateTime.fromJSDate(last.date).setZone(DEFAULT_TIMEZONE).plus(RECURRING_INTERVALS[interval].duration).toJSDate();
+    recurring.push({
+      key,
+      userCode: last.userCode,
+      companyId: last.companyId,
+      accountNumber: last.accountNumber,
+      merchant: key.split('|').pop(),
+      description: last.translatedDescription || last.description,
+      interval,
+      amount: Math.abs(getAmountILS(last)),
+      previousAmount: Math.abs(getAmountILS(previous)),
+      isAmountChanged: !isSimilar(last, previous, RECURRING_AMOUNT_CHANGE),
+      lastDate: last.date,
+      lastTransactionId: last._id,
+      nextDate,
+      // The card transactions are charged later than purchased
+      nextChargeDate: new Date(nextDate.getTime() + (getChargeDate(last) - last.date))
+    });
+  }
+
+  return recurring;
+}
+
+/**
+ * Function to check if the expected charge of a recurring charge or subscription is late for more than its grace days
+ * @param {{interval: string, nextDate: Date}} charge Recurring charge or subscription
+ * @param {Date} now Current date
+ * @returns {boolean} true if the charge is missing
+ */
+function isRecurringChargeMissing(charge, now = new Date()) {
+  return now - charge.nextDate > RECURRING_INTERVALS[charge.interval].graceDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Function to forecast the charges of each account in the current and the next months (FORECAST_MONTHS in total):
+ * the stored charges not charged yet (e.g. card transactions waiting for the bill), the remaining installments
+ * and the detected recurring charges
+ * @param {any[]} transactions Transactions, see getForecastTransactions
+ * @param {Date} now Current date
+ * @returns {any[]} Forecast per account: companyId, accountNumber and months with charges, installments and recurring amounts
+ */
+function getChargesForecast(transactions, now = new Date()) {
+  const start = DateTime.fromJSDate(now).setZone(DEFAULT_TIMEZONE).startOf('month');
+  const end = start.plus({ months: FORECAST_MONTHS });
+  const accounts = new Map();
+
+  const add = (item, date, field, amount) => {
+    const dateTime = DateTime.fromJSDate(date).setZone(DEFAULT_TIMEZONE);
+    if (date <= now || dateTime >= end) {
+      return;
+    }
+
+    const key = `${item.companyId}|${item.accountNumber}`;
+    const account = accounts.get(key) || { companyId: item.companyId, accountNumber: item.accountNumber, months: new Map() };
+    const month = dateTime.toFormat('yyyy-MM');
+    const totals = account.months.get(month) || { month, charges: 0, installments: 0, recurring: 0, total: 0 };
+    totals[field] += amount;
+    totals.total += amount;
+    account.months.set(month, totals);
+    accounts.set(key, account);
+  };
+
+  transactions.filter(transaction => transaction.chargedAmount < 0 && !transaction.installments && !transaction.excludeFromTotals && !transaction.hidden
+    && !isAmountILSMissing(transaction))
+    .forEach(transaction => add(transaction, getChargeDate(transaction), 'charges', -getAmountILS(transaction)));
+
+  getInstallmentPlans(transactions, now).forEach(plan =>
+    plan.schedule.forEach(payment => add(plan, payment.date, 'installments', payment.amount)));
+
+  detectRecurringCharges(transactions).filter(charge => !isRecurringChargeMissing(charge, now)).forEach(charge => {
+    const { duration } = RECURRING_INTERVALS[charge.interval];
+    for (let date = DateTime.fromJSDate(charge.nextChargeDate).setZone(DEFAULT_TIMEZONE); date < end; date = date.plus(duration)) {
+      add(charge, date.toJSDate(), 'recurring', charge.amount);
+    }
+  });
+
+  return [...accounts.values()].map(account => ({
+    ...account,
+    months: [...account.months.values()].sort((a, b) => a.month.localeCompare(b.month))
+  }));
+}
+
+/**
+ * Function to format the installment plans in Telegram Markdown
+ * @param {any[]} plans Installment plans, see getInstallmentPlans
+ * @returns {string} Active plans, up to 30
+ */
+function formatInstallmentPlans(plans) {
+  const activePlans = plans.filter(plan => plan.remainingCount > 0);
+  if (activePlans.length === 0) {
+    return 'No active installment plans.';
+  }
+
+  const lines = activePlans.slice(0, 30).map(plan => {
+    const nextCharge = plan.nextChargeDate ? `, next ${DateTime.fromJSDate(plan.nextChargeDate).setZone(DEFAULT_TIMEZONE).toFormat('yyyy-MM-dd')}` : '';
+    return `• ${escapeMarkdown(plan.description)} \`${escapeMarkdown(plan.accountNumber)}\`: ${plan.paidCount}/${plan.count} paid ${formatAmount(plan.paidAmount)} of ${formatAmount(plan.totalAmount)}, remaining ${plan.remainingCount} × ${formatAmount(plan.paymentAmount)} = *${formatAmount(plan.remainingAmount)}*${nextCharge}`;
+  });
+  if (activePlans.length > lines.length) {
+    lines.push(`…and ${activePlans.length - lines.length} more`);
+  }
+
+  const remaining = activePlans.reduce((total, plan) => total + plan.remainingAmount, 0);
+  return `${lines.join('\n')}\n\nRemaining in total: *${formatAmount(remaining)}*`;
+}
+
+/**
+ * Function to format the forecast of the charges in Telegram Markdown
+ * @param {any[]} forecast Forecast per account, see getChargesForecast
+ * @returns {string} Forecast text
+ */
+function formatChargesForecast(forecast) {
+  if (forecast.length === 0) {
+    return 'No upcoming charges.';
+  }
+
+  return forecast.map(account => {
+    const lines = account.months.map(totals => {
+      const month = DateTime.fromFormat(totals.month, 'yyyy-MM').toFormat('MMM yyyy');
+      return `  ${month}: *${formatAmount(totals.total)}* (charges ${formatAmount(totals.charges)}, installments ${formatAmount(totals.installments)}, recurring ${formatAmount(totals.recurring)})`;
+    });
+    return `${escapeMarkdown(account.companyId)} \`${escapeMarkdown(account.accountNumber)}\`\n${lines.join('\n')}`;
+  }).join('\n');
+}
+
+/**
+ * Function to build forecast report for the user: the upcoming charges per account and the active installment plans
+ * @param {string} user User code
+ * @returns {Promise<string>} Report text in Telegram Markdown
+ */
+async function buildForecastReport(user) {
+  const transactions = await getForecastTransactions({ userCode: user });
+
+  return `*Upcoming charges for ${escapeMarkdown(user)}*
+
+${formatChargesForecast(getChargesForecast(transactions))}
+
+*Installments*
+${formatInstallmentPlans(getInstallmentPlans(transactions))}`;
 }
 
 /**
@@ -597,162 +4710,2889 @@ async function handleTransactions(taskKey, user, companyId, credentials, chatId)
  * @param {string} targetKey
  * @returns {string} Key of the object that matches the target key, case insensitive
  */
-function findKeyCaseInsensitive(object, targetKey) {
-  const lowerCaseTargetKey = targetKey.toLowerCase();
-  for (const key in object) {
-    if (key.toLowerCase() === lowerCaseTargetKey) {
-      return key;
+function findKeyCaseInsensitive(object, targetKey) {
+  const lowerCaseTargetKey = targetKey.toLowerCase();
+  for (const key in object) {
+    if (key.toLowerCase() === lowerCaseTargetKey) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Environment variable suffixes for notification destinations other than Telegram.
+ * Can be set for the user (USERX_SLACK_WEBHOOK_URL) or for the provider (USERX_COMPANY_Y_SLACK_WEBHOOK_URL).
+ */
+const NOTIFICATION_ENV_VARS = {
+  SLACK_WEBHOOK_URL: webhookUrl => ({ type: 'slack', webhookUrl }),
+  DISCORD_WEBHOOK_URL: webhookUrl => ({ type: 'discord', webhookUrl }),
+  EMAIL_TO: to => ({ type: 'email', to }),
+  WEBHOOK_URL: url => ({ type: 'webhook', url })
+};
+
+/**
+ * Environment variable suffixes for the sync settings, can be set for the user (USERX_SYNC_SCHEDULE)
+ * or for the provider (USERX_COMPANY_Y_SYNC_SCHEDULE)
+ */
+const TASK_SETTING_ENV_VARS = ['SYNC_SCHEDULE', 'QUIET_HOURS', ...Object.values(ACCOUNT_ALERTS).map(alert => alert.envVar)];
+
+/**
+ * Returns notification destinations configured by environment variables, provider's variables take precedence over user's ones.
+ * @param {string} user User prefix
+ * @param {string} company Company name from the environment variables
+ * @returns {Array} Notification destinations except Telegram
+ */
+function getNotificationsFromEnvVars(user, company) {
+  return Object.entries(NOTIFICATION_ENV_VARS)
+    .map(([suffix, toDestination]) => {
+      const value = process.env[`${user}_${company}_${suffix}`] || process.env[`${user}_${suffix}`];
+      return value ? toDestination(value) : null;
+    })
+    .filter(destination => destination);
+}
+
+/**
+ * Returns account alerts configured by environment variables, provider's variables take precedence over user's ones.
+ * The amount is the value of the variable for lowBalance and largeTransaction, the other alerts are enabled by "true".
+ * @param {string} user User prefix
+ * @param {string} company Company name from the environment variables
+ * @returns {Array} Account alerts, see ACCOUNT_ALERTS
+ */
+function getAccountAlertsFromEnvVars(user, company) {
+  const alerts = Object.entries(ACCOUNT_ALERTS)
+    .map(([type, alertType]) => {
+      const value = process.env[`${user}_${company}_${alertType.envVar}`] || process.env[`${user}_${alertType.envVar}`];
+      if (!value || (!alertType.isAmountRequired && value !== 'true')) {
+        return null;
+      }
+      return alertType.isAmountRequired ? { type, amount: Number(value) } : { type };
+    })
+    .filter(alert => alert);
+
+  return getAccountAlerts(alerts, `${user}_${company}`);
+}
+
+/**
+ * Returns transaction synchronization tasks based on environment variables starting with specific user prefix.
+ * Credentials from the vault take precedence over the ones from the environment variables.
+ * @param {Map<string, any>} vaultCredentials Credentials from the vault by `user|companyId`
+ * @returns {Array} Array of tasks to be executed.
+ */
+function getTransactionSyncTasksFromEnvVars(vaultCredentials = new Map()) {
+  const transactionSyncTasks = [];
+
+  const users = process.env.USERS.split(',');
+  users.forEach((user) => {
+    // Get environment variables for this user
+    const userEnvVars = Object.keys(process.env).filter(
+      key => key.startsWith(`${user}_`) && !key.startsWith(`${user}_TELEGRAM`)
+        && !NOTIFICATION_ENV_VARS.hasOwnProperty(key.slice(user.length + 1))
+        && !TASK_SETTING_ENV_VARS.includes(key.slice(user.length + 1))
+    );
+
+    // Get unique company names from user's environment variables and the vault
+    const companies = [...new Set(userEnvVars.map(key => key.split('_')[1]))];
+    for (const key of vaultCredentials.keys()) {
+      const [vaultUser, companyId] = key.split('|');
+      if (vaultUser === user && !companies.some(company => company.toLowerCase() === companyId.toLowerCase())) {
+        companies.push(companyId.toUpperCase());
+      }
+    }
+
+    companies.forEach((company) => {
+      const chatId = process.env[`${user}_${company}_TELEGRAM_CHANNEL_ID`] || process.env[`${user}_TELEGRAM_CHANNEL_ID`];
+      const userChatId = process.env[`${user}_TELEGRAM_CHANNEL_ID`];
+      const schedule = process.env[`${user}_${company}_SYNC_SCHEDULE`] || process.env[`${user}_SYNC_SCHEDULE`] || SYNC_SCHEDULE;
+      const quietHours = process.env[`${user}_${company}_QUIET_HOURS`] || process.env[`${user}_QUIET_HOURS`] || QUIET_HOURS;
+      const destinations = getNotificationDestinations(chatId, getNotificationsFromEnvVars(user, company), `${user}_${company}`, quietHours);
+
+      // Get CompanyTypes key from config company name
+      const companyTypeKey = findKeyCaseInsensitive(CompanyTypes, company);
+      if (!companyTypeKey) {
+        logger.error(`Unknown company: ${company}`);
+        return;
+      }
+      const companyId = CompanyTypes[companyTypeKey];
+      const taskKey = user + '_' + companyId;
+
+      const credentials = vaultCredentials.get(`${user}|${companyId}`) || {
+        id: process.env[`${user}_${company}_ID`],
+        num: process.env[`${user}_${company}_NUM`],
+        username: process.env[`${user}_${company}_USERNAME`],
+        userCode: process.env[`${user}_${company}_USER_CODE`],
+        password: process.env[`${user}_${company}_PASSWORD`],
+        card6Digits: process.env[`${user}_${company}_CARD6DIGITS`],
+        nationalID: process.env[`${user}_${company}_NATIONAL_ID`],
+      };
+
+      // Push the flat task object into the array
+      transactionSyncTasks.push({
+        taskKey,
+        user,
+        companyId,
+        credentials,
+        chatId,
+        userChatId,
+        destinations,
+        schedule,
+        alerts: getAccountAlertsFromEnvVars(user, company)
+      });
+    });
+  });
+
+  return transactionSyncTasks;
+}
+
+/**
+ * Returns transaction synchronization tasks based on JSON stored in `USERS_JSON` environment variable.
+ * Credentials from the vault take precedence over the ones in the JSON.
+ * @param {Map<string, any>} vaultCredentials Credentials from the vault by `user|companyId`
+ * @returns {Array} Array of tasks to be executed.
+ */
+function getTransactionSyncTasksFromJSON(vaultCredentials = new Map()) {
+  const transactionSyncTasks = [];
+
+  let credentialsData;
+  try {
+    credentialsData = JSON.parse(process.env.USERS_JSON);
+  } catch (e) {
+    logger.error('Failed to parse USERS_JSON. Please ensure it is valid JSON.');
+    return transactionSyncTasks;
+  }
+
+  if (!Array.isArray(credentialsData)) {
+    logger.error('USERS_JSON should be an array of user credentials.');
+    return transactionSyncTasks;
+  }
+
+  credentialsData.forEach((user, userIndex) => {
+    const { userName, telegramChannelId, notifications, budgets, schedule, quietHours, alerts, household, companies } = user;
+
+    if (!userName || !Array.isArray(companies)) {
+      logger.error(`Invalid user entry. Expected "userName", and "companies" properties. Check user #${userIndex} (index starts from 0).`);
+      return;
+    }
+
+    if (!telegramChannelId && !notifications) {
+      logger.warn(`No telegramChannelId or notifications specified for user #${userIndex} (index starts from 0). Notifications will not be sent.`);
+    }
+
+    if (household && !household.name) {
+      logger.error(`Household without "name" is ignored. Check user #${userIndex} (index starts from 0).`);
+    }
+
+    companies.forEach((company, companyIndex) => {
+      const {
+        companyName, telegramChannelId: companyTelegramChannelId, notifications: companyNotifications,
+        schedule: companySchedule, quietHours: companyQuietHours, alerts: companyAlerts, visibility, ...companyCredentials
+      } = company;
+      const chatId = companyTelegramChannelId || telegramChannelId;
+
+      // Provider's destinations and settings replace user's ones
+      const destinations = getNotificationDestinations(chatId, companyNotifications || notifications,
+        `user #${userIndex}, company #${companyIndex} (index starts from 0)`, companyQuietHours || quietHours || QUIET_HOURS);
+
+      // Get CompanyTypes key from config company name
+      const companyTypeKey = findKeyCaseInsensitive(CompanyTypes, companyName);
+      if (!companyTypeKey) {
+        logger.error(`Unknown company. Check user #${userIndex}, company #${companyIndex} (index starts from 0)`);
+        return;
+      }
+
+      const scraper = SCRAPERS[companyTypeKey];
+      if (!scraper) {
+        logger.error(`No scraper found for company. Check user #${userIndex}, company #${companyIndex} (index starts from 0)`);
+        return;
+      }
+
+      // The key is kept when the config is reordered, the second account of the same company gets a suffix
+      const companyId = CompanyTypes[companyTypeKey];
+      const sameCompanyCount = transactionSyncTasks.filter(task => task.user === userName && task.companyId === companyId).length;
+      const taskKey = `${userName}_${companyId}${sameCompanyCount > 0 ? `_${sameCompanyCount + 1}` : ''}`;
+
+      const credentials = vaultCredentials.get(`${userName}|${companyId}`) || companyCredentials;
+      const missingFields = scraper.loginFields.filter(field => !credentials.hasOwnProperty(field));
+      if (missingFields.length > 0) {
+        logger.error(`Missing required fields for company. Check user #${userIndex}, company #${companyIndex} (index starts from 0): Missing fields: ${missingFields.join(', ')}`);
+        return;
+      }
+
+      // Push the flat task object into the array
+      transactionSyncTasks.push({
+        taskKey,
+        previousTaskKey: `user_${userIndex}_company_${companyIndex}`, // the key by position, see migrateSyncRunTaskKeys
+        user: userName,
+        companyId,
+        credentials,
+        chatId,
+        userChatId: telegramChannelId,
+        destinations,
+        budgets,
+        schedule: companySchedule || schedule || SYNC_SCHEDULE,
+        alerts: getAccountAlerts(companyAlerts || alerts, `user #${userIndex}, company #${companyIndex} (index starts from 0)`),
+        household: household?.name || null,
+        householdChatId: household?.name && household.telegramChannelId || null,
+        visibility: getAccountVisibility(visibility, household?.visibility, `user #${userIndex}, company #${companyIndex} (index starts from 0)`)
+      });
+    });
+  });
+
+  // The household chat can be set on one of the members only
+  transactionSyncTasks.filter(task => task.household && !task.householdChatId).forEach(task => {
+    task.householdChatId = transactionSyncTasks.find(other => other.household === task.household && other.householdChatId)?.householdChatId || null;
+  });
+
+  return transactionSyncTasks;
+}
+
+/**
+ * Function to get the visibility of the provider's accounts in the household chat
+ * @param {string | any} visibility "shared" | "private" for all the accounts, or visibility by account number,
+ * "*" for the rest of the accounts
+ * @param {string} householdVisibility Optional: default visibility of the household member's accounts, "private" if not set
+ * @param {string} location Where the visibility is configured, for logging
+ * @returns {any} Visibility by account number, "*" for the rest of the accounts
+ */
+function getAccountVisibility(visibility, householdVisibility, location) {
+  const accountVisibility = { '*': householdVisibility || 'private' };
+  if (typeof visibility === 'string') {
+    accountVisibility['*'] = visibility;
+  } else if (visibility) {
+    Object.assign(accountVisibility, visibility);
+  }
+
+  for (const [accountNumber, value] of Object.entries(accountVisibility)) {
+    if (!['shared', 'private'].includes(value)) {
+      logger.error(`Invalid visibility "${value}" of account ${accountNumber}, expected "shared" or "private". Check ${location}. The account is private.`);
+      accountVisibility[accountNumber] = 'private';
+    }
+  }
+
+  return accountVisibility;
+}
+
+/**
+ * Function to check if the account is shared with the household of the task's user
+ * @param {any} task Transaction sync task
+ * @param {string} accountNumber
+ * @returns {boolean} True if the account is visible in the household chat
+ */
+function isAccountShared(task, accountNumber) {
+  return Boolean(task.household) && (task.visibility[accountNumber] || task.visibility['*']) === 'shared';
+}
+
+/**
+ * Function to build MongoDB filter of the task's accounts shared with the household
+ * @param {any} task Transaction sync task
+ * @returns {any} MongoDB filter by account number
+ */
+function getSharedAccountsFilter(task) {
+  const accounts = Object.entries(task.visibility).filter(([accountNumber]) => accountNumber !== '*');
+  const isSharedByDefault = task.visibility['*'] === 'shared';
+  const accountNumbers = accounts
+    .filter(([, visibility]) => (visibility === 'shared') !== isSharedByDefault)
+    .map(([accountNumber]) => accountNumber);
+
+  return { accountNumber: isSharedByDefault ? { $nin: accountNumbers } : { $in: accountNumbers } };
+}
+
+/**
+ * Function to get the households configured in USERS_JSON
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {Map<string, {name: string, chatId: string, members: string[]}>} Households by name
+ */
+function getHouseholds(transactionSyncTasks) {
+  const households = new Map();
+  for (const task of transactionSyncTasks.filter(task => task.household)) {
+    const household = households.get(task.household) || { name: task.household, chatId: task.householdChatId, members: [] };
+    if (!household.members.includes(task.user)) {
+      household.members.push(task.user);
+    }
+    households.set(task.household, household);
+  }
+
+  return households;
+}
+
+/**
+ * Function to get the notification destinations of the transaction: the task's destinations
+ * and the household chat if the account is shared
+ * @param {any} task Transaction sync task
+ * @param {string} accountNumber
+ * @returns {Array} Notification destinations
+ */
+function getTransactionDestinations(task, accountNumber) {
+  const { destinations, householdChatId } = task;
+  if (!householdChatId || !isAccountShared(task, accountNumber)
+    || destinations.some(destination => destination.type === 'telegram' && String(destination.chatId) === String(householdChatId))) {
+    return destinations;
+  }
+
+  const quietHours = destinations.find(destination => destination.quietHours)?.quietHours;
+  return [...destinations, { type: 'telegram', chatId: householdChatId, ...(quietHours ? { quietHours } : {}) }];
+}
+
+/**
+ * Returns transaction synchronization tasks with the credentials from the vault if CREDENTIALS_VAULT is set.
+ * @returns {Promise<Array>} Array of tasks to be executed.
+ */
+async function getTransactionSyncTasks() {
+  const vaultCredentials = new Map();
+  if (CREDENTIALS_VAULT) {
+    for (const entry of await createCredentialsVault().load()) {
+      vaultCredentials.set(`${entry.user}|${entry.companyId}`, entry.credentials);
+    }
+  }
+
+  const transactionSyncTasks = process.env.USERS_JSON
+    ? getTransactionSyncTasksFromJSON(vaultCredentials)
+    : getTransactionSyncTasksFromEnvVars(vaultCredentials);
+
+  if (CREDENTIALS_VAULT) {
+    transactionSyncTasks
+      .filter(task => !vaultCredentials.has(`${task.user}|${task.companyId}`))
+      .forEach(task => logger.warn(`Credentials are not in the vault and read as plain text. Use "credentials import" command to move them to the vault.`, { taskKey: task.taskKey }));
+  }
+
+  return transactionSyncTasks;
+}
+
+/**
+ * Function to get the master key of the credentials vault from CREDENTIALS_MASTER_KEY or CREDENTIALS_MASTER_KEY_FILE
+ * @returns {Promise<string>} Master key
+ */
+async function getCredentialsMasterKey() {
+  let masterKey = process.env.CREDENTIALS_MASTER_KEY;
+  if (!masterKey && process.env.CREDENTIALS_MASTER_KEY_FILE) {
+    masterKey = (await readFile(process.env.CREDENTIALS_MASTER_KEY_FILE, 'utf8')).trim();
+  }
+
+  if (!masterKey) {
+    throw new Error('CREDENTIALS_MASTER_KEY or CREDENTIALS_MASTER_KEY_FILE is required for the credentials vault');
+  }
+
+  return masterKey;
+}
+
+/**
+ * Function to encrypt a value with AES-256-GCM, the key is derived from the master key with scrypt and a random salt
+ * @param {any} value Value to encrypt, serialized to JSON
+ * @param {string} masterKey Master key
+ * @param {string} associatedData Data bound to the encrypted value, e.g. its ID, so it can't be moved to another entry
+ * @returns {{version: number, salt: string, iv: string, tag: string, data: string}} Encrypted value, base64 encoded
+ */
+function encryptValue(value, masterKey, associatedData) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', scryptSync(masterKey, salt, 32), iv);
+  cipher.setAAD(Buffer.from(associatedData));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Function to decrypt a value encrypted by encryptValue
+ * @param {any} encrypted Encrypted value
+ * @param {string} masterKey Master key
+ * @param {string} associatedData Data the value was encrypted with
+ * @returns {any} Decrypted value
+ */
+function decryptValue(encrypted, masterKey, associatedData) {
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', scryptSync(masterKey, Buffer.from(encrypted.salt, 'base64'), 32),
+      Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAAD(Buffer.from(associatedData));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error('Failed to decrypt credentials. Check the master key.');
+  }
+}
+
+/**
+ * Function to create the credentials vault configured by CREDENTIALS_VAULT:
+ * - file: all the entries are encrypted together in CREDENTIALS_VAULT_PATH file;
+ * - database: an encrypted document per user and company in the credentials collection of the storage.
+ * Entry of the vault: `{ user, companyId, credentials, updatedAt }`.
+ * @returns {{load: function(): Promise<any[]>, save: function(any): Promise<void>, remove: function(string, string): Promise<boolean>}}
+ */
+function createCredentialsVault() {
+  switch (CREDENTIALS_VAULT) {
+    case 'file':
+      return createFileCredentialsVault(CREDENTIALS_VAULT_PATH);
+    case 'database':
+      return createDatabaseCredentialsVault();
+    default:
+      throw new Error(`Unknown credentials vault: ${CREDENTIALS_VAULT}. Supported vaults: file, database`);
+  }
+}
+
+/**
+ * Function to create the credentials vault stored in an encrypted file
+ * @param {string} filePath Vault file path
+ */
+function createFileCredentialsVault(filePath) {
+  const associatedData = 'shekel-streamer-credentials';
+
+  const load = async () => {
+    let content;
+    try {
+      content = await readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return decryptValue(JSON.parse(content), await getCredentialsMasterKey(), associatedData)
+      .map(entry => ({ ...entry, updatedAt: new Date(entry.updatedAt) }));
+  };
+
+  const write = async entries => {
+    const content = JSON.stringify(encryptValue(entries, await getCredentialsMasterKey(), associatedData));
+    // Write to a temporary file first so the vault is not corrupted if the process is interrupted
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(`${filePath}.tmp`, content, { mode: 0o600 });
+    await rename(`${filePath}.tmp`, filePath);
+  };
+
+  return {
+    load,
+    save: async entry => {
+      const entries = (await load()).filter(item => item.user !== entry.user || item.companyId !== entry.companyId);
+      await write([...entries, entry]);
+    },
+    remove: async (user, companyId) => {
+      const entries = await load();
+      const remainingEntries = entries.filter(item => item.user !== user || item.companyId !== companyId);
+      if (remainingEntries.length === entries.length) {
+        return false;
+      }
+      await write(remainingEntries);
+      return true;
+    }
+  };
+}
+
+/**
+ * Function to create the credentials vault stored in the credentials collection of the storage.
+ * User and company are kept as plain text to find the entries, only the credentials are encrypted.
+ */
+function createDatabaseCredentialsVault() {
+  return {
+    load: async () => {
+      const masterKey = await getCredentialsMasterKey();
+      const documents = await withCollection(CREDENTIALS_COLLECTION_NAME, collection => collection.find({}).toArray());
+      return documents.map(document => ({
+        user: document.user,
+        companyId: document.companyId,
+        credentials: decryptValue(document.encryptedCredentials, masterKey, document._id),
+        updatedAt: document.updatedAt
+      }));
+    },
+    save: async entry => {
+      const id = `${entry.user}|${entry.companyId}`;
+      const encryptedCredentials = encryptValue(entry.credentials, await getCredentialsMasterKey(), id);
+      await withCollection(CREDENTIALS_COLLECTION_NAME, collection => collection.updateOne(
+        { _id: id },
+        { $set: { user: entry.user, companyId: entry.companyId, encryptedCredentials, updatedAt: entry.updatedAt } },
+        { upsert: true }));
+    },
+    remove: async (user, companyId) => {
+      const result = await withCollection(CREDENTIALS_COLLECTION_NAME, collection =>
+        collection.deleteOne({ _id: `${user}|${companyId}` }));
+      return result.deletedCount > 0;
+    }
+  };
+}
+
+/**
+ * Function to mask credential value for output, only the last 2 characters of non-password fields are shown
+ * @param {string} field Field name
+ * @param {string} value Field value
+ * @returns {string} Masked value
+ */
+function maskCredential(field, value) {
+  const text = String(value);
+  if (/password/i.test(field) || text.length <= 4) {
+    return '****';
+  }
+  return '*'.repeat(text.length - 2) + text.slice(-2);
+}
+
+/**
+ * Function to get the scraper's company ID and login fields by company name
+ * @param {string} companyName Company name, case insensitive
+ * @returns {{companyId: string, loginFields: string[]}}
+ */
+function getCompanyLoginFields(companyName) {
+  const companyTypeKey = companyName ? findKeyCaseInsensitive(CompanyTypes, companyName) : null;
+  if (!companyTypeKey) {
+    throw new Error(`Unknown company: ${companyName}`);
+  }
+
+  const scraper = SCRAPERS[companyTypeKey];
+  if (!scraper) {
+    throw new Error(`No scraper found for company: ${companyName}`);
+  }
+
+  return { companyId: CompanyTypes[companyTypeKey], loginFields: scraper.loginFields };
+}
+
+/**
+ * Function to read credentials from the console. Input is hidden when the console is interactive.
+ * @param {string[]} fields Fields to read
+ * @param {any} currentCredentials Current values, kept when the input is empty
+ * @returns {Promise<any>} Credentials by field
+ */
+async function promptCredentials(fields, currentCredentials = {}) {
+  // Typed characters are not echoed, the prompts are written to stdout directly
+  const mutedOutput = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const readlineInterface = readline.createInterface({ input: process.stdin, output: mutedOutput, terminal: process.stdin.isTTY });
+  const lines = readlineInterface[Symbol.asyncIterator]();
+
+  const credentials = {};
+  try {
+    for (const field of fields) {
+      const currentValue = currentCredentials[field];
+      process.stdout.write(currentValue ? `${field} [${maskCredential(field, currentValue)}]: ` : `${field}: `);
+      const { value: answer } = await lines.next();
+      process.stdout.write('\n');
+
+      if (answer) {
+        credentials[field] = answer;
+      } else if (currentValue) {
+        credentials[field] = currentValue;
+      }
+    }
+  } finally {
+    readlineInterface.close();
+  }
+
+  return credentials;
+}
+
+/**
+ * Function to parse `field=value` command line arguments
+ * @param {string[]} args Arguments
+ * @param {string[]} loginFields Allowed fields
+ * @returns {any} Values by field
+ */
+function parseCredentialArgs(args, loginFields) {
+  const credentials = {};
+  for (const arg of args) {
+    const separatorIndex = arg.indexOf('=');
+    const field = separatorIndex > 0 ? arg.slice(0, separatorIndex) : arg;
+    if (!loginFields.includes(field) || separatorIndex <= 0) {
+      throw new Error(`Invalid argument: ${field}. Expected field=value, fields: ${loginFields.join(', ')}`);
+    }
+    credentials[field] = arg.slice(separatorIndex + 1);
+  }
+  return credentials;
+}
+
+/**
+ * Function to run credentials command: list, add, rotate, remove or import credentials of the vault.
+ * Values which are not passed as `field=value` arguments are read from the console, so they are not kept in the shell history.
+ * @param {string[]} args Command arguments
+ */
+async function runCredentialsCommand(args) {
+  const [action, user, companyName, ...fieldArgs] = args;
+
+  if (!CREDENTIALS_VAULT) {
+    throw new Error('CREDENTIALS_VAULT is not set. Set it to "file" or "database" to use the credentials vault.');
+  }
+
+  const vault = createCredentialsVault();
+
+  switch (action) {
+    case 'list': {
+      const entries = (await vault.load()).filter(entry => !user || entry.user === user);
+      entries.forEach(entry => {
+        const fields = Object.entries(entry.credentials).map(([field, value]) => `${field}=${maskCredential(field, value)}`);
+        printLine(`${entry.user} ${entry.companyId} ${fields.join(' ')} (updated ${timezoned(DateTime.fromJSDate(entry.updatedAt))})`);
+      });
+      logger.info(`Total credentials: ${entries.length}`);
+      break;
+    }
+    case 'add':
+    case 'rotate': {
+      if (!user || !companyName) {
+        throw new Error(`Usage: credentials ${action} <user> <company> [field=value ...]`);
+      }
+
+      const { companyId, loginFields } = getCompanyLoginFields(companyName);
+      const existingEntry = (await vault.load()).find(entry => entry.user === user && entry.companyId === companyId);
+      if (action === 'add' && existingEntry) {
+        throw new Error(`Credentials already exist for ${user} ${companyId}. Use "credentials rotate" to change them.`);
+      }
+      if (action === 'rotate' && !existingEntry) {
+        throw new Error(`Credentials not found for ${user} ${companyId}. Use "credentials add" to add them.`);
+      }
+
+      const currentCredentials = existingEntry ? existingEntry.credentials : {};
+      const argCredentials = parseCredentialArgs(fieldArgs, loginFields);
+      const promptFields = loginFields.filter(field => !argCredentials.hasOwnProperty(field));
+      const values = {
+        ...currentCredentials,
+        ...(promptFields.length > 0 ? await promptCredentials(promptFields, currentCredentials) : {}),
+        ...argCredentials
+      };
+
+      const credentials = Object.fromEntries(loginFields.filter(field => values[field]).map(field => [field, values[field]]));
+      const missingFields = loginFields.filter(field => !credentials[field]);
+      if (missingFields.length > 0) {
+        throw new Error(`Missing required fields for company: ${missingFields.join(', ')}`);
+      }
+
+      await vault.save({ user, companyId, credentials, updatedAt: new Date() });
+      logger.info(`Credentials ${action === 'add' ? 'added' : 'rotated'}: ${user} ${companyId}`);
+      break;
+    }
+    case 'remove': {
+      if (!user || !companyName) {
+        throw new Error('Usage: credentials remove <user> <company>');
+      }
+
+      const { companyId } = getCompanyLoginFields(companyName);
+      const isRemoved = await vault.remove(user, companyId);
+      logger.info(isRemoved ? `Credentials removed: ${user} ${companyId}` : `Credentials not found: ${user} ${companyId}`);
+      break;
+    }
+    case 'import': {
+      // Copy the plain text credentials of the configured tasks, the existing vault entries are kept
+      const existingKeys = new Set((await vault.load()).map(entry => `${entry.user}|${entry.companyId}`));
+      const tasks = process.env.USERS_JSON ? getTransactionSyncTasksFromJSON() : getTransactionSyncTasksFromEnvVars();
+
+      let importedCount = 0;
+      for (const task of tasks) {
+        if (existingKeys.has(`${task.user}|${task.companyId}`)) {
+          logger.info(`Credentials already in the vault, skipping`, { taskKey: task.taskKey });
+          continue;
+        }
+
+        let loginFields;
+        try {
+          ({ loginFields } = getCompanyLoginFields(task.companyId));
+        } catch (error) {
+          logger.error(`Failed to get login fields of the company, skipping`, { taskKey: task.taskKey, errorMessage: error.message });
+          continue;
+        }
+
+        const credentials = Object.fromEntries(loginFields
+          .filter(field => task.credentials[field])
+          .map(field => [field, task.credentials[field]]));
+        const missingFields = loginFields.filter(field => !credentials[field]);
+        if (missingFields.length > 0) {
+          logger.error(`Missing required fields for company, skipping: ${missingFields.join(', ')}`, { taskKey: task.taskKey });
+          continue;
+        }
+
+        await vault.save({ user: task.user, companyId: task.companyId, credentials, updatedAt: new Date() });
+        existingKeys.add(`${task.user}|${task.companyId}`);
+        importedCount++;
+      }
+
+      logger.info(`Credentials imported: ${importedCount}. Remove them from environment variables or USERS_JSON now.`);
+      break;
+    }
+    default:
+      throw new Error('Usage: credentials list [user] | credentials add <user> <company> [field=value ...] | '
+        + 'credentials rotate <user> <company> [field=value ...] | credentials remove <user> <company> | credentials import');
+  }
+}
+
+/**
+ * Processes the given transaction sync tasks, up to SYNC_CONCURRENCY tasks in parallel.
+ * The result of each task is kept in lastSyncResults and recorded to the syncRuns collection.
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @param {{backfillFrom: DateTime}} options Optional: backfillFrom - date to scrape from instead of the incremental window,
+ *   transactions are saved without notifications
+ * @returns {Promise<boolean>} false if another sync is already in progress, true otherwise
+ */
+async function processTransactionSyncTasks(transactionSyncTasks, options = {}) {
+  if (isSyncInProgress) {
+    logger.warn('Another sync is already in progress. Skipping.');
+    return false;
+  }
+
+  isSyncInProgress = true;
+  const browserPool = createBrowserPool();
+  try {
+    await runWithConcurrency(transactionSyncTasks, SYNC_CONCURRENCY, async task => {
+      const startedAt = new Date();
+      let startDate = null;
+      let result;
+      try {
+        startDate = options.backfillFrom ? limitSyncStartDate(options.backfillFrom, task) : await getSyncStartDate(task);
+        result = await handleTransactions(task, { startDate: startDate.toJSDate(), isSilent: Boolean(options.backfillFrom), browserPool });
+      } catch (error) {
+        logger.error(`Sync failed`, { taskKey: task.taskKey, errorMessage: error.message, errorStack: error.stack });
+        result = { success: false, errorType: 'GENERIC', errorMessage: error.message };
+      }
+
+      const syncRun = {
+        _id: new ObjectId(),
+        taskKey: task.taskKey,
+        userCode: task.user,
+        companyId: task.companyId,
+        startedAt,
+        finishedAt: new Date(),
+        startDate: startDate ? startDate.toJSDate() : null,
+        isBackfill: Boolean(options.backfillFrom),
+        success: result.success,
+        errorType: result.errorType || null,
+        errorMessage: result.errorMessage || null,
+        new: result.new || 0,
+        updated: result.updated || 0,
+        translationCalls: result.translationCalls || 0
+      };
+
+      lastSyncResults.set(task.taskKey, syncRun);
+      await recordSyncRun(task, syncRun);
+      await emitPluginEvent(syncRun.success ? 'sync:finished' : 'sync:failed', syncRun, getPluginContext(task, syncRun.isBackfill));
+    });
+
+    try {
+      await reconcileTransactions(transactionSyncTasks, Boolean(options.backfillFrom));
+    } catch (error) {
+      logger.error(`Reconciliation failed`, { errorMessage: error.message, errorStack: error.stack });
+    }
+  } finally {
+    await browserPool.close();
+    isSyncInProgress = false;
+  }
+
+  return true;
+}
+
+
+
+/**
+ * Patterns of the bank transactions paying the bill of each credit card company
+ */
+const CARD_BILL_PATTERNS = {
+  [CompanyTypes.isracard]: /ישראכרט|isracard/i,
+  [CompanyTypes.amex]: /אמריקן אקספרס|אמקס|american express|amex/i,
+  [CompanyTypes.max]: /מקס איט|לאומי קארד|\bmax\b/i,
+  [CompanyTypes.visaCal]: /כרטיסי אשראי לישראל|(^|\s)כאל(\s|$)|visa cal/i
+};
+
+/**
+ * Pattern of the descriptions of transfers between accounts, one of the transactions of a transfer should match it
+ */
+const TRANSFER_PATTERN = /העברה|העב'|transfer/i;
+
+/**
+ * Maximal difference in ILS between a card bill paid from the bank account and the card transactions of the billing cycle
+ */
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Function to get the credit card company whose bill is paid by the bank transaction
+ * @param {any} transaction
+ * @returns {string | null} Company ID, null if the transaction isn't a card bill
+ */
+function getCardBillCompany(transaction) {
+  if (CREDIT_CARD_COMPANIES.includes(transaction.companyId) || transaction.chargedAmount >= 0) {
+    return null;
+  }
+
+  const text = `${transaction.description || ''} ${transaction.memo || ''}`;
+  return Object.keys(CARD_BILL_PATTERNS).find(companyId => CARD_BILL_PATTERNS[companyId].test(text)) || null;
+}
+
+/**
+ * Function to get day of the date in DEFAULT_TIMEZONE
+ * @param {Date} date
+ * @returns {DateTime} Start of the day
+ */
+function getDay(date) {
+  return DateTime.fromJSDate(date).setZone(DEFAULT_TIMEZONE).startOf('day');
+}
+
+/**
+ * Function to match the card bills paid from the bank accounts to the card transactions of the billing cycle:
+ * the sum of the card transactions of the company charged on the same day (processedDate) for one card or for all the cards,
+ * up to 5 days from the bank transaction. The bills of the card companies without scraped transactions are left as is.
+ * @param {any[]} transactions The user's transactions
+ * @returns {Map<any, any>} Reconciliation by bill transaction
+ */
+function reconcileCardBills(transactions) {
+  const cycles = new Map();
+  for (const transaction of transactions.filter(transaction => CREDIT_CARD_COMPANIES.includes(transaction.companyId) && transaction.status !== 'pending')) {
+    const day = getDay(getChargeDate(transaction));
+    const key = `${transaction.companyId}|${day.toISODate()}`;
+    const cycle = cycles.get(key) || { key, companyId: transaction.companyId, day, total: 0, cards: new Map() };
+    cycle.total += getAmountILS(transaction);
+    cycle.cards.set(transaction.accountNumber, (cycle.cards.get(transaction.accountNumber) || 0) + getAmountILS(transaction));
+    cycles.set(key, cycle);
+  }
+
+  const trackedCompanies = new Set([...cycles.values()].map(cycle => cycle.companyId));
+  const usedCycles = new Set();
+  const reconciliations = new Map();
+
+  for (const bill of transactions.filter(transaction => trackedCompanies.has(getCardBillCompany(transaction)))) {
+    const companyId = getCardBillCompany(bill);
+    const billDay = getDay(bill.date);
+    const amount = getAmountILS(bill);
+
+    // Candidates: each card and all the cards of the company in the cycles close to the bill
+    const candidates = [...cycles.values()]
+      .filter(cycle => cycle.companyId === companyId && Math.abs(cycle.day.diff(billDay, 'days').days) <= 5)
+      .flatMap(cycle => [
+        ...[...cycle.cards].map(([accountNumber, total]) => ({ key: `${cycle.key}|${accountNumber}`, cycle, accountNumbers: [accountNumber], total })),
+        { key: cycle.key, cycle, accountNumbers: [...cycle.cards.keys()], total: cycle.total }
+      ])
+      .filter(candidate => !usedCycles.has(candidate.key))
+      .sort((a, b) => Math.abs(amount - a.total) - Math.abs(amount - b.total));
+
+    const [best] = candidates;
+    const difference = best ? Math.round((amount - best.total) * 100) / 100 : null;
+    const isMatched = best && Math.abs(difference) <= RECONCILIATION_TOLERANCE;
+    if (isMatched) {
+      usedCycles.add(best.key);
+    }
+
+    reconciliations.set(bill, {
+      type: 'cardBill',
+      status: isMatched ? 'matched' : 'unmatched',
+      companyId,
+      cycleDate: best ? best.cycle.day.toISODate() : null,
+      accountNumbers: best ? best.accountNumbers : [],
+      cardTotal: best ? Math.round(best.total * 100) / 100 : null,
+      difference
+    });
+  }
+
+  return reconciliations;
+}
+
+/**
+ * Function to match transfers between the user's bank accounts: an expense and an income of the same amount
+ * in different accounts within 3 days, one of them described as a transfer
+ * @param {any[]} transactions The user's transactions
+ * @returns {Map<any, any>} Reconciliation by transaction
+ */
+function reconcileTransfers(transactions) {
+  const candidates = transactions.filter(transaction => !CREDIT_CARD_COMPANIES.includes(transaction.companyId) && !getCardBillCompany(transaction));
+  const incomes = candidates.filter(transaction => transaction.chargedAmount > 0);
+  const reconciliations = new Map();
+
+  for (const expense of candidates.filter(transaction => transaction.chargedAmount < 0).sort((a, b) => a.date - b.date)) {
+    const [income] = incomes
+      .filter(income => !reconciliations.has(income)
+        && `${income.companyId}|${income.accountNumber}` !== `${expense.companyId}|${expense.accountNumber}`
+        && Math.abs(getAmountILS(income) + getAmountILS(expense)) < 0.01
+        && Math.abs(income.date - expense.date) <= 3 * 24 * 60 * 60 * 1000
+        && (TRANSFER_PATTERN.test(income.description || '') || TRANSFER_PATTERN.test(expense.description || '')))
+      .sort((a, b) => Math.abs(a.date - expense.date) - Math.abs(b.date - expense.date));
+
+    if (income) {
+      reconciliations.set(expense, { type: 'transfer', status: 'matched', counterpartId: income._id });
+      reconciliations.set(income, { type: 'transfer', status: 'matched', counterpartId: expense._id });
+    }
+  }
+
+  return reconciliations;
+}
+
+/**
+ * Function to reconcile the transactions of the last RECONCILIATION_DAYS of each user after sync:
+ * card bills paid from the bank accounts and transfers between the user's accounts are marked by "reconciliation".
+ * The matched ones are marked by "excludeFromTotals" too, so the spending isn't counted twice, the marks are removed
+ * when a transaction isn't matched anymore. An alert is sent when a card bill doesn't match its card transactions.
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @param {boolean} isSilent If true, the transactions are reconciled without alerts
+ */
+async function reconcileTransactions(transactionSyncTasks, isSilent = false) {
+  const since = DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ days: RECONCILIATION_DAYS }).startOf('day');
+  // The counterparts of the first transactions of the period can be up to 5 days earlier
+  const loadSince = since.minus({ days: 5 }).toJSDate();
+
+  for (const user of new Set(transactionSyncTasks.map(task => task.user))) {
+    const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+      collection.find({ userCode: user, $or: [{ date: { $gte: loadSince } }, { processedDate: { $gte: loadSince } }] }).toArray());
+
+    const reconciliations = new Map([...reconcileCardBills(transactions), ...reconcileTransfers(transactions)]);
+    const changed = [...reconciliations].filter(([transaction, reconciliation]) =>
+      JSON.stringify(transaction.reconciliation ?? null) !== JSON.stringify(reconciliation)
+      || Boolean(transaction.excludeFromTotals) !== (reconciliation.status === 'matched'));
+    const unreconciled = transactions.filter(transaction =>
+      transaction.reconciliation && !reconciliations.has(transaction) && transaction.date >= since.toJSDate());
+
+    if (changed.length === 0 && unreconciled.length === 0) {
+      continue;
+    }
+
+    await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.bulkWrite([
+      ...changed.map(([transaction, reconciliation]) => ({
+        updateOne: {
+          filter: { _id: transaction._id },
+          update: {
+            ...(reconciliation.status === 'matched' ? { $set: { reconciliation, excludeFromTotals: true } } : { $set: { reconciliation }, $unset: { excludeFromTotals: '' } }),
+            $currentDate: { updatedAt: true }
+          }
+        }
+      })),
+      ...unreconciled.map(transaction => ({
+        updateOne: {
+          filter: { _id: transaction._id },
+          update: { $unset: { reconciliation: '', excludeFromTotals: '' }, $currentDate: { updatedAt: true } }
+        }
+      }))
+    ]));
+
+    logger.info(`Reconciled transactions: ${changed.length}, not reconciled anymore: ${unreconciled.length}`, { user });
+
+    const unmatchedBills = changed.filter(([transaction, reconciliation]) =>
+      reconciliation.status === 'unmatched' && transaction.reconciliation?.status !== 'unmatched');
+    for (const [bill, reconciliation] of isSilent ? [] : unmatchedBills) {
+      const task = transactionSyncTasks.find(task => task.user === user && task.companyId === bill.companyId);
+      const cardTotal = reconciliation.cardTotal == null
+        ? 'no card transactions charged within 5 days'
+        : `${formatAmount(reconciliation.cardTotal)} on ${reconciliation.cycleDate}, difference ${formatAmount(reconciliation.difference)}`;
+
+      logger.info(`Card bill doesn't match the card transactions`, { user, transactionDbId: bill._id, ...reconciliation });
+
+      await notifyAlert({
+        event: 'reconciliation',
+        emoji: '⚖️',
+        title: `Card bill doesn't match: ${formatAmount(getAmountILS(bill))}`,
+        text: `${bill.description}\nAccount: ${bill.accountNumber} (${bill.companyId})\nDate: ${formatDateTime(bill.date)}\nCard transactions (${reconciliation.companyId}): ${cardTotal}`,
+        details: { userCode: user, transactionDbId: bill._id, reconciliation }
+      }, task?.destinations, task?.taskKey);
+    }
+  }
+}
+
+/**
+ * Function to move the sync runs recorded by the key of the task's position in USERS_JSON to the task's current key,
+ * so the sync continues from the last successful sync. Only the runs of the same user and company are moved.
+ * @param {any[]} transactionSyncTasks
+ */
+async function migrateSyncRunTaskKeys(transactionSyncTasks) {
+  const tasks = transactionSyncTasks.filter(task => task.previousTaskKey);
+  if (tasks.length === 0) {
+    return;
+  }
+
+  try {
+    await withCollection(SYNC_RUNS_COLLECTION_NAME, async collection => {
+      for (const task of tasks) {
+        const result = await collection.updateMany(
+          { taskKey: task.previousTaskKey, userCode: task.user, companyId: task.companyId },
+          { $set: { taskKey: task.taskKey } });
+        if (result.modifiedCount > 0) {
+          logger.info(`Sync runs moved from the key ${task.previousTaskKey}: ${result.modifiedCount}`, { taskKey: task.taskKey });
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to move the sync runs to the new task keys`, { errorMessage: error.message, errorStack: error.stack });
+  }
+}
+
+/**
+ * Function to get date to scrape the task's transactions from: the start of the last successful sync minus SYNC_OVERLAP_DAYS
+ * for transactions posted late, or SYNC_DAYS_COUNT days back for the first sync. Limited by getMaxSyncDays.
+ * @param {any} task Transaction sync task
+ * @returns {Promise<DateTime>} Start date in DEFAULT_TIMEZONE
+ */
+async function getSyncStartDate(task) {
+  const [lastSuccessfulRun] = await withCollection(SYNC_RUNS_COLLECTION_NAME, collection =>
+    collection.find({ taskKey: task.taskKey, userCode: task.user, companyId: task.companyId, success: true })
+      .sort({ startedAt: -1 }).limit(1).toArray());
+
+  const startDate = lastSuccessfulRun
+    ? DateTime.fromJSDate(lastSuccessfulRun.startedAt).minus({ days: SYNC_OVERLAP_DAYS })
+    : DateTime.now().minus({ days: SYNC_DAYS_COUNT });
+
+  return limitSyncStartDate(startDate, task);
+}
+
+/**
+ * Max number of days back the scrapers get the transactions for, the ones not listed get SYNC_MAX_DAYS
+ */
+const COMPANY_SYNC_MAX_DAYS = {
+  [CompanyTypes.max]: 4 * 365,
+  [CompanyTypes.visaCal]: 547,
+  [CompanyTypes.yahav]: 90
+};
+
+/**
+ * Function to get max number of days back the company's transactions can be scraped for:
+ * SYNC_MAX_DAYS_<COMPANY> if set, e.g. SYNC_MAX_DAYS_MAX=1095, then COMPANY_SYNC_MAX_DAYS, then SYNC_MAX_DAYS.
+ * @param {string} companyId Company ID
+ * @returns {number} Number of days
+ */
+function getMaxSyncDays(companyId) {
+  return Number(process.env[`SYNC_MAX_DAYS_${companyId.toUpperCase()}`]) || COMPANY_SYNC_MAX_DAYS[companyId] || SYNC_MAX_DAYS;
+}
+
+/**
+ * Function to limit the start date by max number of days supported for the company
+ * @param {DateTime} startDate
+ * @param {any} task Transaction sync task
+ * @returns {DateTime} Start of the day of the start date in DEFAULT_TIMEZONE
+ */
+function limitSyncStartDate(startDate, task) {
+  const maxDays = getMaxSyncDays(task.companyId);
+  const minStartDate = DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ days: maxDays }).startOf('day');
+  const limitedStartDate = startDate.setZone(DEFAULT_TIMEZONE).startOf('day');
+
+  if (limitedStartDate < minStartDate) {
+    logger.warn(`Start date ${limitedStartDate.toISODate()} is more than ${maxDays} days back, transactions are scraped from ${minStartDate.toISODate()}`,
+      { taskKey: task.taskKey });
+    return minStartDate;
+  }
+  return limitedStartDate;
+}
+
+/**
+ * Function to run one-time sync from the given date, e.g. "--backfill 2023-01-01 --user USER1 --company isracard".
+ * The transactions are saved without notifications.
+ * @param {string[]} args Command arguments: the date and optional --user and --company filters
+ */
+async function runBackfillCommand(args) {
+  const { values: options, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      user: { type: 'string' },
+      company: { type: 'string' }
+    }
+  });
+
+  const from = DateTime.fromISO(positionals[0] || '', { zone: DEFAULT_TIMEZONE });
+  if (!from.isValid) {
+    throw new Error('Usage: --backfill <yyyy-MM-dd> [--user <user>] [--company <company>]');
+  }
+
+  const transactionSyncTasks = (await getTransactionSyncTasks()).filter(task =>
+    (!options.user || task.user === options.user)
+    && (!options.company || task.companyId.toLowerCase() === options.company.toLowerCase()));
+
+  if (transactionSyncTasks.length === 0) {
+    throw new Error('No transaction sync tasks found for the given user and company');
+  }
+
+  await migrateSyncRunTaskKeys(transactionSyncTasks);
+
+  logger.info(`Backfill from ${from.toISODate()} started, tasks: ${transactionSyncTasks.length}`);
+  await processTransactionSyncTasks(transactionSyncTasks, { backfillFrom: from });
+
+  const failedTasks = transactionSyncTasks.filter(task => !lastSyncResults.get(task.taskKey).success);
+  if (failedTasks.length > 0) {
+    throw new Error(`Backfill failed for tasks: ${failedTasks.map(task => task.taskKey).join(', ')}`);
+  }
+  logger.info(`Backfill finished`);
+}
+
+/**
+ * Login errors of the scrapers which don't go away by retrying, alerted on the first failure
+ */
+const CREDENTIALS_ERROR_TYPES = ['INVALID_PASSWORD', 'CHANGE_PASSWORD', 'ACCOUNT_BLOCKED'];
+
+/**
+ * Function to record sync run to db, update counters for /metrics and send alert if the task keeps failing.
+ * Errors are logged and don't stop the sync of other tasks.
+ * @param {any} task Transaction sync task
+ * @param {any} syncRun Sync run, its health (consecutiveFailures, lastSuccessAt) is added in place
+ */
+async function recordSyncRun(task, syncRun) {
+  const totals = syncRunTotals.get(task.taskKey) || { success: 0, failure: 0, new: 0, updated: 0, translationCalls: 0 };
+  totals[syncRun.success ? 'success' : 'failure']++;
+  totals.new += syncRun.new;
+  totals.updated += syncRun.updated;
+  totals.translationCalls += syncRun.translationCalls;
+  syncRunTotals.set(task.taskKey, totals);
+
+  try {
+    await withCollection(SYNC_RUNS_COLLECTION_NAME, collection => collection.insertOne(syncRun));
+
+    if (syncRun.success) {
+      syncRun.consecutiveFailures = 0;
+      syncRun.lastSuccessAt = syncRun.finishedAt;
+    } else {
+      await checkSyncFailures(task, syncRun);
+    }
+  } catch (error) {
+    logger.error(`Failed to record sync run`, { taskKey: task.taskKey, errorMessage: error.message, errorStack: error.stack });
+  }
+}
+
+/**
+ * Function to send alert to the task's destinations and ADMIN_TELEGRAM_CHANNEL_ID if the failed sync run:
+ * - has a login error (CREDENTIALS_ERROR_TYPES), once per series of failures with the same error;
+ * - is SYNC_FAILURE_ALERT_COUNT failure in a row;
+ * - is the first one without a successful sync for SYNC_STALE_ALERT_HOURS.
+ * @param {any} task Transaction sync task
+ * @param {any} syncRun Failed sync run already recorded to db, consecutiveFailures and lastSuccessAt are set in place
+ */
+async function checkSyncFailures(task, syncRun) {
+  const { failedRuns, lastSuccessAt } = await withCollection(SYNC_RUNS_COLLECTION_NAME, async collection => {
+    const [lastSuccessfulRun] = await collection.find({ taskKey: task.taskKey, success: true }).sort({ startedAt: -1 }).limit(1).toArray();
+    const failedRuns = await collection.find({
+      taskKey: task.taskKey,
+      success: false,
+      ...(lastSuccessfulRun && { startedAt: { $gt: lastSuccessfulRun.startedAt } })
+    }).sort({ startedAt: 1 }).toArray();
+
+    return { failedRuns, lastSuccessAt: lastSuccessfulRun ? lastSuccessfulRun.finishedAt : null };
+  });
+
+  const previousFailedRuns = failedRuns.filter(run => !run._id.equals(syncRun._id));
+  syncRun.consecutiveFailures = previousFailedRuns.length + 1;
+  syncRun.lastSuccessAt = lastSuccessAt;
+
+  // Without successful runs, the time is counted from the first failure
+  const failingSince = lastSuccessAt || (previousFailedRuns.length > 0 ? previousFailedRuns[0].startedAt : syncRun.startedAt);
+  const hoursWithoutSuccess = Math.floor((syncRun.finishedAt - failingSince) / 3600000);
+
+  const reasons = [];
+  if (CREDENTIALS_ERROR_TYPES.includes(syncRun.errorType) && !previousFailedRuns.some(run => run.errorType === syncRun.errorType)) {
+    reasons.push(`Login failed (${syncRun.errorType}), the credentials should be updated.`);
+  }
+  if (syncRun.consecutiveFailures === SYNC_FAILURE_ALERT_COUNT) {
+    reasons.push(`Failed ${syncRun.consecutiveFailures} times in a row.`);
+  }
+  if (hoursWithoutSuccess >= SYNC_STALE_ALERT_HOURS && !previousFailedRuns.some(run => run.staleAlertSent)) {
+    reasons.push(lastSuccessAt ? `No successful sync for ${hoursWithoutSuccess} hours.` : `No successful sync since ${formatDateTime(failingSince)}.`);
+    await withCollection(SYNC_RUNS_COLLECTION_NAME, collection =>
+      collection.updateOne({ _id: syncRun._id }, { $set: { staleAlertSent: true } }));
+  }
+
+  if (reasons.length === 0) {
+    return;
+  }
+
+  logger.warn(`Sync keeps failing, sending alert`, { taskKey: task.taskKey, consecutiveFailures: syncRun.consecutiveFailures });
+
+  const destinations = [...(task.destinations || [])];
+  if (ADMIN_TELEGRAM_CHANNEL_ID && !destinations.some(destination => destination.type === 'telegram' && String(destination.chatId) === String(ADMIN_TELEGRAM_CHANNEL_ID))) {
+    destinations.push({ type: 'telegram', chatId: ADMIN_TELEGRAM_CHANNEL_ID });
+  }
+
+  await notifyAlert({
+    event: 'syncFailure',
+    emoji: '❌',
+    title: `Sync failed: ${task.taskKey} (${task.companyId})`,
+    text: `${reasons.join('\n')}\nLast error: ${syncRun.errorType}${syncRun.errorMessage ? ` - ${syncRun.errorMessage}` : ''}`,
+    details: {
+      taskKey: task.taskKey,
+      userCode: task.user,
+      companyId: task.companyId,
+      errorType: syncRun.errorType,
+      consecutiveFailures: syncRun.consecutiveFailures,
+      lastSuccessAt
+    }
+  }, destinations, task.taskKey);
+}
+/**
+ * Function to start listening for bot commands in the chats of the sync tasks.
+ * Commands are accepted only from chats that are configured for at least one task.
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {boolean} true if the bot is listening, false otherwise
+ */
+function startBotCommands(transactionSyncTasks) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    logger.warn('No Telegram bot token found. Bot commands are disabled.');
+    return false;
+  }
+
+  const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
+
+  bot.on('polling_error', error => {
+    logger.error(`Telegram polling failed`, { errorMessage: error.message });
+  });
+
+  // Commands can come both from groups/private chats and from channels, replies to the note prompts are notes
+  const onMessage = message => {
+    const pendingNote = message.reply_to_message && pendingNotes.get(`${message.chat.id}|${message.reply_to_message.message_id}`);
+    return (pendingNote ? saveTransactionNote(bot, message, pendingNote) : handleBotCommand(bot, message, transactionSyncTasks))
+      .catch(error => logger.error(`Failed to handle bot command`,
+        { chatId: message.chat.id, errorMessage: error.message, errorStack: error.stack }));
+  };
+
+  bot.on('message', onMessage);
+  bot.on('channel_post', onMessage);
+  bot.on('callback_query', query => handleTransactionAction(bot, query, transactionSyncTasks)
+    .catch(error => logger.error(`Failed to handle transaction action`,
+      { chatId: query.message?.chat.id, errorMessage: error.message, errorStack: error.stack })));
+
+  logger.info('Listening for bot commands...');
+
+  return true;
+}
+
+/**
+ * Marks of the transaction toggled by the buttons of the notification: label shown in the message, button text and transaction field
+ */
+const TRANSACTION_MARKS = {
+  business: { label: '💼 Business', button: '💼 Business', field: 'business' },
+  reimbursable: { label: '🧾 Reimbursable', button: '🧾 Reimbursable', field: 'reimbursable' },
+  split: { label: '➗ Split', button: '➗ Split', field: 'split' },
+  hide: { label: '🙈 Hidden', button: '🙈 Hide', field: 'hidden' },
+  flag: { label: '🚩 Flagged', button: '🚩 Flag', field: 'flagged' }
+};
+
+/**
+ * Prompts for the transaction notes sent by the bot, by `chatId|messageId` of the prompt.
+ * Up to PENDING_NOTES_LIMIT prompts are kept, the oldest ones are dropped.
+ */
+const pendingNotes = new Map();
+const PENDING_NOTES_LIMIT = 100;
+
+/**
+ * Function to get the inline keyboard of the transaction actions. Button data is `<action>:<transaction ID>`.
+ * @param {any} transaction Transaction with _id
+ * @returns {any} Telegram inline keyboard markup
+ */
+function getTransactionKeyboard(transaction) {
+  const button = action => ({
+    text: `${TRANSACTION_MARKS[action].button}${transaction[TRANSACTION_MARKS[action].field] ? ' ✅' : ''}`,
+    callback_data: `${action}:${transaction._id}`
+  });
+
+  return {
+    inline_keyboard: [
+      [{ text: '🏷 Category', callback_data: `categories:${transaction._id}` }, { text: '📝 Note', callback_data: `note:${transaction._id}` }],
+      [button('business'), button('reimbursable'), button('split')],
+      [button('hide'), button('flag')]
+    ]
+  };
+}
+
+/**
+ * Function to get the inline keyboard to choose the category of the transaction from CATEGORIES.
+ * Button data is `category:<transaction ID>:<index of the category>`.
+ * @param {any} transaction Transaction with _id
+ * @returns {any} Telegram inline keyboard markup
+ */
+function getCategoryKeyboard(transaction) {
+  const rows = [];
+  CATEGORIES.forEach((category, index) => {
+    if (index % 3 === 0) {
+      rows.push([]);
+    }
+    rows[rows.length - 1].push({ text: category === transaction.category ? `${category} ✅` : category, callback_data: `category:${transaction._id}:${index}` });
+  });
+
+  return { inline_keyboard: [...rows, [{ text: '« Back', callback_data: `back:${transaction._id}` }]] };
+}
+
+/**
+ * Function to handle a button press on the transaction notification: the change is saved to the transaction
+ * and the message is edited to show the new state. Flagged transactions are escalated to ADMIN_TELEGRAM_CHANNEL_ID.
+ * @param {TelegramBot} bot Telegram bot
+ * @param {any} query Telegram callback query
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ */
+async function handleTransactionAction(bot, query, transactionSyncTasks) {
+  const [action, id, argument] = (query.data || '').split(':');
+  const message = query.message;
+  const chatTasks = message ? getChatTasks(transactionSyncTasks, message.chat.id) : [];
+  if (chatTasks.length === 0 || !ObjectId.isValid(id)) {
+    return bot.answerCallbackQuery(query.id);
+  }
+
+  const filter = { $and: [getChatTransactionsFilter(chatTasks), { _id: new ObjectId(id) }] };
+  const transaction = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.findOne(filter));
+  if (!transaction) {
+    return bot.answerCallbackQuery(query.id, { text: 'Transaction not found' });
+  }
+
+  const user = query.from?.username || query.from?.first_name || 'unknown';
+  const messageOptions = { chat_id: message.chat.id, message_id: message.message_id };
+  let update;
+
+  logger.info(`Transaction action: ${action}`, { chatId: message.chat.id, transactionDbId: transaction._id, user });
+
+  switch (action) {
+    case 'categories':
+      await bot.editMessageReplyMarkup(getCategoryKeyboard(transaction), messageOptions);
+      return bot.answerCallbackQuery(query.id);
+    case 'back':
+      await bot.editMessageReplyMarkup(getTransactionKeyboard(transaction), messageOptions);
+      return bot.answerCallbackQuery(query.id);
+    case 'category':
+      if (!CATEGORIES[argument]) {
+        return bot.answerCallbackQuery(query.id, { text: 'Unknown category' });
+      }
+      update = { $set: { category: CATEGORIES[argument], categorySource: 'manual' } };
+      break;
+    case 'note': {
+      const prompt = await bot.sendMessage(message.chat.id, `📝 Reply with the note for ${escapeMarkdown(transaction.translatedDescription || transaction.description)}`,
+        { parse_mode: 'Markdown', reply_markup: { force_reply: true, selective: true } });
+      if (pendingNotes.size >= PENDING_NOTES_LIMIT) {
+        pendingNotes.delete(pendingNotes.keys().next().value);
+      }
+      pendingNotes.set(`${message.chat.id}|${prompt.message_id}`, { transactionId: transaction._id, messageId: message.message_id });
+      return bot.answerCallbackQuery(query.id);
+    }
+    case 'split': {
+      const task = transactionSyncTasks.find(task => task.user === transaction.userCode && task.companyId === transaction.companyId);
+      const household = task && isAccountShared(task, transaction.accountNumber) ? getHouseholds(transactionSyncTasks).get(task.household) : null;
+      if (!household) {
+        return bot.answerCallbackQuery(query.id, { text: 'The account is not shared with a household' });
+      }
+      update = transaction.split
+        ? { $unset: { split: '' } }
+        : { $set: { split: { household: household.name, paidBy: transaction.userCode, shares: Object.fromEntries(household.members.map(member => [member, 1])) } } };
+      break;
+    }
+    default: {
+      const mark = TRANSACTION_MARKS[action];
+      if (!mark) {
+        return bot.answerCallbackQuery(query.id);
+      }
+      update = transaction[mark.field] ? { $unset: { [mark.field]: '' } } : { $set: { [mark.field]: true } };
+    }
+  }
+
+  await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.updateOne({ _id: transaction._id }, { ...update, $currentDate: { updatedAt: true } }));
+  const updatedTransaction = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.findOne({ _id: transaction._id }));
+
+  await editTransactionMessage(bot, updatedTransaction, messageOptions);
+  await bot.answerCallbackQuery(query.id);
+
+  if (action === 'flag' && updatedTransaction.flagged) {
+    await escalateFlaggedTransaction(updatedTransaction, user);
+  }
+}
+
+/**
+ * Function to save the note replied to the prompt of the bot and update the transaction message
+ * @param {TelegramBot} bot Telegram bot
+ * @param {any} message Telegram message replying to the prompt
+ * @param {{transactionId: ObjectId, messageId: number}} pendingNote See pendingNotes
+ */
+async function saveTransactionNote(bot, message, pendingNote) {
+  pendingNotes.delete(`${message.chat.id}|${message.reply_to_message.message_id}`);
+
+  const note = (message.text || '').trim();
+  await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.updateOne({ _id: pendingNote.transactionId },
+    { ...(note ? { $set: { note } } : { $unset: { note: '' } }), $currentDate: { updatedAt: true } }));
+  const transaction = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.findOne({ _id: pendingNote.transactionId }));
+
+  logger.info(`Transaction note saved`, { chatId: message.chat.id, transactionDbId: pendingNote.transactionId });
+
+  await editTransactionMessage(bot, transaction, { chat_id: message.chat.id, message_id: pendingNote.messageId });
+}
+
+/**
+ * Function to edit the message of the transaction, formatted as the Telegram notification of the transaction
+ * @param {TelegramBot} bot Telegram bot
+ * @param {any} transaction
+ * @param {{chat_id: number, message_id: number}} messageOptions Message to edit
+ */
+async function editTransactionMessage(bot, transaction, messageOptions) {
+  const message = NOTIFIERS.telegram.format(transaction);
+  await bot.editMessageText(message.text ?? message,
+    { ...messageOptions, parse_mode: 'Markdown', ...(message.replyMarkup ? { reply_markup: message.replyMarkup } : {}) });
+}
+
+/**
+ * Function to send the flagged transaction to ADMIN_TELEGRAM_CHANNEL_ID
+ * @param {any} transaction Flagged transaction
+ * @param {string} user Telegram user who flagged the transaction
+ */
+async function escalateFlaggedTransaction(transaction, user) {
+  if (!ADMIN_TELEGRAM_CHANNEL_ID) {
+    logger.warn(`Transaction is flagged, but ADMIN_TELEGRAM_CHANNEL_ID is not set`, { transactionDbId: transaction._id });
+    return;
+  }
+
+  await notifyAlert({
+    event: 'flagged',
+    emoji: '🚩',
+    title: `Transaction flagged as suspicious: ${formatAmount(transaction.chargedAmount, getChargedCurrency(transaction))}`,
+    text: `${transaction.translatedDescription || transaction.description}\nUser: ${transaction.userCode}\nAccount: ${transaction.accountNumber} (${transaction.companyId})\nDate: ${formatDateTime(transaction.date)}\nFlagged by: ${user}${transaction.note ? `\nNote: ${transaction.note}` : ''}`,
+    details: { transactionDbId: transaction._id, userCode: transaction.userCode, flaggedBy: user }
+  }, [{ type: 'telegram', chatId: ADMIN_TELEGRAM_CHANNEL_ID }]);
+}
+
+/**
+ * Bot commands changing the data of all the users, answered in ADMIN_TELEGRAM_CHANNEL_ID only
+ */
+const ADMIN_BOT_COMMANDS = ['translations', 'translate', 'untranslate', 'merchants', 'merchant', 'unmerchant'];
+
+/**
+ * Function to handle bot command sent to one of the configured chats
+ * @param {TelegramBot} bot Telegram bot
+ * @param {any} message Telegram message
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ */
+async function handleBotCommand(bot, message, transactionSyncTasks) {
+  // Example: "/last@ShekelStreamerBot 10" -> command "last", argument "10"
+  const match = /^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec((message.text || '').trim());
+  if (!match) {
+    return;
+  }
+
+  const command = match[1].toLowerCase();
+  const argument = (match[2] || '').trim();
+  const reply = text => bot.sendMessage(message.chat.id, text, { parse_mode: 'Markdown' });
+
+  // The admin chat manages the translations and merchant patterns shared by all the users
+  const chatTasks = getChatTasks(transactionSyncTasks, message.chat.id);
+  const isAdminChat = Boolean(ADMIN_TELEGRAM_CHANNEL_ID) && String(message.chat.id) === String(ADMIN_TELEGRAM_CHANNEL_ID);
+  const isAdminCommand = ADMIN_BOT_COMMANDS.includes(command);
+  if (isAdminChat ? !isAdminCommand && chatTasks.length === 0 && command !== 'help' : chatTasks.length === 0) {
+    logger.debug(`Ignoring command from not configured chat`, { chatId: message.chat.id });
+    return;
+  }
+
+  logger.info(`Bot command received: /${command}`, { chatId: message.chat.id });
+
+  if (isAdminCommand && !isAdminChat) {
+    return reply('This command is available in the admin chat (ADMIN\\_TELEGRAM\\_CHANNEL\\_ID) only.');
+  }
+
+  switch (command) {
+    case 'balance':
+      return reply(await getBalanceReply(chatTasks));
+    case 'last':
+      return reply(await getLastTransactionsReply(chatTasks, argument));
+    case 'spent':
+      return reply(await getSpentReply(chatTasks, argument));
+    case 'search':
+      return reply(await getSearchReply(chatTasks, argument));
+    case 'status':
+      return reply(getStatusReply(chatTasks));
+    case 'sync':
+      return runSyncCommand(chatTasks, reply);
+    case 'export':
+      return sendExportDocument(bot, message.chat.id, chatTasks, argument);
+    case 'installments':
+      return reply(await getInstallmentsReply(chatTasks));
+    case 'forecast':
+      return reply(await getForecastReply(chatTasks));
+    case 'subscriptions':
+      return reply(await getSubscriptionsReply(chatTasks));
+    case 'translations':
+      return reply(await getTranslationsReply(argument));
+    case 'translate':
+      return reply(await getTranslateReply(argument));
+    case 'untranslate':
+      return reply(await deleteTranslation(argument) ? `Translation deleted: ${escapeMarkdown(argument)}` : `Translation not found: ${escapeMarkdown(argument)}`);
+    case 'shared':
+      return reply(await getSharedTransactionsReply(chatTasks, argument));
+    case 'split':
+      return reply(await getSplitReply(chatTasks, transactionSyncTasks, argument));
+    case 'unsplit':
+      return reply(await getUnsplitReply(chatTasks, argument));
+    case 'settle':
+      return reply(await getSettleReply(chatTasks, transactionSyncTasks, argument));
+    case 'owes':
+      return reply(await getOwesReply(chatTasks, transactionSyncTasks));
+    case 'merchants':
+      return reply(await getMerchantsReply());
+    case 'merchant':
+      return reply(await getMerchantReply(argument));
+    case 'unmerchant':
+      return reply(ObjectId.isValid(argument) && await removeTranslationPattern(argument) ? `Pattern removed: ${escapeMarkdown(argument)}` : `Pattern not found: ${escapeMarkdown(argument)}`);
+    case 'start':
+    case 'help':
+      return reply(getHelpReply());
+    default:
+      return;
+  }
+}
+
+/**
+ * Function to get the tasks whose transactions are visible in the chat: the tasks notifying the chat,
+ * or the tasks of the household members with shared accounts if the chat is a household chat
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @param {string | number} chatId Telegram chat ID
+ * @returns {Array} Transaction sync tasks of the chat, household ones are marked by isHouseholdView
+ */
+function getChatTasks(transactionSyncTasks, chatId) {
+  const chatTasks = transactionSyncTasks.filter(task => task.chatId && String(task.chatId) === String(chatId));
+  if (chatTasks.length > 0) {
+    return chatTasks;
+  }
+
+  const household = [...getHouseholds(transactionSyncTasks).values()]
+    .find(household => household.chatId && String(household.chatId) === String(chatId));
+  return household ? getHouseholdTasks(household, transactionSyncTasks) : [];
+}
+
+/**
+ * Function to build MongoDB filter matching only the transactions of the chat's tasks,
+ * only the shared accounts in the household chat
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @returns {any} MongoDB filter
+ */
+function getChatTransactionsFilter(chatTasks) {
+  const pairs = new Map(chatTasks.map(task => task.isHouseholdView
+    ? [`${task.user}|${task.companyId}`, { userCode: task.user, companyId: task.companyId, ...getSharedAccountsFilter(task) }]
+    : [`${task.user}|${task.chatId}`, { userCode: task.user, chatId: task.chatId }]));
+  return { $or: [...pairs.values()] };
+}
+
+/**
+ * Function to escape Telegram Markdown special characters in user provided or scraped text
+ * @param {string} text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/([_*`\[])/g, '\\$1');
+}
+
+/**
+ * Function to format amount as currency
+ * @param {number} amount
+ * @param {string} currency Currency code, ILS if not set
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('he-IL', { style: 'currency', currency: currency || 'ILS' }).format(amount);
+}
+
+/**
+ * Function to format transaction as one line for bot command replies
+ * @param {any} transaction
+ * @returns {string} Formatted transaction
+ */
+function formatShort(transaction) {
+  const description = transaction.translatedDescription || transaction.description;
+  return `${formatDateTime(transaction.date)} \`${escapeMarkdown(transaction.accountNumber)}\` *${formatAmount(transaction.chargedAmount, getChargedCurrency(transaction))}* ${escapeMarkdown(description)}${transaction.status === 'pending' ? ' _(pending)_' : ''}`;
+}
+
+/**
+ * Function to get start of the period in DEFAULT_TIMEZONE
+ * @param {string} period week | month
+ * @returns {Date} Start of the current period
+ */
+function getPeriodStart(period) {
+  return DateTime.now().setZone(DEFAULT_TIMEZONE).startOf(period).toJSDate();
+}
+
+/**
+ * Function to get reply for /balance command: income, expense and net per account for the current month
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @returns {Promise<string>} Reply text
+ */
+async function getBalanceReply(chatTasks) {
+  const monthStart = getPeriodStart('month');
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ ...getChatTransactionsFilter(chatTasks), date: { $gte: monthStart }, excludeFromTotals: { $ne: true }, hidden: { $ne: true } }).toArray());
+
+  if (transactions.length === 0) {
+    return 'No transactions found for the current month.';
+  }
+
+  const accounts = new Map();
+  for (const transaction of transactions) {
+    const key = `${transaction.companyId} ${transaction.accountNumber}`;
+    accounts.set(key, [...(accounts.get(key) || []), transaction]);
+  }
+
+  const lines = [...accounts].map(([account, accountTransactions]) => {
+    const totals = getTotals(accountTransactions);
+    return `\`${escapeMarkdown(account)}\`: 💰 ${formatAmount(totals.income)} 💸 ${formatAmount(totals.expense)} = *${formatAmount(totals.income + totals.expense)}*`;
+  });
+
+  return `*Balance since ${DateTime.fromJSDate(monthStart).setZone(DEFAULT_TIMEZONE).toFormat('yyyy-MM-dd')}*\n\n${lines.join('\n')}${formatMissingAmountsNote(getTotals(transactions).missingAmounts)}`;
+}
+
+/**
+ * Function to get reply for /last command
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {string} argument Number of transactions, 10 by default
+ * @returns {Promise<string>} Reply text
+ */
+async function getLastTransactionsReply(chatTasks, argument) {
+  const count = Math.min(Math.max(parseInt(argument, 10) || 10, 1), 50);
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find(getChatTransactionsFilter(chatTasks)).sort({ date: -1 }).limit(count).toArray());
+
+  if (transactions.length === 0) {
+    return 'No transactions found.';
+  }
+
+  return `*Last ${transactions.length} transactions*\n\n${transactions.map(formatShort).join('\n')}`;
+}
+
+/**
+ * Function to get reply for /spent command
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {string} argument week | month, month by default
+ * @returns {Promise<string>} Reply text
+ */
+async function getSpentReply(chatTasks, argument) {
+  const period = argument.toLowerCase() || 'month';
+  if (period !== 'week' && period !== 'month') {
+    return 'Usage: /spent week|month';
+  }
+
+  const periodStart = getPeriodStart(period);
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ ...getChatTransactionsFilter(chatTasks), date: { $gte: periodStart }, chargedAmount: { $lt: 0 }, excludeFromTotals: { $ne: true }, hidden: { $ne: true } }).toArray());
+
+  const totals = getTotals(transactions);
+
+  return `Spent this ${period}: *${formatAmount(-totals.expense)}* (${transactions.length} transactions)${formatMissingAmountsNote(totals.missingAmounts)}`;
+}
+
+/**
+ * Function to get reply for /search command, searches in descriptions, translations and memos
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {string} argument Text to search
+ * @returns {Promise<string>} Reply text
+ */
+async function getSearchReply(chatTasks, argument) {
+  if (!argument) {
+    return 'Usage: /search <text>';
+  }
+
+  const regex = new RegExp(argument.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({
+      $and: [
+        getChatTransactionsFilter(chatTasks),
+        { $or: [{ description: regex }, { translatedDescription: regex }, { memo: regex }] }
+      ]
+    }).sort({ date: -1 }).limit(20).toArray());
+
+  if (transactions.length === 0) {
+    return `Nothing found for "${escapeMarkdown(argument)}".`;
+  }
+
+  return `*Found ${transactions.length} transactions* (up to 20 latest)\n\n${transactions.map(formatShort).join('\n')}`;
+}
+
+/**
+ * Function to get reply for /status command with the last sync result per task
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @returns {string} Reply text
+ */
+function getStatusReply(chatTasks) {
+  const lines = chatTasks.map(task => {
+    const result = lastSyncResults.get(task.taskKey);
+    const title = `\`${escapeMarkdown(task.taskKey)}\` (${task.companyId})`;
+    if (!result) {
+      return `⏳ ${title}: no sync since startup`;
+    }
+
+    const finishedAt = timezoned(DateTime.fromJSDate(result.finishedAt));
+    return result.success
+      ? `✅ ${title}: ${finishedAt}, new: ${result.new}, updated: ${result.updated}`
+      : `❌ ${title}: ${finishedAt}, error: ${escapeMarkdown(result.errorType)}`;
+  });
+
+  return `*Sync status*${isSyncInProgress ? ' (sync in progress)' : ''}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Function to run sync of the chat's tasks on demand. Not available in the household chat,
+ * as its members would sync the providers of each other.
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {function} reply Function to send reply to the chat
+ */
+async function runSyncCommand(chatTasks, reply) {
+  if (chatTasks.some(task => task.isHouseholdView)) {
+    return reply('Sync is not available in the household chat, use /sync in your own chat.');
+  }
+
+  if (isSyncInProgress) {
+    return reply('Sync is already in progress, try again later.');
+  }
+
+  await reply('Sync started...');
+  if (!await processTransactionSyncTasks(chatTasks)) {
+    return reply('Sync is already in progress, try again later.');
+  }
+
+  return reply(getStatusReply(chatTasks));
+}
+
+/**
+ * Function to get reply for /installments command with the active installment plans
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @returns {Promise<string>} Reply text
+ */
+async function getInstallmentsReply(chatTasks) {
+  const transactions = await getForecastTransactions(getChatTransactionsFilter(chatTasks));
+  return `*Installments*\n\n${formatInstallmentPlans(getInstallmentPlans(transactions))}`;
+}
+
+/**
+ * Function to get reply for /forecast command with the upcoming charges per account
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @returns {Promise<string>} Reply text
+ */
+async function getForecastReply(chatTasks) {
+  const transactions = await getForecastTransactions(getChatTransactionsFilter(chatTasks));
+  return `*Upcoming charges*\n\n${formatChargesForecast(getChargesForecast(transactions))}`;
+}
+
+/**
+ * Function to get reply for /subscriptions command with the subscriptions of the chat's users and providers
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @returns {Promise<string>} Reply text
+ */
+async function getSubscriptionsReply(chatTasks) {
+  const subscriptions = await getSubscriptions({
+    $or: chatTasks.map(task => ({ userCode: task.user, companyId: task.companyId, ...(task.isHouseholdView ? getSharedAccountsFilter(task) : {}) }))
+  });
+  return `*Subscriptions*\n\n${formatSubscriptions(subscriptions)}`;
+}
+
+/**
+ * Function to get the household of the household chat
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {any} Household, see getHouseholds, null if the chat isn't a household chat
+ */
+function getChatHousehold(chatTasks, transactionSyncTasks) {
+  return chatTasks[0]?.isHouseholdView ? getHouseholds(transactionSyncTasks).get(chatTasks[0].household) : null;
+}
+
+/**
+ * Function to get reply for /shared command: the last transactions of the shared accounts with their IDs for /split
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {string} argument Number of transactions, 10 by default
+ * @returns {Promise<string>} Reply text
+ */
+async function getSharedTransactionsReply(chatTasks, argument) {
+  if (!chatTasks[0]?.isHouseholdView) {
+    return 'This command is available in the household chat only.';
+  }
+
+  const count = Math.min(Math.max(parseInt(argument, 10) || 10, 1), 50);
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find(getChatTransactionsFilter(chatTasks)).sort({ date: -1 }).limit(count).toArray());
+
+  if (transactions.length === 0) {
+    return 'No transactions found.';
+  }
+
+  const lines = transactions.map(transaction =>
+    `\`${transaction._id}\` ${escapeMarkdown(transaction.userCode)} ${formatShort(transaction)}${transaction.split ? ' ➗' : ''}`);
+
+  return `*Last ${transactions.length} shared transactions*\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Function to get reply for /split command: split the transaction between the household members,
+ * equally or by the given shares, e.g. "/split <ID> JohnDoe=2 JaneDoe=1"
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @param {string} argument Transaction ID and optional shares
+ * @returns {Promise<string>} Reply text
+ */
+async function getSplitReply(chatTasks, transactionSyncTasks, argument) {
+  const household = getChatHousehold(chatTasks, transactionSyncTasks);
+  if (!household) {
+    return 'This command is available in the household chat only.';
+  }
+
+  const [id, ...shareArguments] = argument.split(/\s+/).filter(Boolean);
+  if (!id || !ObjectId.isValid(id)) {
+    return 'Usage: /split <ID> [member=share ...], see /shared for the IDs. Without shares the transaction is split equally.';
+  }
+
+  const shares = {};
+  for (const shareArgument of shareArguments) {
+    const [member, share] = shareArgument.split('=');
+    if (!household.members.includes(member) || !(Number(share) >= 0)) {
+      return `Invalid share "${escapeMarkdown(shareArgument)}". Members: ${household.members.map(escapeMarkdown).join(', ')}`;
+    }
+    shares[member] = Number(share);
+  }
+
+  if (shareArguments.length === 0) {
+    household.members.forEach(member => shares[member] = 1);
+  }
+
+  if (Object.values(shares).reduce((total, share) => total + share, 0) === 0) {
+    return 'At least one share should be positive.';
+  }
+
+  const filter = { $and: [getChatTransactionsFilter(chatTasks), { _id: new ObjectId(id) }] };
+  const transaction = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection => collection.findOne(filter));
+  if (!transaction) {
+    return `Shared transaction not found: ${escapeMarkdown(id)}`;
+  }
+
+  transaction.split = { household: household.name, paidBy: transaction.userCode, shares };
+  await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.updateOne({ _id: transaction._id }, { $set: { split: transaction.split }, $currentDate: { updatedAt: true } }));
+
+  const amounts = [...getSplitAmounts(transaction)].map(([member, amount]) => `${escapeMarkdown(member)}: ${formatAmount(amount)}`);
+  const debts = getHouseholdDebts(await getHouseholdBalances(household));
+
+  return `*Split* ${formatShort(transaction)}\nPaid by ${escapeMarkdown(transaction.userCode)}\n${amounts.join('\n')}\n\n*Who owes whom*\n${formatHouseholdDebts(debts)}`;
+}
+
+/**
+ * Function to get reply for /unsplit command: remove the split of the transaction
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {string} argument Transaction ID
+ * @returns {Promise<string>} Reply text
+ */
+async function getUnsplitReply(chatTasks, argument) {
+  if (!chatTasks[0]?.isHouseholdView) {
+    return 'This command is available in the household chat only.';
+  }
+
+  if (!ObjectId.isValid(argument)) {
+    return 'Usage: /unsplit <ID>';
+  }
+
+  const filter = { $and: [getChatTransactionsFilter(chatTasks), { _id: new ObjectId(argument) }, { split: { $exists: true } }] };
+  const result = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.updateOne(filter, { $unset: { split: '' }, $currentDate: { updatedAt: true } }));
+
+  return result.modifiedCount > 0 ? `Split removed: ${escapeMarkdown(argument)}` : `Split transaction not found: ${escapeMarkdown(argument)}`;
+}
+
+/**
+ * Function to get reply for /settle command: record a payment between the household members, e.g. "/settle JaneDoe JohnDoe 150"
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @param {string} argument Paying member, paid member and amount in ILS
+ * @returns {Promise<string>} Reply text
+ */
+async function getSettleReply(chatTasks, transactionSyncTasks, argument) {
+  const household = getChatHousehold(chatTasks, transactionSyncTasks);
+  if (!household) {
+    return 'This command is available in the household chat only.';
+  }
+
+  const [from, to, amountText] = argument.split(/\s+/);
+  const amount = Number(amountText);
+  if (!household.members.includes(from) || !household.members.includes(to) || from === to || !(amount > 0)) {
+    return `Usage: /settle <from> <to> <amount>. Members: ${household.members.map(escapeMarkdown).join(', ')}`;
+  }
+
+  await withCollection(HOUSEHOLD_SETTLEMENTS_COLLECTION_NAME, collection =>
+    collection.insertOne({ household: household.name, from, to, amount, createdAt: new Date() }));
+
+  const debts = getHouseholdDebts(await getHouseholdBalances(household));
+  return `Payment recorded: ${escapeMarkdown(from)} → ${escapeMarkdown(to)} ${formatAmount(amount)}\n\n*Who owes whom*\n${formatHouseholdDebts(debts)}`;
+}
+
+/**
+ * Function to get reply for /owes command: who owes whom in the household
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {Promise<string>} Reply text
+ */
+async function getOwesReply(chatTasks, transactionSyncTasks) {
+  const household = getChatHousehold(chatTasks, transactionSyncTasks);
+  if (!household) {
+    return 'This command is available in the household chat only.';
+  }
+
+  const debts = getHouseholdDebts(await getHouseholdBalances(household));
+  return `*Who owes whom in ${escapeMarkdown(household.name)}*\n\n${formatHouseholdDebts(debts)}`;
+}
+
+/**
+ * Function to get reply for /translations command with the latest cached translations
+ * @param {string} argument Optional: text to search in descriptions and translations
+ * @returns {Promise<string>} Reply text
+ */
+async function getTranslationsReply(argument) {
+  const translations = await getRecentTranslations(argument, 20);
+  if (translations.length === 0) {
+    return argument ? `No translations found for "${escapeMarkdown(argument)}".` : 'No translations found.';
+  }
+
+  const lines = translations.map(translation =>
+    `\`${escapeMarkdown(translation._id)}\` → ${escapeMarkdown(translation.translation)}${translation.source === 'manual' ? ' ✏️' : ''}`);
+
+  return `*Latest translations*\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Function to get reply for /translate command overriding translation of the description
+ * @param {string} argument "<description> = <translation>"
+ * @returns {Promise<string>} Reply text
+ */
+async function getTranslateReply(argument) {
+  const [description, translation] = argument.split('=').map(part => part.trim());
+  if (!description || !translation) {
+    return 'Usage: /translate <description> = <translation>';
+  }
+
+  const updatedCount = await setTranslationOverride(description, translation);
+  return `Translation set: ${escapeMarkdown(description)} → ${escapeMarkdown(translation)}. Updated transactions: ${updatedCount}`;
+}
+
+/**
+ * Function to get reply for /merchants command with the merchant name patterns
+ * @returns {Promise<string>} Reply text
+ */
+async function getMerchantsReply() {
+  const patterns = await getTranslationPatterns();
+  if (patterns.length === 0) {
+    return 'No merchant patterns. Add one with /merchant <regex> = <name>';
+  }
+
+  const lines = patterns.map(pattern => `\`${pattern._id}\` /${escapeMarkdown(pattern.pattern)}/ → ${escapeMarkdown(pattern.name)}`);
+  return `*Merchant patterns*\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Function to get reply for /merchant command adding merchant name pattern
+ * @param {string} argument "<regex> = <name>"
+ * @returns {Promise<string>} Reply text
+ */
+async function getMerchantReply(argument) {
+  const separatorIndex = argument.lastIndexOf('=');
+  const pattern = argument.slice(0, Math.max(separatorIndex, 0)).trim();
+  const name = argument.slice(separatorIndex + 1).trim();
+  if (separatorIndex < 0 || !pattern || !name) {
+    return 'Usage: /merchant <regex> = <name>';
+  }
+
+  try {
+    const { id, updatedCount } = await addTranslationPattern(pattern, name);
+    return `Pattern added: \`${id}\`. Updated transactions: ${updatedCount}`;
+  } catch (error) {
+    return `Invalid pattern: ${escapeMarkdown(error.message)}`;
+  }
+}
+
+/**
+ * Function to get reply for /help command
+ * @returns {string} Reply text
+ */
+function getHelpReply() {
+  return `*Available commands*
+
+/balance - income and expense per account for the current month
+/last 10 - last transactions
+/spent week|month - total expense for the current week or month
+/search <text> - search transactions by description
+/export csv|ofx|qif|json|ynab|actual 30 - export transactions for the last days
+/sync - sync transactions now
+/status - last sync result per task
+/installments - active installment plans
+/forecast - upcoming charges per account
+/subscriptions - detected subscriptions and recurring charges
+/shared 10 - last transactions of the shared accounts with their IDs (household chat)
+/split <ID> [member=share ...] - split transaction between the household members, equally by default
+/unsplit <ID> - remove the split of transaction
+/settle <from> <to> <amount> - record a payment between the household members
+/owes - who owes whom in the household
+
+Admin chat only:
+/translations <text> - latest translations
+/translate <description> = <translation> - override translation
+/untranslate <description> - delete translation, it's translated again on the next sync
+/merchants - merchant name patterns
+/merchant <regex> = <name> - map matching descriptions to one merchant name
+/unmerchant <ID> - remove merchant name pattern`;
+}
+
+
+/**
+ * Credit card companies, their transactions are exported as credit card statements
+ */
+const CREDIT_CARD_COMPANIES = [CompanyTypes.isracard, CompanyTypes.amex, CompanyTypes.max, CompanyTypes.visaCal].filter(company => company);
+
+/**
+ * Export formats: file extension, MIME type and builder of the file content from transactions
+ */
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv', build: buildCsvExport },
+  ynab: { extension: 'csv', contentType: 'text/csv', build: buildYnabExport },
+  actual: { extension: 'csv', contentType: 'text/csv', build: buildActualExport },
+  ofx: { extension: 'ofx', contentType: 'application/x-ofx', build: buildOfxExport },
+  qif: { extension: 'qif', contentType: 'application/qif', build: buildQifExport },
+  json: { extension: 'json', contentType: 'application/json', build: buildJsonExport }
+};
+
+/**
+ * Function to get the date the transaction is booked at in budgeting apps.
+ * Installment payments share the purchase date, so the date they are charged at is used for them, when it's known.
+ * @param {any} transaction
+ * @returns {DateTime} Date in DEFAULT_TIMEZONE
+ */
+function getExportDate(transaction) {
+  const date = transaction.type === 'installments' && transaction.processedDate ? transaction.processedDate : transaction.date;
+  return DateTime.fromJSDate(date).setZone(DEFAULT_TIMEZONE);
+}
+
+/**
+ * Function to get memo for export: memo, installment number and foreign currency amount
+ * @param {any} transaction
+ * @returns {string} Memo, can be empty
+ */
+function getExportMemo(transaction) {
+  const parts = [transaction.memo];
+  if (transaction.installments) {
+    parts.push(`Installment ${transaction.installments.number}/${transaction.installments.total}`);
+  }
+  if (transaction.originalCurrency && transaction.originalCurrency !== 'ILS' && transaction.originalAmount !== transaction.chargedAmount) {
+    parts.push(`${transaction.originalAmount} ${transaction.originalCurrency}`);
+  }
+  return parts.filter(part => part).join(', ');
+}
+
+/**
+ * Function to get transactions for export sorted by export date
+ * @param {any} filter MongoDB filter, e.g. by userCode and accountNumber
+ * @param {DateTime} from Start of the range, inclusive
+ * @param {DateTime} to End of the range, inclusive
+ * @returns {Promise<any[]>} Transactions
+ */
+async function getExportTransactions(filter, from, to) {
+  const range = { $gte: from.toJSDate(), $lte: to.toJSDate() };
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ $and: [filter, { $or: [{ date: range }, { processedDate: range }] }] }).toArray());
+
+  return transactions
+    .filter(transaction => getExportDate(transaction) >= from && getExportDate(transaction) <= to)
+    .sort((a, b) => getExportDate(a) - getExportDate(b));
+}
+
+/**
+ * Function to build CSV line, values with separators or quotes are quoted
+ * @param {any[]} values
+ * @returns {string} CSV line
+ */
+function toCsvLine(values) {
+  return values.map(value => {
+    const text = value == null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Function to get payee of the transaction for export
+ * @param {any} transaction
+ * @param {any} options Export options: translated - use translated descriptions
+ * @returns {string} Payee
+ */
+function getExportPayee(transaction, options) {
+  return (options.translated && transaction.translatedDescription) || transaction.description;
+}
+
+/**
+ * Function to build CSV with all the stored fields
+ * @param {any[]} transactions
+ * @returns {string} CSV
+ */
+function buildCsvExport(transactions) {
+  const header = ['date', 'processedDate', 'companyId', 'accountNumber', 'description', 'translatedDescription', 'memo',
+    'chargedAmount', 'originalAmount', 'originalCurrency', 'type', 'installmentNumber', 'installmentTotal', 'status',
+    'category', 'identifier', 'chargedCurrency', 'amountILS'];
+
+  const lines = transactions.map(transaction => toCsvLine([
+    DateTime.fromJSDate(transaction.date).setZone(DEFAULT_TIMEZONE).toISODate(),
+    transaction.processedDate ? DateTime.fromJSDate(transaction.processedDate).setZone(DEFAULT_TIMEZONE).toISODate() : '',
+    transaction.companyId,
+    transaction.accountNumber,
+    transaction.description,
+    transaction.translatedDescription,
+    transaction.memo,
+    transaction.chargedAmount.toFixed(2),
+    transaction.originalAmount,
+    transaction.originalCurrency,
+    transaction.type,
+    transaction.installments?.number,
+    transaction.installments?.total,
+    transaction.status,
+    transaction.category,
+    transaction.identifier,
+    getChargedCurrency(transaction),
+    isAmountILSMissing(transaction) ? '' : getAmountILS(transaction).toFixed(2)
+  ]));
+
+  return [toCsvLine(header), ...lines].join('\n');
+}
+
+/**
+ * Function to build CSV in YNAB import format: Date, Payee, Memo, Outflow, Inflow
+ * @param {any[]} transactions
+ * @param {any} options Export options
+ * @returns {string} CSV
+ */
+function buildYnabExport(transactions, options) {
+  const lines = transactions.map(transaction => toCsvLine([
+    getExportDate(transaction).toFormat('yyyy-MM-dd'),
+    getExportPayee(transaction, options),
+    getExportMemo(transaction),
+    transaction.chargedAmount < 0 ? (-transaction.chargedAmount).toFixed(2) : '',
+    transaction.chargedAmount > 0 ? transaction.chargedAmount.toFixed(2) : ''
+  ]));
+
+  return [toCsvLine(['Date', 'Payee', 'Memo', 'Outflow', 'Inflow']), ...lines].join('\n');
+}
+
+/**
+ * Function to build CSV in Actual Budget import format: Date, Payee, Notes, Category, Amount
+ * @param {any[]} transactions
+ * @param {any} options Export options
+ * @returns {string} CSV
+ */
+function buildActualExport(transactions, options) {
+  const lines = transactions.map(transaction => toCsvLine([
+    getExportDate(transaction).toFormat('yyyy-MM-dd'),
+    getExportPayee(transaction, options),
+    getExportMemo(transaction),
+    transaction.category,
+    transaction.chargedAmount.toFixed(2)
+  ]));
+
+  return [toCsvLine(['Date', 'Payee', 'Notes', 'Category', 'Amount']), ...lines].join('\n');
+}
+
+/**
+ * Function to get unique transaction ID for export, the identifier from the scraper if available
+ * @param {any} transaction
+ * @returns {string} Transaction ID
+ */
+function getExportId(transaction) {
+  return transaction.identifier ? String(transaction.identifier) : String(transaction._id);
+}
+
+/**
+ * Function to escape text for OFX SGML
+ * @param {string} text
+ * @returns {string} Escaped text
+ */
+function escapeOfx(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Function to build OFX 1.02 file, one statement per account.
+ * Credit card accounts are exported as credit card statements.
+ * @param {any[]} transactions
+ * @param {any} options Export options
+ * @returns {string} OFX
+ */
+function buildOfxExport(transactions, options) {
+  const accounts = new Map();
+  transactions.forEach(transaction => {
+    const key = `${transaction.companyId}|${transaction.accountNumber}`;
+    accounts.set(key, [...(accounts.get(key) || []), transaction]);
+  });
+
+  const now = DateTime.now().setZone(DEFAULT_TIMEZONE).toFormat('yyyyMMddHHmmss');
+  const bankStatements = [];
+  const cardStatements = [];
+
+  for (const accountTransactions of accounts.values()) {
+    const { companyId, accountNumber } = accountTransactions[0];
+    const isCreditCard = CREDIT_CARD_COMPANIES.includes(companyId);
+
+    const entries = accountTransactions.map(transaction => {
+      const isForeign = transaction.originalCurrency && transaction.originalCurrency !== 'ILS' && transaction.originalAmount;
+      return `<STMTTRN>
+<TRNTYPE>${transaction.chargedAmount < 0 ? 'DEBIT' : 'CREDIT'}
+<DTPOSTED>${getExportDate(transaction).toFormat('yyyyMMdd')}
+<DTUSER>${DateTime.fromJSDate(transaction.date).setZone(DEFAULT_TIMEZONE).toFormat('yyyyMMdd')}
+<TRNAMT>${transaction.chargedAmount.toFixed(2)}
+<FITID>${escapeOfx(getExportId(transaction))}
+<NAME>${escapeOfx(getExportPayee(transaction, options).slice(0, 32))}
+<MEMO>${escapeOfx(getExportMemo(transaction))}${isForeign ? `
+<ORIGCURRENCY>
+<CURRATE>${Math.abs(transaction.chargedAmount / transaction.originalAmount).toFixed(4)}
+<CURSYM>${escapeOfx(transaction.originalCurrency)}
+</ORIGCURRENCY>` : ''}
+</STMTTRN>`;
+    });
+
+    const first = getExportDate(accountTransactions[0]).toFormat('yyyyMMdd');
+    const last = getExportDate(accountTransactions[accountTransactions.length - 1]).toFormat('yyyyMMdd');
+    const transactionList = `<CURDEF>ILS
+${isCreditCard ? `<CCACCTFROM>
+<ACCTID>${escapeOfx(accountNumber)}
+</CCACCTFROM>` : `<BANKACCTFROM>
+<BANKID>${escapeOfx(companyId)}
+<ACCTID>${escapeOfx(accountNumber)}
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>`}
+<BANKTRANLIST>
+<DTSTART>${first}
+<DTEND>${last}
+${entries.join('\n')}
+</BANKTRANLIST>`;
+
+    if (isCreditCard) {
+      cardStatements.push(`<CCSTMTTRNRS>
+<TRNUID>0
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<CCSTMTRS>
+${transactionList}
+</CCSTMTRS>
+</CCSTMTTRNRS>`);
+    } else {
+      bankStatements.push(`<STMTTRNRS>
+<TRNUID>0
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<STMTRS>
+${transactionList}
+</STMTRS>
+</STMTTRNRS>`);
+    }
+  }
+
+  return `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+SECURITY:NONE
+ENCODING:UTF-8
+CHARSET:NONE
+COMPRESSION:NONE
+OLDFILEUID:NONE
+NEWFILEUID:NONE
+
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<DTSERVER>${now}
+<LANGUAGE>ENG
+</SONRS>
+</SIGNONMSGSRSV1>${bankStatements.length > 0 ? `
+<BANKMSGSRSV1>
+${bankStatements.join('\n')}
+</BANKMSGSRSV1>` : ''}${cardStatements.length > 0 ? `
+<CREDITCARDMSGSRSV1>
+${cardStatements.join('\n')}
+</CREDITCARDMSGSRSV1>` : ''}
+</OFX>
+`;
+}
+
+/**
+ * Function to build QIF file, one section per account
+ * @param {any[]} transactions
+ * @param {any} options Export options
+ * @returns {string} QIF
+ */
+function buildQifExport(transactions, options) {
+  const accounts = new Map();
+  transactions.forEach(transaction => {
+    const key = `${transaction.companyId}|${transaction.accountNumber}`;
+    accounts.set(key, [...(accounts.get(key) || []), transaction]);
+  });
+
+  const sections = [...accounts.values()].map(accountTransactions => {
+    const { companyId, accountNumber } = accountTransactions[0];
+    const type = CREDIT_CARD_COMPANIES.includes(companyId) ? 'CCard' : 'Bank';
+
+    const entries = accountTransactions.map(transaction => [
+      `D${getExportDate(transaction).toFormat('MM/dd/yyyy')}`,
+      `T${transaction.chargedAmount.toFixed(2)}`,
+      `P${getExportPayee(transaction, options)}`,
+      getExportMemo(transaction) ? `M${getExportMemo(transaction)}` : null,
+      transaction.category ? `L${transaction.category}` : null,
+      transaction.status === 'completed' ? 'C*' : null, // cleared
+      '^'
+    ].filter(line => line).join('\n'));
+
+    return `!Account
+N${companyId} ${accountNumber}
+T${type}
+^
+!Type:${type}
+${entries.join('\n')}`;
+  });
+
+  return sections.join('\n') + '\n';
+}
+
+/**
+ * Function to build JSON with the stored fields
+ * @param {any[]} transactions
+ * @returns {string} JSON
+ */
+function buildJsonExport(transactions) {
+  return JSON.stringify(transactions.map(({ chatId, ...transaction }) => transaction), null, 2);
+}
+
+/**
+ * Function to get file name for export, e.g. "transactions.ynab.csv" or "transactions.ofx"
+ * @param {string} baseName File name without extension
+ * @param {string} format Export format, see EXPORT_FORMATS
+ * @returns {string} File name
+ */
+function getExportFileName(baseName, format) {
+  const extension = EXPORT_FORMATS[format].extension;
+  return format === extension ? `${baseName}.${extension}` : `${baseName}.${format}.${extension}`;
+}
+
+/**
+ * Function to export transactions to file from the command line:
+ * "export --format ynab --user JohnDoe [--account 1234] [--from 2023-01-01] [--to 2023-01-31] [--output file] [--translated]"
+ * @param {string[]} args Command arguments
+ */
+async function runExportCommand(args) {
+  const { values: options } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string', default: 'csv' },
+      user: { type: 'string' },
+      account: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      output: { type: 'string' },
+      translated: { type: 'boolean', default: false }
     }
+  });
+
+  const exportFormat = EXPORT_FORMATS[options.format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${options.format}. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
   }
-  return null;
+
+  const from = options.from
+    ? DateTime.fromISO(options.from, { zone: DEFAULT_TIMEZONE }).startOf('day')
+    : DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ days: 30 }).startOf('day');
+  const to = options.to
+    ? DateTime.fromISO(options.to, { zone: DEFAULT_TIMEZONE }).endOf('day')
+    : DateTime.now().setZone(DEFAULT_TIMEZONE).endOf('day');
+
+  if (!from.isValid || !to.isValid) {
+    throw new Error('Invalid --from or --to date, expected format: yyyy-MM-dd');
+  }
+
+  const filter = {};
+  if (options.user) {
+    filter.userCode = options.user;
+  }
+  if (options.account) {
+    filter.accountNumber = options.account;
+  }
+
+  const transactions = await getExportTransactions(filter, from, to);
+  const output = options.output
+    || getExportFileName(`transactions-${options.user || 'all'}-${from.toISODate()}-${to.toISODate()}`, options.format);
+
+  await writeFile(output, exportFormat.build(transactions, options));
+
+  logger.info(`Exported ${transactions.length} transactions to ${output}`);
 }
 
 /**
- * Returns transaction synchronization tasks based on environment variables starting with specific user prefix.
- * @returns {Array} Array of tasks to be executed.
+ * Function to send exported transactions of the chat's tasks as a document, handles /export command
+ * @param {TelegramBot} bot Telegram bot
+ * @param {string} chatId Telegram chat ID
+ * @param {Array} chatTasks Transaction sync tasks of the chat
+ * @param {string} argument Format and number of days, e.g. "ynab 30"
  */
-function getTransactionSyncTasksFromEnvVars() {
-  const transactionSyncTasks = [];
+async function sendExportDocument(bot, chatId, chatTasks, argument) {
+  const [format = 'csv', days = '30'] = argument.split(/\s+/).filter(part => part);
+  const exportFormat = EXPORT_FORMATS[format.toLowerCase()];
+  const daysCount = parseInt(days, 10);
 
-  const users = process.env.USERS.split(',');
-  users.forEach((user) => {
-    // Get environment variables for this user
-    const userEnvVars = Object.keys(process.env).filter(
-      key => key.startsWith(`${user}_`) && !key.startsWith(`${user}_TELEGRAM`)
-    );
+  if (!exportFormat || !(daysCount > 0)) {
+    return bot.sendMessage(chatId, `Usage: /export ${Object.keys(EXPORT_FORMATS).join('|')} 30`);
+  }
 
-    // Get unique company names from user's environment variables
-    const companies = [...new Set(userEnvVars.map(key => key.split('_')[1]))];
+  const from = DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ days: daysCount }).startOf('day');
+  const to = DateTime.now().setZone(DEFAULT_TIMEZONE).endOf('day');
+  const transactions = await getExportTransactions(getChatTransactionsFilter(chatTasks), from, to);
 
-    companies.forEach((company) => {
-      const credentials = {
-        id: process.env[`${user}_${company}_ID`],
-        num: process.env[`${user}_${company}_NUM`],
-        username: process.env[`${user}_${company}_USERNAME`],
-        userCode: process.env[`${user}_${company}_USER_CODE`],
-        password: process.env[`${user}_${company}_PASSWORD`],
-        card6Digits: process.env[`${user}_${company}_CARD6DIGITS`],
-        nationalID: process.env[`${user}_${company}_NATIONAL_ID`],
-      };
+  if (transactions.length === 0) {
+    return bot.sendMessage(chatId, 'No transactions found.');
+  }
 
-      const chatId = process.env[`${user}_${company}_TELEGRAM_CHANNEL_ID`] || process.env[`${user}_TELEGRAM_CHANNEL_ID`];
+  const content = Buffer.from(exportFormat.build(transactions, { translated: false }));
+  return bot.sendDocument(chatId, content, { caption: `${transactions.length} transactions, ${from.toISODate()} – ${to.toISODate()}` }, {
+    filename: getExportFileName(`transactions-${from.toISODate()}-${to.toISODate()}`, format.toLowerCase()),
+    contentType: exportFormat.contentType
+  });
+}
 
-      // Get CompanyTypes key from config company name
-      const companyTypeKey = findKeyCaseInsensitive(CompanyTypes, company);
-      if (!companyTypeKey) {
-        logger.error(`Unknown company: ${company}`);
-        return;
-      }
-      const companyId = CompanyTypes[companyTypeKey];
-      const taskKey = user + '_' + companyId;
+/**
+ * Function to get API tokens from API_TOKENS, e.g. "USER1:token1,USER2:token2,*:adminToken"
+ * @returns {Map<string, string>} User code by token, "*" for access to all the users
+ */
+function getApiTokens() {
+  const tokens = new Map();
+  (process.env.API_TOKENS || '').split(',').forEach(pair => {
+    const separatorIndex = pair.indexOf(':');
+    const user = pair.slice(0, separatorIndex).trim();
+    const token = pair.slice(separatorIndex + 1).trim();
+    if (separatorIndex > 0 && token) {
+      tokens.set(token, user);
+    }
+  });
+  return tokens;
+}
 
-      // Push the flat task object into the array
-      transactionSyncTasks.push({
-        taskKey,
-        user,
-        companyId,
-        credentials,
-        chatId
-      });
+/**
+ * Function to start HTTP server with the REST API, the dashboard, /healthz and /metrics on API_PORT
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {boolean} true if the server is started
+ */
+function startApiServer(transactionSyncTasks) {
+  const tokens = getApiTokens();
+  if (tokens.size === 0) {
+    logger.warn('No API tokens found in API_TOKENS. Only the overall status of /healthz is available.');
+  }
+
+  const server = http.createServer((request, response) => {
+    handleApiRequest(request, response, tokens, transactionSyncTasks).catch(error => {
+      // The path only, the query isn't logged
+      logger.error(`Failed to handle API request`, { path: new URL(request.url, 'http://localhost').pathname, errorMessage: error.message, errorStack: error.stack });
+      sendJson(response, 500, { error: 'Internal server error' });
     });
   });
 
-  return transactionSyncTasks;
+  server.on('error', error => logger.error(`API server failed`, { errorMessage: error.message }));
+  server.listen(Number(API_PORT), () => logger.info(`API server is listening on port ${API_PORT}`));
+
+  return true;
 }
 
 /**
- * Returns transaction synchronization tasks based on JSON stored in `USERS_JSON` environment variable.
- * @returns {Array} Array of tasks to be executed.
+ * Function to send JSON response
+ * @param {http.ServerResponse} response
+ * @param {number} statusCode
+ * @param {any} body
  */
-function getTransactionSyncTasksFromJSON() {
-  const transactionSyncTasks = [];
+function sendJson(response, statusCode, body) {
+  if (response.headersSent) {
+    return response.end();
+  }
+  response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Function to get user of the API request by token from "Authorization: Bearer <token>" header.
+ * The token isn't accepted in the query, so it doesn't get to the logs of the app and the proxies.
+ * @param {http.IncomingMessage} request
+ * @param {Map<string, string>} tokens User code by token
+ * @returns {string|null} User code, "*" for all the users, or null if the token is not valid
+ */
+function getApiUser(request, tokens) {
+  const header = request.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+  if (!token) {
+    return null;
+  }
+
+  // Compare hashes of the same length in constant time
+  const tokenHash = createHash('sha256').update(token).digest();
+  for (const [validToken, user] of tokens) {
+    if (timingSafeEqual(tokenHash, createHash('sha256').update(validToken).digest())) {
+      return user;
+    }
+  }
+  return null;
+}
+
+/**
+ * REST API endpoints by path, each returns JSON body for the user's data
+ */
+const API_ROUTES = {
+  '/api/transactions': getApiTransactions,
+  '/api/balances': getApiBalances,
+  '/api/balances/history': getApiBalanceHistory,
+  '/api/monthly': getApiMonthlyTotals,
+  '/api/translations': getApiTranslations,
+  '/api/sync-runs': getApiSyncRuns
+};
+
+/**
+ * Function to handle HTTP request: the dashboard page or REST API endpoint
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {Map<string, string>} tokens User code by token
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ */
+async function handleApiRequest(request, response, tokens, transactionSyncTasks) {
+  const url = new URL(request.url, 'http://localhost');
+
+  if (request.method !== 'GET') {
+    return sendJson(response, 405, { error: 'Method not allowed' });
+  }
+
+  // The overall health is public for monitoring tools, the tasks (their keys have the user names) need the token
+  if (url.pathname === '/healthz') {
+    const { tasks, ...health } = await getHealth(transactionSyncTasks);
+    const user = getApiUser(request, tokens);
+    const userTaskKeys = new Set(transactionSyncTasks.filter(task => user === '*' || task.user === user).map(task => task.taskKey));
+    return sendJson(response, health.status === 'ok' ? 200 : 503, user ? { ...health, tasks: tasks.filter(task => userTaskKeys.has(task.taskKey)) } : health);
+  }
+  if (url.pathname === '/metrics') {
+    const user = getApiUser(request, tokens);
+    if (!user) {
+      return sendJson(response, 401, { error: 'Unauthorized' });
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    return response.end(getMetrics(transactionSyncTasks.filter(task => user === '*' || task.user === user)));
+  }
+
+  // The page asks for the token and passes it to the API
+  if (url.pathname === '/' || url.pathname === '/dashboard') {
+    const page = await readFile(new URL('./dashboard.html', import.meta.url));
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return response.end(page);
+  }
+
+  const route = API_ROUTES[url.pathname];
+  if (!route) {
+    return sendJson(response, 404, { error: 'Not found' });
+  }
+
+  const user = getApiUser(request, tokens);
+  if (!user) {
+    return sendJson(response, 401, { error: 'Unauthorized' });
+  }
+
+  const userTasks = transactionSyncTasks.filter(task => user === '*' || task.user === user);
+  const filter = user === '*' ? {} : { userCode: user };
 
-  let credentialsData;
   try {
-    credentialsData = JSON.parse(process.env.USERS_JSON);
-  } catch (e) {
-    logger.error('Failed to parse USERS_JSON. Please ensure it is valid JSON.');
-    return transactionSyncTasks;
+    sendJson(response, 200, await route(filter, url.searchParams, userTasks));
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return sendJson(response, 400, { error: error.message });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Function to parse date query parameter in DEFAULT_TIMEZONE
+ * @param {URLSearchParams} params
+ * @param {string} name Parameter name
+ * @returns {DateTime|null} Date or null if the parameter is not set
+ */
+function getApiDateParam(params, name) {
+  if (!params.get(name)) {
+    return null;
   }
 
-  if (!Array.isArray(credentialsData)) {
-    logger.error('USERS_JSON should be an array of user credentials.');
-    return transactionSyncTasks;
+  const date = DateTime.fromISO(params.get(name), { zone: DEFAULT_TIMEZONE });
+  if (!date.isValid) {
+    throw new RangeError(`Invalid "${name}" parameter, expected ISO date`);
   }
+  return date;
+}
 
-  credentialsData.forEach((user, userIndex) => {
-    const { userName, telegramChannelId, companies } = user;
+/**
+ * Function to get transactions filtered by query parameters: from, to, company, account, category, status, search;
+ * paginated by limit (50 by default, up to 500) and offset, the latest first
+ * @param {any} filter Filter of the user's transactions
+ * @param {URLSearchParams} params Query parameters
+ * @returns {Promise<{total: number, offset: number, limit: number, items: any[]}>}
+ */
+async function getApiTransactions(filter, params) {
+  const conditions = [filter];
 
-    if (!userName || !Array.isArray(companies)) {
-      logger.error(`Invalid user entry. Expected "userName", and "companies" properties. Check user #${userIndex} (index starts from 0).`);
-      return;
+  const from = getApiDateParam(params, 'from');
+  const to = getApiDateParam(params, 'to');
+  if (from || to) {
+    conditions.push({ date: { ...(from && { $gte: from.startOf('day').toJSDate() }), ...(to && { $lte: to.endOf('day').toJSDate() }) } });
+  }
+
+  for (const [param, field] of [['company', 'companyId'], ['account', 'accountNumber'], ['category', 'category'], ['status', 'status']]) {
+    if (params.get(param)) {
+      conditions.push({ [field]: params.get(param) });
     }
+  }
+
+  if (params.get('search')) {
+    const regex = new RegExp(params.get('search').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    conditions.push({ $or: [{ description: regex }, { translatedDescription: regex }, { memo: regex }] });
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(params.get('offset'), 10) || 0, 0);
+  const query = { $and: conditions };
+
+  const [total, items] = await withCollection(TRANSACTIONS_COLLECTION_NAME, async collection => [
+    await collection.countDocuments(query),
+    await collection.find(query).sort({ date: -1, _id: -1 }).skip(offset).limit(limit).toArray()
+  ]);
+
+  return { total, offset, limit, items };
+}
+
+/**
+ * Function to get the last balances of the user's accounts reported by the scrapers
+ * @param {any} filter Filter of the user's data
+ * @returns {Promise<{items: any[]}>}
+ */
+async function getApiBalances(filter) {
+  const accounts = await withCollection(ACCOUNTS_COLLECTION_NAME, collection =>
+    collection.find(filter).sort({ userCode: 1, companyId: 1, accountNumber: 1 }).toArray());
+
+  return { items: accounts };
+}
 
-    if (!telegramChannelId) {
-      logger.warn(`No telegramChannelId specified for user #${userIndex} (index starts from 0). Notifications will not be sent.`);
+/**
+ * Function to get the balances of the user's accounts saved by each sync, the oldest first.
+ * Filtered by query parameters: company, account, from and to (the last 90 days by default).
+ * @param {any} filter Filter of the user's data
+ * @param {URLSearchParams} params Query parameters
+ * @returns {Promise<{items: any[]}>}
+ */
+async function getApiBalanceHistory(filter, params) {
+  const from = (getApiDateParam(params, 'from') || DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ days: 90 })).startOf('day');
+  const to = (getApiDateParam(params, 'to') || DateTime.now().setZone(DEFAULT_TIMEZONE)).endOf('day');
+
+  const query = { ...filter, createdAt: { $gte: from.toJSDate(), $lte: to.toJSDate() } };
+  for (const [param, field] of [['company', 'companyId'], ['account', 'accountNumber']]) {
+    if (params.get(param)) {
+      query[field] = params.get(param);
     }
+  }
 
-    companies.forEach((company, companyIndex) => {
-      const { companyName, telegramChannelId: companyTelegramChannelId, ...credentials } = company; //
-      const chatId = companyTelegramChannelId || telegramChannelId;
+  const snapshots = await withCollection(ACCOUNT_SNAPSHOTS_COLLECTION_NAME, collection =>
+    collection.find(query).sort({ createdAt: 1 }).toArray());
 
-      // Get CompanyTypes key from config company name
-      const companyTypeKey = findKeyCaseInsensitive(CompanyTypes, companyName);
-      if (!companyTypeKey) {
-        logger.error(`Unknown company. Check user #${userIndex}, company #${companyIndex} (index starts from 0)`);
-        return;
-      }
+  return { items: snapshots };
+}
 
-      const scraper = SCRAPERS[companyTypeKey];
-      if (!scraper) {
-        logger.error(`No scraper found for company. Check user #${userIndex}, company #${companyIndex} (index starts from 0)`);
-        return;
-      }
+/**
+ * Function to get monthly income and expense totals, expenses by category and by company, for the last 12 months
+ * or the period set by "from" and "to" query parameters
+ * @param {any} filter Filter of the user's transactions
+ * @param {URLSearchParams} params Query parameters
+ * @returns {Promise<{items: any[]}>} Totals per month in DEFAULT_TIMEZONE, the oldest first
+ */
+async function getApiMonthlyTotals(filter, params) {
+  const from = (getApiDateParam(params, 'from') || DateTime.now().setZone(DEFAULT_TIMEZONE).minus({ months: 11 })).startOf('month');
+  const to = (getApiDateParam(params, 'to') || DateTime.now().setZone(DEFAULT_TIMEZONE)).endOf('month');
 
-      const missingFields = scraper.loginFields.filter(field => !credentials.hasOwnProperty(field));
-      if (missingFields.length > 0) {
-        logger.error(`Missing required fields for company. Check user #${userIndex}, company #${companyIndex} (index starts from 0): Missing fields: ${missingFields.join(', ')}`);
-        return;
-      }
+  const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+    collection.find({ ...filter, date: { $gte: from.toJSDate(), $lte: to.toJSDate() }, excludeFromTotals: { $ne: true }, hidden: { $ne: true } }).toArray());
 
-      const companyId = CompanyTypes[companyTypeKey];
-      const taskKey = `user_${userIndex}_company_${companyIndex}`;
+  const months = new Map();
+  for (let month = from; month <= to; month = month.plus({ months: 1 })) {
+    months.set(month.toFormat('yyyy-MM'), { month: month.toFormat('yyyy-MM'), income: 0, expense: 0, count: 0, missingAmounts: 0, byCategory: {}, byCompany: {} });
+  }
 
-      // Push the flat task object into the array
-      transactionSyncTasks.push({
-        taskKey,
-        user: userName,
-        companyId,
-        credentials,
-        chatId
-      });
-    });
-  });
+  for (const transaction of transactions) {
+    const totals = months.get(DateTime.fromJSDate(transaction.date).setZone(DEFAULT_TIMEZONE).toFormat('yyyy-MM'));
+    if (!totals) {
+      continue;
+    }
 
-  return transactionSyncTasks;
+    totals.count++;
+    if (isAmountILSMissing(transaction)) {
+      totals.missingAmounts++;
+      continue;
+    }
+
+    const amount = getAmountILS(transaction);
+    if (amount > 0) {
+      totals.income += amount;
+    } else {
+      totals.expense += amount;
+      const category = transaction.category || 'Uncategorized';
+      totals.byCategory[category] = (totals.byCategory[category] || 0) + amount;
+      totals.byCompany[transaction.companyId] = (totals.byCompany[transaction.companyId] || 0) + amount;
+    }
+  }
+
+  return { items: [...months.values()] };
 }
 
 /**
- * Returns transaction synchronization tasks.
- * @returns {Array} Array of tasks to be executed.
+ * Function to get translation cache entries, paginated by limit (100 by default, up to 1000) and offset.
+ * Users other than "*" see only the translations of their transactions' descriptions.
+ * @param {any} filter Filter of the user's transactions
+ * @param {URLSearchParams} params Query parameters: search, limit, offset
+ * @returns {Promise<{total: number, offset: number, limit: number, items: any[]}>}
  */
-function getTransactionSyncTasks() {
-  if (process.env.USERS_JSON) {
-    return getTransactionSyncTasksFromJSON();
-  } else {
-    return getTransactionSyncTasksFromEnvVars();
+async function getApiTranslations(filter, params) {
+  const conditions = [];
+
+  if (filter.userCode) {
+    // Only the fields of the translation keys are loaded
+    const transactions = await withCollection(TRANSACTIONS_COLLECTION_NAME, collection =>
+      collection.find(filter, { projection: { _id: 0, description: 1, memo: 1 } }).toArray());
+    conditions.push({ _id: { $in: [...new Set(transactions.map(getTranslationKey))] } });
+  }
+
+  if (params.get('search')) {
+    const regex = new RegExp(params.get('search').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    conditions.push({ $or: [{ _id: regex }, { translation: regex }] });
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(params.get('offset'), 10) || 0, 0);
+  const query = conditions.length > 0 ? { $and: conditions } : {};
+
+  const [total, items] = await withCollection(TRANSLATIONS_COLLECTION_NAME, async collection => [
+    await collection.countDocuments(query),
+    await collection.find(query).sort({ _id: 1 }).skip(offset).limit(limit).toArray()
+  ]);
+
+  return { total, offset, limit, items };
+}
+
+/**
+ * Function to get sync runs of the user's tasks, the latest first, paginated by limit (50 by default, up to 500) and offset
+ * @param {any} filter Filter of the user's data
+ * @param {URLSearchParams} params Query parameters: taskKey, limit, offset
+ * @returns {Promise<{isSyncInProgress: boolean, total: number, offset: number, limit: number, items: any[]}>}
+ */
+async function getApiSyncRuns(filter, params) {
+  const query = { ...filter, ...(params.get('taskKey') && { taskKey: params.get('taskKey') }) };
+  const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(params.get('offset'), 10) || 0, 0);
+
+  const [total, items] = await withCollection(SYNC_RUNS_COLLECTION_NAME, async collection => [
+    await collection.countDocuments(query),
+    await collection.find(query).sort({ startedAt: -1 }).skip(offset).limit(limit).toArray()
+  ]);
+
+  return { isSyncInProgress, total, offset, limit, items };
+}
+
+/**
+ * Function to get health of the storage and the sync tasks since startup.
+ * A task is unhealthy if it failed SYNC_FAILURE_ALERT_COUNT times in a row or had no successful sync for SYNC_STALE_ALERT_HOURS.
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {Promise<{status: string, storage: string, isSyncInProgress: boolean, tasks: any[]}>} Status "ok" or "error"
+ */
+async function getHealth(transactionSyncTasks) {
+  let storage = 'ok';
+  try {
+    await (await getStorage()).check();
+  } catch (error) {
+    storage = 'error';
   }
+
+  const tasks = transactionSyncTasks.map(task => {
+    const result = lastSyncResults.get(task.taskKey);
+    const isStale = result && (!result.lastSuccessAt || Date.now() - result.lastSuccessAt >= SYNC_STALE_ALERT_HOURS * 3600000)
+      && result.consecutiveFailures > 0;
+    const isFailing = result && result.consecutiveFailures >= SYNC_FAILURE_ALERT_COUNT;
+
+    return {
+      taskKey: task.taskKey,
+      status: !result ? 'pending' : (isStale || isFailing ? 'error' : 'ok'),
+      lastRunAt: result ? result.finishedAt : null,
+      lastSuccessAt: result ? result.lastSuccessAt : null,
+      consecutiveFailures: result ? result.consecutiveFailures : 0,
+      errorType: result ? result.errorType : null
+    };
+  });
+
+  const isHealthy = storage === 'ok' && tasks.every(task => task.status !== 'error');
+  return { status: isHealthy ? 'ok' : 'error', storage, isSyncInProgress, tasks };
+}
+
+/**
+ * Function to escape Prometheus label value
+ * @param {string} value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
 }
 
 /**
- * Processes the given transaction sync tasks sequentially.
+ * Function to get metrics of the sync runs since startup in Prometheus text format
+ * @param {Array} transactionSyncTasks Transaction sync tasks
+ * @returns {string} Metrics
  */
-async function processTransactionSyncTasks(transactionSyncTasks) {
+function getMetrics(transactionSyncTasks) {
+  const metrics = [
+    ['shekel_streamer_sync_runs_total', 'counter', 'Sync runs since startup by result'],
+    ['shekel_streamer_transactions_total', 'counter', 'New and updated transactions since startup'],
+    ['shekel_streamer_sync_last_run_timestamp_seconds', 'gauge', 'Time of the last finished sync run'],
+    ['shekel_streamer_sync_last_success_timestamp_seconds', 'gauge', 'Time of the last successful sync run'],
+    ['shekel_streamer_sync_last_duration_seconds', 'gauge', 'Duration of the last sync run'],
+    ['shekel_streamer_sync_consecutive_failures', 'gauge', 'Failed sync runs in a row'],
+    ['shekel_streamer_translation_calls_total', 'counter', 'Requests to the translation API since startup'],
+    ['shekel_streamer_sync_in_progress', 'gauge', 'Whether a sync is in progress']
+  ].map(([name, type, help]) => ({ name, type, help, samples: [] }));
+  const [runs, transactions, lastRun, lastSuccess, lastDuration, consecutiveFailures, translationCalls, inProgress] = metrics;
+
   for (const task of transactionSyncTasks) {
-    try {
-      await handleTransactions(task.taskKey, task.user, task.companyId, task.credentials, task.chatId);
-    } catch (error) {
-      logger.error(`Sync failed`, { taskKey: task.taskKey, errorMessage: error.message, errorStack: error.stack });
+    const labels = `task="${escapeLabel(task.taskKey)}",company="${escapeLabel(task.companyId)}"`;
+    const totals = syncRunTotals.get(task.taskKey) || { success: 0, failure: 0, new: 0, updated: 0, translationCalls: 0 };
+    const result = lastSyncResults.get(task.taskKey);
+
+    runs.samples.push(`{${labels},result="success"} ${totals.success}`, `{${labels},result="failure"} ${totals.failure}`);
+    transactions.samples.push(`{${labels},change="new"} ${totals.new}`, `{${labels},change="updated"} ${totals.updated}`);
+    translationCalls.samples.push(`{${labels}} ${totals.translationCalls}`);
+
+    if (result) {
+      lastRun.samples.push(`{${labels}} ${result.finishedAt.getTime() / 1000}`);
+      lastDuration.samples.push(`{${labels}} ${(result.finishedAt - result.startedAt) / 1000}`);
+      consecutiveFailures.samples.push(`{${labels}} ${result.consecutiveFailures || 0}`);
+      if (result.lastSuccessAt) {
+        lastSuccess.samples.push(`{${labels}} ${new Date(result.lastSuccessAt).getTime() / 1000}`);
+      }
     }
   }
+
+  inProgress.samples.push(` ${isSyncInProgress ? 1 : 0}`);
+
+  return metrics.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.samples.map(sample => `${metric.name}${sample}`)
+  ].join('\n')).join('\n') + '\n';
 }
+
+// Functions covered by the unit tests
+export {
+  reconcileCardBills,
+  reconcileTransfers,
+  parseExchangeRatesCsv,
+  inferChargedCurrency,
+  getInstallmentPlans,
+  detectRecurringCharges,
+  getHouseholdDebts,
+  getSplitAmounts,
+  formatChange,
+  parseTranslationResponse,
+  withCollection,
+  getChatTransactionsFilter,
+  getApiTransactions,
+  reconcileTransactions,
+  assignTransactionKeys,
+  getExistingTransactions,
+  saveOrUpdateTransactions,
+  migrateFromMongoDB,
+  getTransactionChanges,
+  createChatTranslationProvider,
+  encryptValue,
+  decryptValue,
+  createFileCredentialsVault,
+  parseCredentialArgs,
+  runCredentialsCommand,
+  checkBudgets,
+  saveConfigBudgets,
+  parseQuietHours,
+  getQuietHoursEnd,
+  toCsvLine,
+  buildCsvExport,
+  buildYnabExport,
+  buildOfxExport,
+  buildQifExport,
+  loadPlugins,
+  runPipelineStage,
+  emitPluginEvent,
+  handleScrapedAccounts,
+  getTransactionSyncTasksFromJSON,
+  migrateSyncRunTaskKeys,
+  editTransactionMessage,
+  runSyncCommand,
+  sendToTelegram
+};
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { DateTime } from 'luxon';
+
+// The storage is configured on import
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { withCollection, checkBudgets, saveConfigBudgets } = await import('../src/app.js');
+
+const period = DateTime.now().setZone('Asia/Jerusalem').toFormat('yyyy-MM');
+const destinations = [{ type: 'webhook', url: 'https://example.com/hook' }];
+
+const addBudget = async (userCode, amount) => {
+  const _id = new ObjectId();
+  await withCollection('budgets', collection => collection.insertOne({ _id, userCode, amount, category: 'Food' }));
+  return _id;
+};
+
+const spend = (userCode, chargedAmount) => withCollection('transactions', collection =>
+  collection.insertOne({ _id: new ObjectId(), userCode, date: new Date(), chargedAmount, category: 'Food', status: 'completed' }));
+
+const getMarks = budgetId => withCollection('budgetAlerts', async collection =>
+  (await collection.find({ budgetId }).toArray()).map(mark => mark._id).sort());
+
+const mockWebhook = (t, ok = true) => t.mock.method(globalThis, 'fetch', async () =>
+  ({ ok, status: ok ? 200 : 500, statusText: ok ? 'OK' : 'Error' }));
+
+const getSentThresholds = fetchMock => fetchMock.mock.calls.map(call => JSON.parse(call.arguments[1].body).details.threshold);
+
+describe('checkBudgets', () => {
+  it('sends each crossed threshold of the period once, the highest new one only', async t => {
+    const fetchMock = mockWebhook(t);
+    const budgetId = await addBudget('thresholds', 1000);
+
+    await spend('thresholds', -600);
+    await checkBudgets('thresholds', destinations, 'task');
+    await checkBudgets('thresholds', destinations, 'task');
+    assert.deepEqual(getSentThresholds(fetchMock), [50]);
+
+    await spend('thresholds', -500);
+    await checkBudgets('thresholds', destinations, 'task');
+    await checkBudgets('thresholds', destinations, 'task');
+    assert.deepEqual(getSentThresholds(fetchMock), [50, 100]);
+
+    assert.deepEqual(await getMarks(budgetId), [50, 80, 100].map(threshold => `${budgetId}|${period}|${threshold}`).sort());
+  });
+
+  it('marks the thresholds per period', async t => {
+    const fetchMock = mockWebhook(t);
+    const budgetId = await addBudget('periods', 1000);
+    await withCollection('budgetAlerts', collection =>
+      collection.insertOne({ _id: `${budgetId}|2000-01|50`, budgetId, period: '2000-01', threshold: 50, spent: 500, createdAt: new Date() }));
+
+    await spend('periods', -500);
+    await checkBudgets('periods', destinations, 'task');
+
+    assert.deepEqual(getSentThresholds(fetchMock), [50]);
+    assert.deepEqual(await getMarks(budgetId), [`${budgetId}|2000-01|50`, `${budgetId}|${period}|50`]);
+  });
+
+  it('removes the marks when the alert is not sent, so it is sent on the next sync', async t => {
+    const fetchMock = mockWebhook(t);
+    const budgetId = await addBudget('not-sent', 1000);
+
+    await spend('not-sent', -900);
+    await checkBudgets('not-sent', [], 'task');
+    assert.deepEqual(await getMarks(budgetId), []);
+
+    await checkBudgets('not-sent', destinations, 'task');
+    assert.deepEqual(getSentThresholds(fetchMock), [80]);
+    assert.deepEqual(await getMarks(budgetId), [50, 80].map(threshold => `${budgetId}|${period}|${threshold}`));
+  });
+
+  it('leaves out the hidden, excluded and other category transactions', async t => {
+    const fetchMock = mockWebhook(t);
+    await addBudget('filtered', 100);
+
+    await withCollection('transactions', collection => collection.insertMany([
+      { _id: new ObjectId(), userCode: 'filtered', date: new Date(), chargedAmount: -100, category: 'Food', hidden: true },
+      { _id: new ObjectId(), userCode: 'filtered', date: new Date(), chargedAmount: -100, category: 'Food', excludeFromTotals: true },
+      { _id: new ObjectId(), userCode: 'filtered', date: new Date(), chargedAmount: -100, category: 'Fuel' },
+      { _id: new ObjectId(), userCode: 'filtered', date: new Date(), chargedAmount: 100, category: 'Food' }
+    ]));
+    await checkBudgets('filtered', destinations, 'task');
+
+    assert.equal(fetchMock.mock.callCount(), 0);
+  });
+});
+
+describe('saveConfigBudgets', () => {
+  const getConfigBudgets = () => withCollection('budgets', async collection =>
+    (await collection.find({ userCode: 'config', source: 'config' }).toArray())
+      .map(({ category, accountNumber, companyId, amount, name }) => ({ category, accountNumber, companyId, amount, name }))
+      .sort((a, b) => a.amount - b.amount));
+
+  it('upserts the configured budgets and removes the ones left out of the configuration', async () => {
+    const chatBudgetId = new ObjectId();
+    await withCollection('budgets', collection => collection.insertOne({ _id: chatBudgetId, userCode: 'config', amount: 50, category: 'Fun' }));
+
+    await saveConfigBudgets([{ user: 'config', budgets: [
+      { amount: 2000, category: 'Food', name: 'Groceries' },
+      { amount: 3000, accountNumber: 1234, companyId: 'isracard' },
+      { amount: 0, category: 'Invalid' }
+    ] }]);
+    const [food] = await withCollection('budgets', collection => collection.find({ userCode: 'config', category: 'Food' }).toArray());
+
+    await saveConfigBudgets([{ user: 'config', budgets: [{ amount: 2500, category: 'Food' }] }]);
+
+    assert.deepEqual(await getConfigBudgets(), [
+      { category: 'Food', accountNumber: null, companyId: null, amount: 2500, name: null }
+    ]);
+    const budgets = await withCollection('budgets', collection => collection.find({ userCode: 'config' }).toArray());
+    assert.deepEqual(budgets.map(budget => String(budget._id)).sort(), [String(food._id), String(chatBudgetId)].sort(),
+      'the budget is updated in place and the budgets added in chat are kept');
+  });
+
+  it('keeps the budgets of the users without "budgets" in the configuration', async () => {
+    await saveConfigBudgets([{ user: 'config', budgets: [{ amount: 100 }] }]);
+    await saveConfigBudgets([{ user: 'config' }]);
+
+    assert.deepEqual(await getConfigBudgets(), [
+      { category: null, accountNumber: null, companyId: null, amount: 100, name: null }
+    ]);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// The vault is configured on import
+const directory = await mkdtemp(path.join(tmpdir(), 'shekel-streamer-'));
+process.env.CREDENTIALS_VAULT = 'file';
+process.env.CREDENTIALS_VAULT_PATH = path.join(directory, 'command.vault');
+process.env.CREDENTIALS_MASTER_KEY = 'master key';
+
+const { encryptValue, decryptValue, createFileCredentialsVault, parseCredentialArgs, runCredentialsCommand } = await import('../src/app.js');
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+describe('encryptValue and decryptValue', () => {
+  const credentials = { userCode: 'AB123', password: 'secret' };
+
+  it('decrypts the encrypted value', () => {
+    const encrypted = encryptValue(credentials, 'master key', 'user|hapoalim');
+
+    assert.equal(encrypted.version, 1);
+    assert.equal(JSON.stringify(encrypted).includes('secret'), false);
+    assert.deepEqual(decryptValue(encrypted, 'master key', 'user|hapoalim'), credentials);
+  });
+
+  it('encrypts with a random salt and IV', () => {
+    const first = encryptValue(credentials, 'master key', 'user|hapoalim');
+    const second = encryptValue(credentials, 'master key', 'user|hapoalim');
+
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.iv, second.iv);
+    assert.notEqual(first.data, second.data);
+  });
+
+  it('fails with a wrong master key', () => {
+    const encrypted = encryptValue(credentials, 'master key', 'user|hapoalim');
+
+    assert.throws(() => decryptValue(encrypted, 'other key', 'user|hapoalim'), /Failed to decrypt credentials/);
+  });
+
+  it('fails when the value is moved to another entry', () => {
+    const encrypted = encryptValue(credentials, 'master key', 'user|hapoalim');
+
+    assert.throws(() => decryptValue(encrypted, 'master key', 'other|hapoalim'), /Failed to decrypt credentials/);
+  });
+
+  it('fails when the encrypted data is changed', () => {
+    const encrypted = encryptValue(credentials, 'master key', 'user|hapoalim');
+    const data = Buffer.from(encrypted.data, 'base64');
+    data[0] ^= 1;
+
+    assert.throws(() => decryptValue({ ...encrypted, data: data.toString('base64') }, 'master key', 'user|hapoalim'), /Failed to decrypt credentials/);
+  });
+});
+
+describe('createFileCredentialsVault', () => {
+  it('saves, loads and removes the encrypted entries', async () => {
+    const filePath = path.join(directory, 'nested', 'file.vault');
+    const vault = createFileCredentialsVault(filePath);
+    const updatedAt = new Date('2024-05-01T00:00:00Z');
+
+    assert.deepEqual(await vault.load(), []);
+
+    await vault.save({ user: 'user', companyId: 'hapoalim', credentials: { userCode: 'AB123', password: 'secret' }, updatedAt });
+    await vault.save({ user: 'user', companyId: 'isracard', credentials: { id: '1', card6Digits: '123456', password: 'old' }, updatedAt });
+    await vault.save({ user: 'user', companyId: 'isracard', credentials: { id: '1', card6Digits: '123456', password: 'new' }, updatedAt });
+
+    assert.deepEqual(await vault.load(), [
+      { user: 'user', companyId: 'hapoalim', credentials: { userCode: 'AB123', password: 'secret' }, updatedAt },
+      { user: 'user', companyId: 'isracard', credentials: { id: '1', card6Digits: '123456', password: 'new' }, updatedAt }
+    ]);
+    assert.equal((await readFile(filePath, 'utf8')).includes('secret'), false);
+    assert.equal((await stat(filePath)).mode & 0o777, 0o600);
+
+    assert.equal(await vault.remove('user', 'hapoalim'), true);
+    assert.equal(await vault.remove('user', 'hapoalim'), false);
+    assert.deepEqual((await vault.load()).map(entry => entry.companyId), ['isracard']);
+  });
+});
+
+describe('parseCredentialArgs', () => {
+  const loginFields = ['userCode', 'password'];
+
+  it('parses the field=value arguments, the value may contain "="', () => {
+    assert.deepEqual(parseCredentialArgs(['userCode=AB123', 'password=a=b'], loginFields), { userCode: 'AB123', password: 'a=b' });
+    assert.deepEqual(parseCredentialArgs([], loginFields), {});
+  });
+
+  it('rejects the unknown fields and the arguments without value', () => {
+    assert.throws(() => parseCredentialArgs(['username=AB123'], loginFields), /Invalid argument: username/);
+    assert.throws(() => parseCredentialArgs(['password'], loginFields), /Invalid argument: password/);
+    assert.throws(() => parseCredentialArgs(['=secret'], loginFields), /Invalid argument/);
+  });
+});
+
+describe('runCredentialsCommand', () => {
+  it('imports the plain text credentials of the configured users once', async () => {
+    process.env.USERS = 'USER1';
+    process.env.USER1_HAPOALIM_USER_CODE = 'AB123';
+    process.env.USER1_HAPOALIM_PASSWORD = 'secret';
+    process.env.USER1_UNKNOWN_PASSWORD = 'other';
+
+    await runCredentialsCommand(['import']);
+    process.env.USER1_HAPOALIM_PASSWORD = 'changed';
+    await runCredentialsCommand(['import']);
+
+    const entries = await createFileCredentialsVault(process.env.CREDENTIALS_VAULT_PATH).load();
+    assert.deepEqual(entries.map(entry => [entry.user, entry.companyId, entry.credentials]), [
+      ['USER1', 'hapoalim', { userCode: 'AB123', password: 'secret' }]
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExchangeRatesCsv, inferChargedCurrency } from '../src/app.js';
+
+describe('parseExchangeRatesCsv', () => {
+  it('parses the series layout with BOM and quoted values', () => {
+    const content = [
+      '\uFEFFSERIES_CODE,TIME_PERIOD,OBS_VALUE',
+      'RER_USD_ILS,2024-05-01,3.712',
+      '"RER_EUR_ILS","2024-05-01","3.98"'
+    ].join('\r\n');
+
+    assert.deepEqual(parseExchangeRatesCsv(content), [
+      { currency: 'USD', date: '2024-05-01', rate: 3.712 },
+      { currency: 'EUR', date: '2024-05-01', rate: 3.98 }
+    ]);
+  });
+
+  it('parses the table layout with a column per currency', () => {
+    const content = [
+      'Date,USD Dollar,EUR Euro',
+      '1/5/2024,3.712,3.98',
+      '2/5/2024,3.7,'
+    ].join('\n');
+
+    assert.deepEqual(parseExchangeRatesCsv(content), [
+      { currency: 'USD', date: '2024-05-01', rate: 3.712 },
+      { currency: 'EUR', date: '2024-05-01', rate: 3.98 },
+      { currency: 'USD', date: '2024-05-02', rate: 3.7 }
+    ]);
+  });
+
+  it('skips the rows with invalid date, rate or series', () => {
+    const content = [
+      'SERIES_CODE,TIME_PERIOD,OBS_VALUE',
+      'RER_USD_ILS,not a date,3.712',
+      'RER_USD_ILS,2024-05-01,0',
+      'OTHER,2024-05-01,1.5'
+    ].join('\n');
+
+    assert.deepEqual(parseExchangeRatesCsv(content), []);
+  });
+
+  it('returns no rates for empty content', () => {
+    assert.deepEqual(parseExchangeRatesCsv(''), []);
+  });
+});
+
+describe('inferChargedCurrency', () => {
+  it('returns the currency of a foreign currency account', () => {
+    assert.equal(inferChargedCurrency({ originalCurrency: 'ILS', originalAmount: -10, chargedAmount: -10 }, 'USD'), 'USD');
+  });
+
+  it('returns the original currency when the charged amount is not converted yet', () => {
+    assert.equal(inferChargedCurrency({ originalCurrency: 'USD', originalAmount: -10, chargedAmount: -10 }), 'USD');
+  });
+
+  it('returns ILS when the charged amount is converted', () => {
+    assert.equal(inferChargedCurrency({ originalCurrency: 'USD', originalAmount: -10, chargedAmount: -37.12 }), 'ILS');
+  });
+
+  it('returns ILS for the ILS transactions and the ones without currency', () => {
+    assert.equal(inferChargedCurrency({ originalCurrency: 'ILS', originalAmount: -10, chargedAmount: -10 }), 'ILS');
+    assert.equal(inferChargedCurrency({ originalAmount: -10, chargedAmount: -10 }), 'ILS');
+  });
+});
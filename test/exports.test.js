@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsvLine, buildCsvExport, buildYnabExport, buildOfxExport, buildQifExport } from '../src/app.js';
+
+const transactions = [
+  {
+    _id: 'a1',
+    companyId: 'hapoalim',
+    accountNumber: '12-345-678',
+    type: 'normal',
+    status: 'completed',
+    date: new Date('2024-05-01T21:30:00Z'),
+    processedDate: new Date('2024-05-02T21:00:00Z'),
+    description: 'משכורת',
+    translatedDescription: 'Salary',
+    chargedAmount: 10000,
+    originalAmount: 10000,
+    originalCurrency: 'ILS'
+  },
+  {
+    _id: 'b2',
+    identifier: 777,
+    companyId: 'isracard',
+    accountNumber: '1234',
+    type: 'installments',
+    status: 'completed',
+    date: new Date('2024-03-10T10:00:00Z'),
+    processedDate: new Date('2024-05-09T21:00:00Z'),
+    description: 'AMAZON <US> & CO',
+    memo: 'Order "42", gift',
+    chargedAmount: -110.5,
+    originalAmount: -30,
+    originalCurrency: 'USD',
+    installments: { number: 2, total: 3 },
+    category: 'Shopping'
+  },
+  {
+    _id: 'c3',
+    companyId: 'isracard',
+    accountNumber: '1234',
+    type: 'installments',
+    status: 'pending',
+    date: new Date('2024-05-12T08:00:00Z'),
+    description: 'Pending installment',
+    chargedAmount: -20,
+    originalAmount: -20,
+    originalCurrency: 'ILS',
+    installments: { number: 1, total: 2 }
+  }
+];
+
+describe('toCsvLine', () => {
+  it('quotes the values with separators, quotes and new lines', () => {
+    assert.equal(toCsvLine(['a', 'b,c', 'say "hi"', 'two\nlines', null, undefined, 0]), 'a,"b,c","say ""hi""","two\nlines",,,0');
+  });
+});
+
+describe('buildCsvExport', () => {
+  it('exports all the fields, the processed date can be missing', () => {
+    assert.equal(buildCsvExport(transactions), [
+      'date,processedDate,companyId,accountNumber,description,translatedDescription,memo,chargedAmount,originalAmount,originalCurrency,type,installmentNumber,installmentTotal,status,category,identifier,chargedCurrency,amountILS',
+      '2024-05-02,2024-05-03,hapoalim,12-345-678,משכורת,Salary,,10000.00,10000,ILS,normal,,,completed,,,ILS,10000.00',
+      '2024-03-10,2024-05-10,isracard,1234,AMAZON <US> & CO,,"Order ""42"", gift",-110.50,-30,USD,installments,2,3,completed,Shopping,777,ILS,-110.50',
+      '2024-05-12,,isracard,1234,Pending installment,,,-20.00,-20,ILS,installments,1,2,pending,,,ILS,-20.00'
+    ].join('\n'));
+  });
+});
+
+describe('buildYnabExport', () => {
+  it('exports the installments by the processed date and the translated payees', () => {
+    assert.equal(buildYnabExport(transactions, { translated: true }), [
+      'Date,Payee,Memo,Outflow,Inflow',
+      '2024-05-02,Salary,,,10000.00',
+      '2024-05-10,AMAZON <US> & CO,"Order ""42"", gift, Installment 2/3, -30 USD",110.50,',
+      '2024-05-12,Pending installment,Installment 1/2,20.00,'
+    ].join('\n'));
+  });
+});
+
+describe('buildOfxExport', () => {
+  it('exports the bank and credit card statements', () => {
+    const ofx = buildOfxExport(transactions, { translated: false }).replace(/<DTSERVER>\d{14}/, '<DTSERVER>20240520120000');
+
+    assert.equal(ofx, `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+SECURITY:NONE
+ENCODING:UTF-8
+CHARSET:NONE
+COMPRESSION:NONE
+OLDFILEUID:NONE
+NEWFILEUID:NONE
+
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<DTSERVER>20240520120000
+<LANGUAGE>ENG
+</SONRS>
+</SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<TRNUID>0
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<STMTRS>
+<CURDEF>ILS
+<BANKACCTFROM>
+<BANKID>hapoalim
+<ACCTID>12-345-678
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20240502
+<DTEND>20240502
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240502
+<DTUSER>20240502
+<TRNAMT>10000.00
+<FITID>a1
+<NAME>משכורת
+<MEMO>
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+<CREDITCARDMSGSRSV1>
+<CCSTMTTRNRS>
+<TRNUID>0
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<CCSTMTRS>
+<CURDEF>ILS
+<CCACCTFROM>
+<ACCTID>1234
+</CCACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20240510
+<DTEND>20240512
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240510
+<DTUSER>20240310
+<TRNAMT>-110.50
+<FITID>777
+<NAME>AMAZON &lt;US&gt; &amp; CO
+<MEMO>Order "42", gift, Installment 2/3, -30 USD
+<ORIGCURRENCY>
+<CURRATE>3.6833
+<CURSYM>USD
+</ORIGCURRENCY>
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240512
+<DTUSER>20240512
+<TRNAMT>-20.00
+<FITID>c3
+<NAME>Pending installment
+<MEMO>Installment 1/2
+</STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS>
+</CCSTMTTRNRS>
+</CREDITCARDMSGSRSV1>
+</OFX>
+`);
+  });
+});
+
+describe('buildQifExport', () => {
+  it('exports one section per account', () => {
+    assert.equal(buildQifExport(transactions, { translated: true }), `!Account
+Nhapoalim 12-345-678
+TBank
+^
+!Type:Bank
+D05/02/2024
+T10000.00
+PSalary
+C*
+^
+!Account
+Nisracard 1234
+TCCard
+^
+!Type:CCard
+D05/10/2024
+T-110.50
+PAMAZON <US> & CO
+MOrder "42", gift, Installment 2/3, -30 USD
+LShopping
+C*
+^
+D05/12/2024
+T-20.00
+PPending installment
+MInstallment 1/2
+^
+`);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHouseholdDebts, getSplitAmounts } from '../src/app.js';
+
+describe('getSplitAmounts', () => {
+  it('splits the expense by the shares of the members', () => {
+    const transaction = { chargedAmount: -300, split: { paidBy: 'alice', shares: { alice: 2, bob: 1 } } };
+
+    assert.deepEqual(getSplitAmounts(transaction), new Map([['alice', 200], ['bob', 100]]));
+  });
+
+  it('splits the amount in ILS rounded to agorot', () => {
+    const transaction = { chargedAmount: -10, amountILS: -37.12, split: { paidBy: 'alice', shares: { alice: 1, bob: 1, carol: 1 } } };
+
+    assert.deepEqual(getSplitAmounts(transaction), new Map([['alice', 12.37], ['bob', 12.37], ['carol', 12.37]]));
+  });
+
+  it('returns negative amounts for the refunds', () => {
+    const transaction = { chargedAmount: 100, split: { paidBy: 'alice', shares: { alice: 1, bob: 1 } } };
+
+    assert.deepEqual(getSplitAmounts(transaction), new Map([['alice', -50], ['bob', -50]]));
+  });
+});
+
+describe('getHouseholdDebts', () => {
+  it('pays the largest balances first', () => {
+    const balances = new Map([['alice', 150], ['bob', -100], ['carol', -50]]);
+
+    assert.deepEqual(getHouseholdDebts(balances), [
+      { from: 'bob', to: 'alice', amount: 100 },
+      { from: 'carol', to: 'alice', amount: 50 }
+    ]);
+  });
+
+  it('splits a debt between the creditors', () => {
+    const balances = new Map([['alice', 30], ['bob', 70], ['carol', -100]]);
+
+    assert.deepEqual(getHouseholdDebts(balances), [
+      { from: 'carol', to: 'bob', amount: 70 },
+      { from: 'carol', to: 'alice', amount: 30 }
+    ]);
+  });
+
+  it('ignores the balances below one agora', () => {
+    const balances = new Map([['alice', 0.004], ['bob', -0.004]]);
+
+    assert.deepEqual(getHouseholdDebts(balances), []);
+  });
+
+  it('rounds the amounts to agorot', () => {
+    const balances = new Map([['alice', 33.333], ['bob', -33.333]]);
+
+    assert.deepEqual(getHouseholdDebts(balances), [{ from: 'bob', to: 'alice', amount: 33.33 }]);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getInstallmentPlans } from '../src/app.js';
+
+const payment = (number, total, processedDate, fields = {}) => ({
+  userCode: 'user',
+  companyId: 'isracard',
+  accountNumber: '1111',
+  date: new Date('2024-01-15T10:00:00Z'),
+  processedDate: new Date(processedDate),
+  chargedAmount: -100,
+  description: 'IKEA',
+  installments: { number, total },
+  ...fields
+});
+
+describe('getInstallmentPlans', () => {
+  it('takes the paid count from the last charged payment and projects the payments after the last stored one', () => {
+    const transactions = [
+      payment(3, 6, '2024-03-10T10:00:00Z'),
+      payment(4, 6, '2024-04-10T10:00:00Z')
+    ];
+    const [plan] = getInstallmentPlans(transactions, new Date('2024-04-01T10:00:00Z'));
+
+    assert.equal(plan.count, 6);
+    assert.equal(plan.paidCount, 3);
+    assert.equal(plan.remainingCount, 3);
+    assert.equal(plan.paymentAmount, 100);
+    assert.equal(plan.paidAmount, 300);
+    assert.equal(plan.remainingAmount, 300);
+    assert.equal(plan.totalAmount, 600);
+    assert.deepEqual(plan.nextChargeDate, new Date('2024-04-10T10:00:00Z'));
+    assert.deepEqual(plan.schedule, [
+      { number: 4, date: new Date('2024-04-10T10:00:00Z'), amount: 100 },
+      { number: 5, date: new Date('2024-05-10T10:00:00Z'), amount: 100 },
+      { number: 6, date: new Date('2024-06-10T10:00:00Z'), amount: 100 }
+    ]);
+  });
+
+  it('groups the payments by purchase and sorts the plans by the next charge, the finished ones last', () => {
+    const transactions = [
+      payment(2, 2, '2024-02-10T10:00:00Z', { description: 'Finished' }),
+      payment(1, 3, '2024-05-10T10:00:00Z', { description: 'Later' }),
+      payment(2, 3, '2024-04-10T10:00:00Z', { description: 'Sooner', translatedDescription: 'Sooner translated' })
+    ];
+    const plans = getInstallmentPlans(transactions, new Date('2024-04-01T10:00:00Z'));
+
+    assert.deepEqual(plans.map(plan => plan.description), ['Sooner translated', 'Later', 'Finished']);
+    assert.equal(plans[2].nextChargeDate, null);
+    assert.equal(plans[2].remainingCount, 0);
+    assert.equal(plans[2].paidAmount, 200);
+  });
+
+  it('ignores the transactions without installments', () => {
+    const transactions = [
+      payment(1, 1, '2024-04-10T10:00:00Z'),
+      { ...payment(1, 1, '2024-04-10T10:00:00Z'), installments: undefined }
+    ];
+
+    assert.deepEqual(getInstallmentPlans(transactions, new Date('2024-04-01T10:00:00Z')), []);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// The plugins and the storage are configured on import
+const directory = await mkdtemp(path.join(tmpdir(), 'shekel-streamer-'));
+const pluginPaths = {
+  first: path.join(directory, 'first.mjs'),
+  broken: path.join(directory, 'broken.mjs'),
+  second: path.join(directory, 'second.mjs')
+};
+
+await writeFile(pluginPaths.first, `export default {
+  name: 'first',
+  stages: {
+    map: transaction => ({ memo: 'first' }),
+    categorize: transaction => { throw new Error('Stage failed'); }
+  },
+  on: {
+    'transaction:new': () => { throw new Error('Handler failed'); }
+  }
+};
+`);
+await writeFile(pluginPaths.broken, `throw new Error('Module failed');
+`);
+await writeFile(pluginPaths.second, `export const stages = {
+  map: transaction => { transaction.memo += '|second'; },
+  dedupe: transaction => transaction.description === 'Drop' ? null : undefined,
+  categorize: transaction => ({ category: 'From plugin' })
+};
+export const on = {
+  'transaction:new': (transaction, context) => { globalThis.pluginEvents.push([context.event, transaction.description]); },
+  'sync:done': () => {}
+};
+`);
+
+globalThis.pluginEvents = [];
+process.env.PLUGINS = Object.values(pluginPaths).join(', ');
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { withCollection, loadPlugins, runPipelineStage, emitPluginEvent, handleScrapedAccounts } = await import('../src/app.js');
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+const context = { taskKey: 'user_hapoalim', user: 'user', companyId: 'hapoalim', isSilent: true };
+
+describe('loadPlugins', () => {
+  it('loads the default and the named exports in the given order, skipping the modules failing to load', async () => {
+    const plugins = await loadPlugins(process.env.PLUGINS);
+
+    assert.deepEqual(plugins.map(plugin => plugin.name), ['first', 'second.mjs']);
+    assert.deepEqual(Object.keys(plugins[1].stages), ['map', 'dedupe', 'categorize']);
+    assert.deepEqual(await loadPlugins(undefined), []);
+  });
+});
+
+describe('runPipelineStage', () => {
+  it('runs the plugins in the PLUGINS order', async () => {
+    const transactions = [{ description: 'Coffee' }, { description: 'Lunch' }];
+    const kept = await runPipelineStage('map', transactions, context);
+
+    assert.equal(kept[0], transactions[0]);
+    assert.deepEqual(kept.map(transaction => transaction.memo), ['first|second', 'first|second']);
+  });
+
+  it('drops the transactions the plugin returns null for', async () => {
+    const kept = await runPipelineStage('dedupe', [{ description: 'Keep' }, { description: 'Drop' }], context);
+
+    assert.deepEqual(kept.map(transaction => transaction.description), ['Keep']);
+  });
+
+  it('keeps the transaction as is when the plugin throws, and runs the next plugins', async () => {
+    const kept = await runPipelineStage('categorize', [{ description: 'Coffee', category: null }], context);
+
+    assert.deepEqual(kept, [{ description: 'Coffee', category: 'From plugin' }]);
+  });
+
+  it('returns the transactions when no plugin has the stage', async () => {
+    const transactions = [{ description: 'Coffee' }];
+
+    assert.equal((await runPipelineStage('translate', transactions, context))[0], transactions[0]);
+  });
+});
+
+describe('emitPluginEvent', () => {
+  it('calls the next handlers when a handler throws', async () => {
+    globalThis.pluginEvents = [];
+    await emitPluginEvent('transaction:new', { description: 'Coffee' }, context);
+
+    assert.deepEqual(globalThis.pluginEvents, [['transaction:new', 'Coffee']]);
+  });
+});
+
+describe('handleScrapedAccounts', () => {
+  it('saves the transactions when the plugins throw', async () => {
+    globalThis.pluginEvents = [];
+    const txn = description => ({
+      date: '2024-05-01T00:00:00.000Z', processedDate: '2024-05-02T00:00:00.000Z', description, memo: null,
+      originalAmount: -10, originalCurrency: 'ILS', chargedAmount: -10, type: 'normal', status: 'completed'
+    });
+    const task = { taskKey: 'user_hapoalim', user: 'user', companyId: 'hapoalim', chatId: 1, destinations: [] };
+
+    const result = await handleScrapedAccounts(task, [{ accountNumber: '123', balance: 100, txns: [txn('Coffee'), txn('Drop')] }], true);
+
+    assert.deepEqual(result, { success: true, new: 1, updated: 0, translationCalls: 0 });
+    assert.deepEqual(globalThis.pluginEvents, [['transaction:new', 'Coffee']]);
+    const saved = await withCollection('transactions', collection => collection.find({ userCode: 'user' }).toArray());
+    assert.deepEqual(saved.map(({ description, memo, category }) => ({ description, memo, category })), [
+      { description: 'Coffee', memo: 'first|second', category: 'From plugin' }
+    ]);
+  });
+});
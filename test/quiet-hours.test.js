@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { parseQuietHours, getQuietHoursEnd } from '../src/app.js';
+
+// DEFAULT_TIMEZONE is Asia/Jerusalem
+const at = time => DateTime.fromISO(time, { zone: 'Asia/Jerusalem' });
+
+describe('parseQuietHours', () => {
+  it('parses the start and end times', () => {
+    assert.deepEqual(parseQuietHours('23:00-07:00'), { start: [23, 0], end: [7, 0] });
+    assert.deepEqual(parseQuietHours(' 9:15 - 13:45 '), { start: [9, 15], end: [13, 45] });
+  });
+
+  it('rejects the invalid format, times and the start equal to the end', () => {
+    assert.equal(parseQuietHours('23:00'), null);
+    assert.equal(parseQuietHours('23-07'), null);
+    assert.equal(parseQuietHours('24:00-07:00'), null);
+    assert.equal(parseQuietHours('23:00-07:60'), null);
+    assert.equal(parseQuietHours('07:00-07:00'), null);
+  });
+});
+
+describe('getQuietHoursEnd', () => {
+  it('returns the end within one day quiet hours', () => {
+    assert.equal(getQuietHoursEnd('13:00-15:00', at('2024-05-01T13:00'))?.toISO(), at('2024-05-01T15:00').toISO());
+    assert.equal(getQuietHoursEnd('13:00-15:00', at('2024-05-01T14:59'))?.toISO(), at('2024-05-01T15:00').toISO());
+    assert.equal(getQuietHoursEnd('13:00-15:00', at('2024-05-01T12:59')), null);
+    assert.equal(getQuietHoursEnd('13:00-15:00', at('2024-05-01T15:00')), null);
+  });
+
+  it('returns the end of the next day for the quiet hours over midnight', () => {
+    assert.equal(getQuietHoursEnd('23:00-07:00', at('2024-05-01T23:30'))?.toISO(), at('2024-05-02T07:00').toISO());
+    assert.equal(getQuietHoursEnd('23:00-07:00', at('2024-05-02T06:30'))?.toISO(), at('2024-05-02T07:00').toISO());
+    assert.equal(getQuietHoursEnd('23:00-07:00', at('2024-05-02T07:00')), null);
+    assert.equal(getQuietHoursEnd('23:00-07:00', at('2024-05-01T22:59')), null);
+  });
+
+  it('uses the time in the default timezone', () => {
+    const end = getQuietHoursEnd('23:00-07:00', DateTime.fromISO('2024-05-01T20:30:00Z'));
+
+    assert.equal(end?.toUTC().toISO(), '2024-05-02T04:00:00.000Z');
+  });
+
+  it('ends at the local end time over the DST changes', () => {
+    // The clocks are moved forward on 2024-03-29 at 02:00 and back on 2024-10-27 at 02:00
+    const springEnd = getQuietHoursEnd('23:00-07:00', at('2024-03-28T23:30'));
+    assert.equal(springEnd?.toISO(), '2024-03-29T07:00:00.000+03:00');
+    assert.equal(springEnd.diff(at('2024-03-28T23:30'), 'hours').hours, 6.5);
+
+    const autumnEnd = getQuietHoursEnd('23:00-07:00', at('2024-10-26T23:30'));
+    assert.equal(autumnEnd?.toISO(), '2024-10-27T07:00:00.000+02:00');
+    assert.equal(autumnEnd.diff(at('2024-10-26T23:30'), 'hours').hours, 8.5);
+  });
+
+  it('starts the quiet hours when the start time is skipped by the DST change', () => {
+    assert.equal(getQuietHoursEnd('02:30-07:00', at('2024-03-29T03:15'))?.toISO(), '2024-03-29T07:00:00.000+03:00');
+  });
+
+  it('returns null without valid quiet hours', () => {
+    assert.equal(getQuietHoursEnd(null, at('2024-05-01T23:30')), null);
+    assert.equal(getQuietHoursEnd('07:00-07:00', at('2024-05-01T07:00')), null);
+    assert.equal(getQuietHoursEnd('invalid', at('2024-05-01T23:30')), null);
+  });
+});
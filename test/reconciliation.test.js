@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileCardBills, reconcileTransfers } from '../src/app.js';
+
+const transaction = fields => ({
+  userCode: 'user',
+  status: 'completed',
+  originalCurrency: 'ILS',
+  chargedCurrency: 'ILS',
+  ...fields,
+  originalAmount: fields.chargedAmount
+});
+
+describe('reconcileCardBills', () => {
+  const cardTransactions = [
+    transaction({ companyId: 'isracard', accountNumber: '1111', date: new Date('2024-04-05'), processedDate: new Date('2024-05-02'), chargedAmount: -100 }),
+    transaction({ companyId: 'isracard', accountNumber: '1111', date: new Date('2024-04-12'), processedDate: new Date('2024-05-02'), chargedAmount: -50.5 }),
+    transaction({ companyId: 'isracard', accountNumber: '2222', date: new Date('2024-04-20'), processedDate: new Date('2024-05-02'), chargedAmount: -20 })
+  ];
+
+  it('matches the bill to all the cards of the billing cycle', () => {
+    const bill = transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-03'), chargedAmount: -170.5, description: 'ישראכרט' });
+    const reconciliation = reconcileCardBills([...cardTransactions, bill]).get(bill);
+
+    assert.equal(reconciliation.status, 'matched');
+    assert.equal(reconciliation.companyId, 'isracard');
+    assert.equal(reconciliation.cycleDate, '2024-05-02');
+    assert.deepEqual(reconciliation.accountNumbers, ['1111', '2222']);
+    assert.equal(reconciliation.cardTotal, -170.5);
+    assert.equal(reconciliation.difference, 0);
+  });
+
+  it('matches the bill to one card', () => {
+    const bill = transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-02'), chargedAmount: -150, description: 'ISRACARD' });
+    const reconciliation = reconcileCardBills([...cardTransactions, bill]).get(bill);
+
+    assert.equal(reconciliation.status, 'matched');
+    assert.deepEqual(reconciliation.accountNumbers, ['1111']);
+    assert.equal(reconciliation.difference, 0.5);
+  });
+
+  it('reports the difference of an unmatched bill', () => {
+    const bill = transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-03'), chargedAmount: -250, description: 'ישראכרט' });
+    const reconciliation = reconcileCardBills([...cardTransactions, bill]).get(bill);
+
+    assert.equal(reconciliation.status, 'unmatched');
+    assert.equal(reconciliation.difference, -79.5);
+  });
+
+  it('leaves the bills of the cycles further than 5 days as unmatched', () => {
+    const bill = transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-10'), chargedAmount: -170.5, description: 'ישראכרט' });
+    const reconciliation = reconcileCardBills([...cardTransactions, bill]).get(bill);
+
+    assert.equal(reconciliation.status, 'unmatched');
+    assert.equal(reconciliation.cycleDate, null);
+  });
+
+  it('matches each cycle to one bill only', () => {
+    const bills = ['2024-05-02', '2024-05-03'].map(date =>
+      transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date(date), chargedAmount: -170.5, description: 'ישראכרט' }));
+    const reconciliations = reconcileCardBills([...cardTransactions, ...bills]);
+
+    assert.deepEqual(bills.map(bill => reconciliations.get(bill).status), ['matched', 'unmatched']);
+  });
+
+  it('ignores the bills of the card companies without scraped transactions and the pending card transactions', () => {
+    const pending = transaction({ companyId: 'max', accountNumber: '3333', date: new Date('2024-04-20'), processedDate: new Date('2024-05-02'), chargedAmount: -80, status: 'pending' });
+    const bill = transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-02'), chargedAmount: -80, description: 'מקס איט פיננ' });
+
+    assert.equal(reconcileCardBills([...cardTransactions, pending, bill]).has(bill), false);
+  });
+});
+
+describe('reconcileTransfers', () => {
+  it('matches an expense and an income of the same amount in different accounts', () => {
+    const expense = transaction({ _id: 'expense', companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-01'), chargedAmount: -1000, description: 'העברה לחשבון' });
+    const income = transaction({ _id: 'income', companyId: 'leumi', accountNumber: '7', date: new Date('2024-05-03'), chargedAmount: 1000, description: 'זיכוי' });
+    const reconciliations = reconcileTransfers([expense, income]);
+
+    assert.deepEqual(reconciliations.get(expense), { type: 'transfer', status: 'matched', counterpartId: 'income' });
+    assert.deepEqual(reconciliations.get(income), { type: 'transfer', status: 'matched', counterpartId: 'expense' });
+  });
+
+  it('requires one of the transactions to be described as a transfer', () => {
+    const expense = transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-01'), chargedAmount: -1000, description: 'שיק' });
+    const income = transaction({ companyId: 'leumi', accountNumber: '7', date: new Date('2024-05-01'), chargedAmount: 1000, description: 'זיכוי' });
+
+    assert.equal(reconcileTransfers([expense, income]).size, 0);
+  });
+
+  it('ignores the transactions of the same account, further than 3 days or of different amounts', () => {
+    const expense = transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-01'), chargedAmount: -1000, description: 'Transfer' });
+    const incomes = [
+      transaction({ companyId: 'hapoalim', accountNumber: '9', date: new Date('2024-05-01'), chargedAmount: 1000 }),
+      transaction({ companyId: 'leumi', accountNumber: '7', date: new Date('2024-05-05'), chargedAmount: 1000 }),
+      transaction({ companyId: 'leumi', accountNumber: '7', date: new Date('2024-05-01'), chargedAmount: 999 })
+    ];
+
+    assert.equal(reconcileTransfers([expense, ...incomes]).size, 0);
+  });
+
+  it('matches each income to the closest expense once', () => {
+    const expenses = ['2024-05-01', '2024-05-03'].map((date, i) =>
+      transaction({ _id: `expense${i}`, companyId: 'hapoalim', accountNumber: '9', date: new Date(date), chargedAmount: -500, description: 'העברה' }));
+    const incomes = ['2024-05-03', '2024-05-01'].map((date, i) =>
+      transaction({ _id: `income${i}`, companyId: 'leumi', accountNumber: '7', date: new Date(date), chargedAmount: 500 }));
+    const reconciliations = reconcileTransfers([...expenses, ...incomes]);
+
+    assert.equal(reconciliations.get(expenses[0]).counterpartId, 'income1');
+    assert.equal(reconciliations.get(expenses[1]).counterpartId, 'income0');
+  });
+});
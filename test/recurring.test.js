@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectRecurringCharges } from '../src/app.js';
+
+const charge = (date, chargedAmount = -49.9, fields = {}) => ({
+  userCode: 'user',
+  companyId: 'isracard',
+  accountNumber: '1111',
+  date: new Date(`${date}T10:00:00Z`),
+  chargedAmount,
+  description: 'NETFLIX.COM 1234',
+  ...fields
+});
+
+describe('detectRecurringCharges', () => {
+  it('detects monthly charges with the expected next charge', () => {
+    const transactions = [
+      charge('2024-03-05'),
+      charge('2024-04-05'),
+      charge('2024-05-05', -49.9, { _id: 'last', processedDate: new Date('2024-05-15T10:00:00Z') })
+    ];
+    const [recurring] = detectRecurringCharges(transactions);
+
+    assert.equal(recurring.interval, 'monthly');
+    assert.equal(recurring.merchant, 'netflix com');
+    assert.equal(recurring.amount, 49.9);
+    assert.equal(recurring.isAmountChanged, false);
+    assert.equal(recurring.lastTransactionId, 'last');
+    assert.deepEqual(recurring.nextDate, new Date('2024-06-05T10:00:00Z'));
+    assert.deepEqual(recurring.nextChargeDate, new Date('2024-06-15T10:00:00Z'));
+  });
+
+  it('detects weekly charges', () => {
+    const transactions = ['2024-05-01', '2024-05-08', '2024-05-14'].map(date => charge(date, -30, { description: 'Pango' }));
+    const [recurring] = detectRecurringCharges(transactions);
+
+    assert.equal(recurring.interval, 'weekly');
+  });
+
+  it('marks the changed last amount', () => {
+    const transactions = [charge('2024-03-05'), charge('2024-04-05'), charge('2024-05-05', -54.9)];
+    const [recurring] = detectRecurringCharges(transactions);
+
+    assert.equal(recurring.isAmountChanged, true);
+    assert.equal(recurring.amount, 54.9);
+    assert.equal(recurring.previousAmount, 49.9);
+  });
+
+  it('groups the charges by the original description, the translation is for display only', () => {
+    const transactions = [
+      charge('2024-03-05', -49.9, { translatedDescription: 'Netflix' }),
+      charge('2024-04-05'),
+      charge('2024-05-05', -49.9, { translatedDescription: 'Netflix streaming' })
+    ];
+    const recurring = detectRecurringCharges(transactions);
+
+    assert.equal(recurring.length, 1);
+    assert.equal(recurring[0].description, 'Netflix streaming');
+  });
+
+  it('ignores the irregular intervals, the different earlier amounts and too few charges', () => {
+    assert.deepEqual(detectRecurringCharges([charge('2024-03-05'), charge('2024-03-20'), charge('2024-05-05')]), []);
+    assert.deepEqual(detectRecurringCharges([charge('2024-03-05', -20), charge('2024-04-05'), charge('2024-05-05')]), []);
+    assert.deepEqual(detectRecurringCharges([charge('2024-04-05'), charge('2024-05-05')]), []);
+  });
+
+  it('ignores the incomes, the installments, the excluded transactions and the card bills', () => {
+    const dates = ['2024-03-05', '2024-04-05', '2024-05-05'];
+    const transactions = [
+      ...dates.map(date => charge(date, 49.9)),
+      ...dates.map(date => charge(date, -100, { description: 'IKEA', installments: { number: 1, total: 3 } })),
+      ...dates.map(date => charge(date, -500, { description: 'Transfer', excludeFromTotals: true })),
+      ...dates.map(date => charge(date, -2000, { companyId: 'hapoalim', accountNumber: '9', description: 'ישראכרט' }))
+    ];
+
+    assert.deepEqual(detectRecurringCharges(transactions), []);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatChange } from '../src/app.js';
+
+describe('formatChange', () => {
+  it('formats the growth of the expenses by absolute values', () => {
+    assert.equal(formatChange(-1120, -1000), '+12%');
+  });
+
+  it('formats the decrease', () => {
+    assert.equal(formatChange(800, 1000), '-20%');
+  });
+
+  it('formats no change', () => {
+    assert.equal(formatChange(-1000, -1000), '0%');
+  });
+
+  it('returns n/a without the previous amount', () => {
+    assert.equal(formatChange(-1000, 0), 'n/a');
+    assert.equal(formatChange(-1000, undefined), 'n/a');
+  });
+});
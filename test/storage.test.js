@@ -0,0 +1,243 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+// The storage is configured on import
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const {
+  withCollection,
+  getChatTransactionsFilter,
+  getApiTransactions,
+  reconcileTransactions,
+  assignTransactionKeys,
+  getExistingTransactions,
+  saveOrUpdateTransactions,
+  migrateFromMongoDB
+} = await import('../src/app.js');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const transaction = fields => ({
+  type: 'normal',
+  status: 'completed',
+  originalCurrency: 'ILS',
+  chargedCurrency: 'ILS',
+  ...fields,
+  originalAmount: fields.chargedAmount
+});
+
+const find = (collectionName, filter, sort = { _id: 1 }) =>
+  withCollection(collectionName, collection => collection.find(filter).sort(sort).toArray());
+
+describe('SQL storage queries', () => {
+  const docs = [
+    { _id: 'a', userCode: 'query', companyId: 'hapoalim', date: new Date('2024-05-01'), amount: 10, tags: ['food'], note: 'Coffee' },
+    { _id: 'b', userCode: 'query', companyId: 'leumi', date: new Date('2024-05-02'), amount: 20, tags: ['home', 'food'] },
+    { _id: 'c', userCode: 'query', companyId: 'isracard', date: new Date('2024-05-03'), amount: 30, note: null },
+    { _id: 'd', userCode: 'other', companyId: 'hapoalim', date: new Date('2024-05-04'), amount: 40 }
+  ];
+  const ids = async filter => (await find('queries', filter)).map(doc => doc._id);
+
+  it('inserts the documents and finds them by ID and the indexed fields', async () => {
+    await withCollection('queries', collection => collection.insertMany(structuredClone(docs)));
+
+    assert.deepEqual(await ids({ _id: 'b' }), ['b']);
+    assert.deepEqual(await ids({ _id: { $in: ['a', 'c', 'x'] } }), ['a', 'c']);
+    assert.deepEqual(await ids({ userCode: 'query', companyId: { $in: ['hapoalim', 'leumi'] } }), ['a', 'b']);
+    assert.deepEqual(await ids({ date: { $gte: new Date('2024-05-02'), $lte: new Date('2024-05-03') } }), ['b', 'c']);
+  });
+
+  it('applies $and, $or, $ne, $nin, $exists and regex', async () => {
+    assert.deepEqual(await ids({ $and: [{ userCode: 'query' }, { $or: [{ amount: { $gt: 25 } }, { tags: 'home' }] }] }), ['b', 'c']);
+    assert.deepEqual(await ids({ userCode: 'query', companyId: { $ne: 'leumi' } }), ['a', 'c']);
+    assert.deepEqual(await ids({ companyId: { $nin: ['leumi', 'isracard'] } }), ['a', 'd']);
+    assert.deepEqual(await ids({ note: { $exists: true } }), ['a', 'c']);
+    assert.deepEqual(await ids({ note: { $exists: false } }), ['b', 'd']);
+    assert.deepEqual(await ids({ note: /coffee/i }), ['a']);
+    assert.deepEqual(await ids({ tags: { $in: ['food'] }, amount: { $lte: 10 } }), ['a']);
+  });
+
+  it('sorts, skips, limits and counts', async () => {
+    const found = await withCollection('queries', collection => collection.find({}).sort({ date: -1 }).skip(1).limit(2).toArray());
+
+    assert.deepEqual(found.map(doc => doc._id), ['c', 'b']);
+    assert.equal(await withCollection('queries', collection => collection.countDocuments({ userCode: 'query' })), 3);
+  });
+
+  it('projects the included fields after sorting', async () => {
+    const found = await withCollection('queries', collection =>
+      collection.find({ userCode: 'query' }, { projection: { _id: 0, companyId: 1, note: 1 } }).sort({ amount: -1 }).toArray());
+
+    assert.deepEqual(found, [{ companyId: 'isracard', note: null }, { companyId: 'leumi' }, { companyId: 'hapoalim', note: 'Coffee' }]);
+  });
+
+  it('applies $set, $unset, $push and $currentDate', async () => {
+    const result = await withCollection('queries', collection => collection.updateOne({ _id: 'a' }, {
+      $set: { 'category.name': 'Cafe' },
+      $unset: { note: '' },
+      $push: { history: { changedAt: new Date('2024-05-05') } },
+      $currentDate: { updatedAt: true }
+    }));
+    const [doc] = await find('queries', { _id: 'a' });
+
+    assert.equal(result.matchedCount, 1);
+    assert.deepEqual(doc.category, { name: 'Cafe' });
+    assert.equal('note' in doc, false);
+    assert.deepEqual(doc.history, [{ changedAt: new Date('2024-05-05') }]);
+    assert.ok(doc.updatedAt instanceof Date);
+  });
+
+  it('inserts the document by upsert with the filter fields', async () => {
+    const result = await withCollection('queries', collection =>
+      collection.updateOne({ _id: 'e', userCode: 'query' }, { $set: { amount: 50 }, $setOnInsert: { createdAt: new Date('2024-05-06') } }, { upsert: true }));
+    const [doc] = await find('queries', { _id: 'e' });
+
+    assert.equal(result.upsertedId, 'e');
+    assert.deepEqual(doc, { _id: 'e', userCode: 'query', amount: 50, createdAt: new Date('2024-05-06') });
+    assert.deepEqual(await ids({ userCode: 'query', amount: { $gte: 50 } }), ['e']);
+  });
+
+  it('runs the bulk write operations in order and stops on duplicate key', async () => {
+    const operations = [
+      { insertOne: { document: { _id: 'f', userCode: 'bulk' } } },
+      { updateOne: { filter: { _id: 'f' }, update: { $set: { amount: 60 } } } },
+      { insertOne: { document: { _id: 'f', userCode: 'bulk' } } },
+      { deleteOne: { filter: { _id: 'f' } } }
+    ];
+
+    await assert.rejects(withCollection('queries', collection => collection.bulkWrite(operations)), { code: 11000 });
+    assert.deepEqual(await find('queries', { userCode: 'bulk' }), [{ _id: 'f', userCode: 'bulk', amount: 60 }]);
+  });
+
+  it('deletes the matching documents', async () => {
+    const result = await withCollection('queries', collection => collection.deleteMany({ userCode: 'query', amount: { $gte: 30 } }));
+
+    assert.equal(result.deletedCount, 2);
+    assert.deepEqual(await ids({ userCode: 'query' }), ['a', 'b']);
+  });
+});
+
+describe('SQL storage with the app queries', () => {
+  it('finds the transactions of the chat and the shared accounts of the household chat', async () => {
+    await withCollection('transactions', collection => collection.insertMany([
+      transaction({ userCode: 'chat1', chatId: '100', companyId: 'hapoalim', accountNumber: '1', date: daysAgo(1), chargedAmount: -10, description: 'Own' }),
+      transaction({ userCode: 'chat1', chatId: '200', companyId: 'hapoalim', accountNumber: '1', date: daysAgo(1), chargedAmount: -20, description: 'Other chat' }),
+      transaction({ userCode: 'chat2', chatId: '300', companyId: 'leumi', accountNumber: '7', date: daysAgo(1), chargedAmount: -30, description: 'Shared' }),
+      transaction({ userCode: 'chat2', chatId: '300', companyId: 'leumi', accountNumber: '8', date: daysAgo(1), chargedAmount: -40, description: 'Private' })
+    ]));
+
+    const chatFilter = getChatTransactionsFilter([{ user: 'chat1', chatId: '100', companyId: 'hapoalim' }]);
+    const householdFilter = getChatTransactionsFilter([{ user: 'chat2', companyId: 'leumi', visibility: { '*': 'private', 7: 'shared' }, isHouseholdView: true }]);
+
+    assert.deepEqual((await find('transactions', chatFilter)).map(doc => doc.description), ['Own']);
+    assert.deepEqual((await find('transactions', householdFilter)).map(doc => doc.description), ['Shared']);
+  });
+
+  it('finds the API transactions by dates, company and search, paginated', async () => {
+    await withCollection('transactions', collection => collection.insertMany([
+      transaction({ userCode: 'api', companyId: 'hapoalim', accountNumber: '1', date: new Date('2024-05-01T10:00:00Z'), chargedAmount: -10, description: 'Shufersal Deal' }),
+      transaction({ userCode: 'api', companyId: 'hapoalim', accountNumber: '1', date: new Date('2024-05-02T10:00:00Z'), chargedAmount: -20, description: 'Wolt', memo: 'SHUFERSAL online' }),
+      transaction({ userCode: 'api', companyId: 'leumi', accountNumber: '7', date: new Date('2024-05-03T10:00:00Z'), chargedAmount: -30, description: 'Shufersal' }),
+      transaction({ userCode: 'api', companyId: 'hapoalim', accountNumber: '1', date: new Date('2024-06-01T10:00:00Z'), chargedAmount: -40, description: 'Shufersal' })
+    ]));
+
+    const params = new URLSearchParams({ from: '2024-05-01', to: '2024-05-31', company: 'hapoalim', search: 'shufersal', limit: '1' });
+    const page = await getApiTransactions({ userCode: 'api' }, params);
+    params.set('offset', '1');
+    const nextPage = await getApiTransactions({ userCode: 'api' }, params);
+
+    assert.equal(page.total, 2);
+    assert.deepEqual(page.items.map(item => item.description), ['Wolt']);
+    assert.deepEqual(nextPage.items.map(item => item.description), ['Shufersal Deal']);
+  });
+
+  it('saves the reconciliation of the recent transactions and removes it when not matched anymore', async () => {
+    await withCollection('transactions', collection => collection.insertMany([
+      transaction({ userCode: 'reconcile', companyId: 'isracard', accountNumber: '1111', date: daysAgo(30), processedDate: daysAgo(10), chargedAmount: -100, description: 'Card' }),
+      transaction({ userCode: 'reconcile', companyId: 'hapoalim', accountNumber: '9', date: daysAgo(9), chargedAmount: -100, description: 'ישראכרט' }),
+      transaction({ userCode: 'reconcile', companyId: 'hapoalim', accountNumber: '9', date: daysAgo(100), chargedAmount: -100, description: 'ישראכרט', reconciliation: { status: 'matched' } })
+    ]));
+    const tasks = [{ user: 'reconcile', companyId: 'hapoalim' }];
+
+    await reconcileTransactions(tasks, true);
+    const [bill] = await find('transactions', { userCode: 'reconcile', description: 'ישראכרט', date: { $gte: daysAgo(20) } });
+
+    assert.equal(bill.reconciliation.status, 'matched');
+    assert.equal(bill.excludeFromTotals, true);
+
+    await withCollection('transactions', collection => collection.deleteOne({ userCode: 'reconcile', description: 'Card' }));
+    await reconcileTransactions(tasks, true);
+    const bills = await find('transactions', { userCode: 'reconcile', description: 'ישראכרט' }, { date: -1 });
+
+    assert.equal(bills[0].reconciliation, undefined);
+    assert.equal(bills[0].excludeFromTotals, undefined);
+    assert.deepEqual(bills[1].reconciliation, { status: 'matched' }, 'the transactions before RECONCILIATION_DAYS are left as is');
+  });
+
+  it('matches the scraped transactions by key, as saved before the keys and as pending, and saves them with one bulk write', async () => {
+    const scraped = (fields = {}) => transaction({ userCode: 'sync', companyId: 'isracard', accountNumber: '1111', ...fields });
+    const [fiveDaysAgo, twoDaysAgo, dayAgo] = [daysAgo(5), daysAgo(2), daysAgo(1)];
+    const legacyId = new ObjectId();
+    await withCollection('transactions', collection => collection.insertMany([
+      { ...scraped({ date: fiveDaysAgo, chargedAmount: -10, description: 'Legacy' }), _id: legacyId },
+      { ...scraped({ date: twoDaysAgo, chargedAmount: -50, description: 'PENDING SHOP', status: 'pending' }), transactionKey: 'old pending key' }
+    ]));
+
+    const first = [scraped({ date: fiveDaysAgo, chargedAmount: -10, description: 'Legacy' }), scraped({ date: dayAgo, chargedAmount: -20, description: 'New', identifier: 1 })];
+    assignTransactionKeys(first);
+    const firstExisting = await getExistingTransactions(first);
+
+    assert.deepEqual(await saveOrUpdateTransactions(first, firstExisting), [false, true]);
+    assert.equal(String(first[0]._id), String(legacyId));
+
+    const second = [
+      scraped({ date: fiveDaysAgo, chargedAmount: -10, description: 'Legacy' }),
+      scraped({ date: dayAgo, chargedAmount: -20, description: 'New, renamed', identifier: 1 }),
+      scraped({ date: twoDaysAgo, chargedAmount: -55, description: 'PENDING SHOP' })
+    ];
+    assignTransactionKeys(second);
+    const secondExisting = await getExistingTransactions(second);
+
+    assert.deepEqual(await saveOrUpdateTransactions(second, secondExisting), [false, false, false]);
+
+    const stored = await find('transactions', { userCode: 'sync' }, { date: 1 });
+    assert.deepEqual(stored.map(doc => [doc.description, doc.chargedAmount, doc.status]), [
+      ['Legacy', -10, 'completed'],
+      ['PENDING SHOP', -55, 'completed'],
+      ['New, renamed', -20, 'completed']
+    ]);
+    assert.ok(stored.every(doc => doc.transactionKey !== 'old pending key'));
+    assert.deepEqual(stored[1].history.map(entry => Object.keys(entry.changes)), [['originalAmount', 'chargedAmount', 'status']]);
+    assert.deepEqual(stored[2].history.map(entry => entry.changes.description), [{ from: 'New', to: 'New, renamed' }]);
+    assert.ok(stored.every(doc => doc.createdAt instanceof Date || doc.updatedAt instanceof Date));
+  });
+});
+
+describe('migrateFromMongoDB', () => {
+  // MongoDB storage with the withDatabase interface of createMongoStorage over the documents in memory
+  const createSource = collections => ({
+    withDatabase: callback => callback({
+      listCollections: () => ({ toArray: async () => Object.keys(collections).map(name => ({ name })) }),
+      collection: name => ({ find: () => collections[name] })
+    })
+  });
+
+  it('copies the collections and skips the copied documents when run again', async () => {
+    const source = createSource({
+      migrated: [{ _id: new ObjectId(), date: new Date('2024-05-01'), userCode: 'migrate' }, { _id: 'second', userCode: 'migrate' }],
+      'system.views': [{ _id: 'view' }]
+    });
+
+    await migrateFromMongoDB(source);
+    await withCollection('migrated', collection => collection.updateOne({ _id: 'second' }, { $set: { amount: 1 } }));
+    await migrateFromMongoDB(source);
+
+    const docs = await find('migrated', {}, { userCode: 1, date: -1 });
+    assert.equal(docs.length, 2);
+    assert.ok(docs[0]._id instanceof ObjectId);
+    assert.deepEqual(docs[0].date, new Date('2024-05-01'));
+    assert.equal(docs[1].amount, 1, 'the copied documents are not replaced');
+  });
+});
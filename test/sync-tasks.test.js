@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+// The storage is configured on import
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { withCollection, getTransactionSyncTasksFromJSON, migrateSyncRunTaskKeys } = await import('../src/app.js');
+
+process.env.USERS_JSON = JSON.stringify([
+  {
+    userName: 'alice',
+    telegramChannelId: '1',
+    companies: [
+      { companyName: 'hapoalim', userCode: 'AB123', password: 'secret' },
+      { companyName: 'isracard', id: '1', card6Digits: '123456', password: 'secret' },
+      { companyName: 'isracard', id: '2', card6Digits: '654321', password: 'secret' }
+    ]
+  },
+  {
+    userName: 'bob',
+    telegramChannelId: '2',
+    companies: [{ companyName: 'hapoalim', userCode: 'CD456', password: 'secret' }]
+  }
+]);
+
+describe('getTransactionSyncTasksFromJSON', () => {
+  it('keys the tasks by user and company, with the previous key by position', () => {
+    const tasks = getTransactionSyncTasksFromJSON();
+
+    assert.deepEqual(tasks.map(task => [task.taskKey, task.previousTaskKey]), [
+      ['alice_hapoalim', 'user_0_company_0'],
+      ['alice_isracard', 'user_0_company_1'],
+      ['alice_isracard_2', 'user_0_company_2'],
+      ['bob_hapoalim', 'user_1_company_0']
+    ]);
+  });
+});
+
+describe('migrateSyncRunTaskKeys', () => {
+  it('moves the sync runs of the same user and company to the current key', async () => {
+    const run = (taskKey, userCode, companyId) => ({ _id: new ObjectId(), taskKey, userCode, companyId, startedAt: new Date(), success: true });
+    await withCollection('syncRuns', collection => collection.insertMany([
+      run('user_0_company_0', 'alice', 'hapoalim'),
+      run('user_0_company_0', 'alice', 'hapoalim'),
+      run('user_0_company_1', 'alice', 'isracard'),
+      // Recorded before the config was reordered, the position belongs to another provider now
+      run('user_1_company_0', 'carol', 'hapoalim'),
+      run('alice_hapoalim', 'alice', 'hapoalim')
+    ]));
+
+    const tasks = getTransactionSyncTasksFromJSON();
+    await migrateSyncRunTaskKeys(tasks);
+    await migrateSyncRunTaskKeys(tasks);
+
+    const runs = await withCollection('syncRuns', collection => collection.find({}).toArray());
+    assert.deepEqual(runs.map(({ taskKey, userCode }) => `${taskKey} ${userCode}`).sort(), [
+      'alice_hapoalim alice',
+      'alice_hapoalim alice',
+      'alice_hapoalim alice',
+      'alice_isracard alice',
+      'user_1_company_0 carol'
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import TelegramBot from 'node-telegram-bot-api';
+
+// The bot commands are configured on import
+process.env.TELEGRAM_BOT_COMMANDS = 'true';
+process.env.TELEGRAM_BOT_TOKEN = '123:token';
+
+const { editTransactionMessage, runSyncCommand, sendToTelegram } = await import('../src/app.js');
+
+const createBot = () => {
+  const calls = [];
+  return { calls, editMessageText: async (text, options) => { calls.push({ text, options }); } };
+};
+
+describe('editTransactionMessage', () => {
+  it('edits the message as the Telegram notification, with the keyboard of the transaction', async () => {
+    const bot = createBot();
+    const transaction = {
+      _id: new ObjectId('665f1c2e9b1d8a0012345678'), accountNumber: '1234', chargedAmount: -50, originalAmount: -50, originalCurrency: 'ILS',
+      description: 'Coffee', date: new Date('2024-05-01T08:00:00Z'), processedDate: new Date('2024-05-02T00:00:00Z'),
+      type: 'normal', status: 'completed', note: 'team_lunch', business: true
+    };
+
+    await editTransactionMessage(bot, transaction, { chat_id: 1, message_id: 2 });
+
+    const [{ text, options }] = bot.calls;
+    assert.match(text, /Note: team\\_lunch\nMarks: 💼 Business/);
+    assert.equal(options.chat_id, 1);
+    assert.equal(options.message_id, 2);
+    assert.equal(options.parse_mode, 'Markdown');
+    assert.deepEqual(options.reply_markup.inline_keyboard[1][0], { text: '💼 Business ✅', callback_data: 'business:665f1c2e9b1d8a0012345678' });
+  });
+});
+
+describe('runSyncCommand', () => {
+  it('does not sync the providers of the household members from the household chat', async () => {
+    const replies = [];
+    const chatTasks = [
+      { taskKey: 'alice_hapoalim', user: 'alice', companyId: 'hapoalim', isHouseholdView: true },
+      { taskKey: 'bob_isracard', user: 'bob', companyId: 'isracard', isHouseholdView: true }
+    ];
+
+    await runSyncCommand(chatTasks, async text => { replies.push(text); });
+
+    assert.deepEqual(replies, ['Sync is not available in the household chat, use /sync in your own chat.']);
+  });
+});
+
+describe('sendToTelegram', () => {
+  it('sends the messages by one client', async t => {
+    const clients = [];
+    const sendMessage = t.mock.method(TelegramBot.prototype, 'sendMessage', async function () {
+      clients.push(this);
+    });
+
+    await sendToTelegram({ chatId: 1 }, 'First');
+    await sendToTelegram({ chatId: 2 }, { text: 'Second', replyMarkup: { inline_keyboard: [] } });
+
+    assert.equal(clients[0], clients[1]);
+    assert.deepEqual(sendMessage.mock.calls.map(call => call.arguments), [
+      [1, 'First', { parse_mode: 'Markdown' }],
+      [2, 'Second', { parse_mode: 'Markdown', reply_markup: { inline_keyboard: [] } }]
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+// The storage is configured on import
+process.env.STORAGE_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { withCollection, assignTransactionKeys, getExistingTransactions, getTransactionChanges } = await import('../src/app.js');
+
+const scraped = fields => ({
+  userCode: 'user',
+  companyId: 'isracard',
+  accountNumber: '1111',
+  type: 'normal',
+  status: 'completed',
+  originalCurrency: 'ILS',
+  ...fields,
+  originalAmount: fields.chargedAmount
+});
+
+const store = docs => withCollection('transactions', collection =>
+  collection.insertMany(docs.map(doc => ({ _id: new ObjectId(), ...doc }))));
+
+describe('assignTransactionKeys', () => {
+  it('keys the identical charges of the same day by occurrence index', () => {
+    const transactions = [1, 2].map(() => scraped({ date: new Date('2024-05-01T00:00:00Z'), chargedAmount: -12, description: ' Coffee ' }));
+    assignTransactionKeys(transactions);
+
+    assert.deepEqual(transactions.map(transaction => transaction.transactionKey), [
+      'user|isracard|1111|fp|2024-05-01T00:00:00.000Z|Coffee|-12|0',
+      'user|isracard|1111|fp|2024-05-01T00:00:00.000Z|Coffee|-12|1'
+    ]);
+  });
+
+  it('keys by the identifier and the installment number when available', () => {
+    const transactions = [1, 2].map(number =>
+      scraped({ date: new Date('2024-05-01T00:00:00Z'), chargedAmount: -100, description: 'IKEA', identifier: 42, installments: { number, total: 2 } }));
+    assignTransactionKeys(transactions);
+
+    assert.deepEqual(transactions.map(transaction => transaction.transactionKey), [
+      'user|isracard|1111|id|42|1|0',
+      'user|isracard|1111|id|42|2|0'
+    ]);
+  });
+});
+
+describe('getExistingTransactions', () => {
+  it('matches the identical charges of the same day to the stored ones by key, each once', async () => {
+    const date = new Date('2024-05-01T00:00:00Z');
+    const first = [1, 2].map(() => scraped({ userCode: 'same-day', date, chargedAmount: -12, description: 'Coffee' }));
+    assignTransactionKeys(first);
+    await store(first);
+
+    const transactions = [1, 2, 3].map(() => scraped({ userCode: 'same-day', date, chargedAmount: -12, description: 'Coffee' }));
+    assignTransactionKeys(transactions);
+    const existing = await getExistingTransactions(transactions);
+
+    assert.equal(existing.size, 2);
+    assert.notEqual(String(existing.get(transactions[0])._id), String(existing.get(transactions[1])._id));
+    assert.equal(existing.has(transactions[2]), false);
+  });
+
+  it('matches the documents saved without key by date, amount and description, each once', async () => {
+    const date = new Date('2024-05-02T00:00:00Z');
+    await store([1, 2].map(() => scraped({ userCode: 'legacy', date, chargedAmount: -30, description: 'Parking' })));
+    await store([scraped({ userCode: 'legacy', date, chargedAmount: -31, description: 'Parking' })]);
+
+    const transactions = [-30, -30, -30, -31.5].map(chargedAmount => scraped({ userCode: 'legacy', date, chargedAmount, description: 'Parking' }));
+    assignTransactionKeys(transactions);
+    const existing = await getExistingTransactions(transactions);
+
+    assert.equal(existing.size, 2);
+    assert.notEqual(String(existing.get(transactions[0])._id), String(existing.get(transactions[1])._id));
+    assert.equal(existing.has(transactions[2]), false);
+    assert.equal(existing.has(transactions[3]), false, 'the documents without key match by the exact amount');
+  });
+
+  it('matches the pending transaction settled with a different amount', async () => {
+    const date = new Date();
+    await store([scraped({ userCode: 'pending', status: 'pending', date, chargedAmount: -100, description: 'SHUFERSAL DEAL 123', transactionKey: 'pending key' })]);
+
+    const transactions = [scraped({ userCode: 'pending', date: new Date(date.getTime() + 24 * 60 * 60 * 1000), chargedAmount: -120, description: 'Shufersal Deal' })];
+    assignTransactionKeys(transactions);
+    const existing = await getExistingTransactions(transactions);
+
+    assert.equal(existing.get(transactions[0])?.transactionKey, 'pending key');
+  });
+
+  it('leaves the pending transactions of other merchants, far dates or amounts', async () => {
+    const date = new Date();
+    await store([scraped({ userCode: 'not-pending', status: 'pending', date, chargedAmount: -100, description: 'Wolt', transactionKey: 'wolt key' })]);
+
+    const transactions = [
+      scraped({ userCode: 'not-pending', date, chargedAmount: -100, description: 'Ten Bis' }),
+      scraped({ userCode: 'not-pending', date: new Date(date.getTime() + 4 * 24 * 60 * 60 * 1000), chargedAmount: -100, description: 'Wolt' }),
+      scraped({ userCode: 'not-pending', date, chargedAmount: -130, description: 'Wolt' }),
+      scraped({ userCode: 'not-pending', date, chargedAmount: 100, description: 'Wolt' })
+    ];
+    assignTransactionKeys(transactions);
+
+    assert.equal((await getExistingTransactions(transactions)).size, 0);
+  });
+});
+
+describe('getTransactionChanges', () => {
+  const existing = scraped({ date: new Date('2024-05-01T00:00:00Z'), chargedAmount: -100, description: 'Shop', status: 'pending', installments: { number: 1, total: 3 } });
+
+  it('returns null when the tracked fields are the same', () => {
+    const transaction = { ...existing, date: new Date('2024-05-01T00:00:00Z'), installments: { number: 1, total: 3 }, category: 'Other' };
+
+    assert.equal(getTransactionChanges(existing, transaction), null);
+  });
+
+  it('returns the changed tracked fields', () => {
+    const transaction = { ...existing, status: 'completed', chargedAmount: -120, processedDate: new Date('2024-05-10T00:00:00Z') };
+
+    assert.deepEqual(getTransactionChanges(existing, transaction), {
+      processedDate: { from: null, to: new Date('2024-05-10T00:00:00Z') },
+      chargedAmount: { from: -100, to: -120 },
+      status: { from: 'pending', to: 'completed' }
+    });
+  });
+});
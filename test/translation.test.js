@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTranslationResponse, createChatTranslationProvider } from '../src/app.js';
+
+describe('parseTranslationResponse', () => {
+  it('returns the translations by id', () => {
+    const content = JSON.stringify({ translations: [{ id: 1, translation: ' Parking ' }, { id: 0, translation: 'Supermarket' }] });
+
+    assert.deepEqual(parseTranslationResponse(content, 2), ['Supermarket', 'Parking']);
+  });
+
+  it('returns null for the missing, empty and out of range translations', () => {
+    const content = JSON.stringify({ translations: [{ id: 0, translation: ' ' }, { id: 2, translation: 'Cafe' }, { id: 5, translation: 'Other' }, { translation: 'No id' }] });
+
+    assert.deepEqual(parseTranslationResponse(content, 3), [null, null, 'Cafe']);
+  });
+
+  it('accepts the ids as strings', () => {
+    const content = JSON.stringify({ translations: [{ id: '0', translation: 'Fee' }] });
+
+    assert.deepEqual(parseTranslationResponse(content, 1), ['Fee']);
+  });
+
+  it('returns nulls for invalid response', () => {
+    assert.deepEqual(parseTranslationResponse('not JSON', 2), [null, null]);
+    assert.deepEqual(parseTranslationResponse(JSON.stringify({ result: [] }), 2), [null, null]);
+  });
+});
+
+describe('createChatTranslationProvider', () => {
+  // Chat Completions API answering with the content and keeping the requests
+  const mockFetch = (t, content) => {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+      requests.push({ url, body: JSON.parse(options.body) });
+      return { ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify(content) } }] }) };
+    });
+    return requests;
+  };
+
+  it('suggests the known categories by JSON request to the configured endpoint', async t => {
+    const requests = mockFetch(t, { categories: [{ id: 0, category: 'groceries' }, { id: 1, category: 'Gadgets' }] });
+    const provider = createChatTranslationProvider({ name: 'openai-compatible', url: 'http://localhost:11434/v1/', model: 'local' });
+
+    const categories = await provider.suggestCategories(['שופרסל', 'KSP', 'פנגו']);
+
+    assert.deepEqual(categories, ['Groceries', null, undefined]);
+    assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(requests[0].body.model, 'local');
+    assert.deepEqual(JSON.parse(requests[0].body.messages[1].content).items, [{ id: 0, text: 'שופרסל' }, { id: 1, text: 'KSP' }, { id: 2, text: 'פנגו' }]);
+  });
+
+  it('translates by JSON request and counts the requests', async t => {
+    mockFetch(t, { translations: [{ id: 0, translation: 'Shufersal' }] });
+    const provider = createChatTranslationProvider({ name: 'openai', url: 'https://api.openai.com/v1', apiKey: 'key', model: 'gpt' });
+    const counters = { translationCalls: 0 };
+
+    assert.deepEqual(await provider.translate(['שופרסל'], counters), ['Shufersal']);
+    assert.equal(counters.translationCalls, 1);
+  });
+});